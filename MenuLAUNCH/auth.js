@@ -1,6 +1,11 @@
 /**
  * Homara Authentication System
  * Handles Firebase authentication with popup modals
+ *
+ * After signing in, the user's profile record ({ role, title, communities })
+ * is loaded from the `profile-endpoint` backend and sets the role in
+ * roles.js. The communities the user looks after get an entry each under
+ * Point Management in the menu.
  */
 
 class HomaraAuth {
@@ -29,6 +34,16 @@ class HomaraAuth {
         // Current user state
         this.currentUser = null;
         this.isAuthenticated = false;
+        this.profile = null;                            // { role, title, communities } once loaded
+        this.profileLoaded = Promise.resolve(null);     // Settles when `profile` is up to date
+
+        // Resolves with isAuthenticated once Firebase reports the first auth state
+        this.ready = new Promise(resolve => {
+            this.resolveReady = resolve;
+        });
+
+        // Path of a guarded route to open after logging in
+        this.redirectAfterLogin = null;
         
         // Initialize
         this.init();
@@ -47,6 +62,7 @@ class HomaraAuth {
             console.log('Homara Authentication initialized successfully');
         }).catch(error => {
             console.error('Failed to initialize Firebase:', error);
+            this.resolveReady(false);
         });
     }
     
@@ -112,22 +128,32 @@ class HomaraAuth {
             }
         });
 
-        // Close on Escape key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                if (this.authOverlay.classList.contains('active')) {
-                    this.closeModals();
-                } else if (this.editProfileModal && this.editProfileModal.classList.contains('active')) {
-                    this.closeEditProfileModal();
-                }
-            }
-        });
+        // Close on Escape key (see keymap.js); while a modal is open other shortcuts wait
+        if (window.homaraKeymap) {
+            window.homaraKeymap.addContextCheck('modal', () => this.isModalOpen());
+            window.homaraKeymap.register({
+                id: 'auth.close',
+                keys: 'Escape',
+                text: 'Close the sign-in or profile dialog',
+                labelKey: 'keymap.commands.closeAuth',
+                context: 'modal',
+                when: () => this.isModalOpen(),
+                run: () => this.closeOpenModal()
+            });
+        }
 
         // Edit profile form submission
         if (this.editProfileForm) {
             this.editProfileForm.addEventListener('submit', (e) => this.handleEditProfileSubmit(e));
         }
 
+        // Title names follow the language
+        document.addEventListener('localechange', () => {
+            if (this.isAuthenticated) {
+                this.updateUserProfile(this.currentUser);
+            }
+        });
+
         // Profile picture upload
         const uploadBtn = document.getElementById('uploadBtn');
         const profilePictureInput = document.getElementById('profilePictureInput');
@@ -153,6 +179,7 @@ class HomaraAuth {
                 console.log('User signed out');
                 this.onAuthSignOut();
             }
+            this.resolveReady(this.isAuthenticated);
         });
     }
     
@@ -199,6 +226,26 @@ class HomaraAuth {
         this.clearForms();
     }
     
+    /**
+     * Whether a sign up, log in or edit profile modal is showing
+     * @returns {boolean}
+     */
+    isModalOpen() {
+        return this.authOverlay.classList.contains('active') ||
+            Boolean(this.editProfileModal && this.editProfileModal.classList.contains('active'));
+    }
+
+    /**
+     * Close whichever modal is showing
+     */
+    closeOpenModal() {
+        if (this.editProfileModal && this.editProfileModal.classList.contains('active')) {
+            this.closeEditProfileModal();
+        } else {
+            this.closeModals();
+        }
+    }
+
     /**
      * Clear error messages
      */
@@ -227,19 +274,19 @@ class HomaraAuth {
         
         // Basic validation
         if (!email || !username || !password) {
-            this.showError('signup', 'Please fill in all fields');
+            this.showError('signup', this.translate('auth.errors.missingFields', 'Please fill in all fields'));
             return;
         }
         
         if (password.length < 6) {
-            this.showError('signup', 'Password must be at least 6 characters');
+            this.showError('signup', this.translate('auth.errors.passwordLength', 'Password must be at least 6 characters'));
             return;
         }
         
         // Disable submit button
         const submitBtn = this.signupForm.querySelector('.auth-submit-btn');
         submitBtn.disabled = true;
-        submitBtn.textContent = 'Creating Account...';
+        submitBtn.textContent = this.translate('auth.creatingAccount', 'Creating Account...');
         
         try {
             // Create user with Firebase Auth
@@ -264,7 +311,7 @@ class HomaraAuth {
         } finally {
             // Re-enable submit button
             submitBtn.disabled = false;
-            submitBtn.textContent = 'Create Account';
+            submitBtn.textContent = this.translate('auth.createAccount', 'Create Account');
         }
     }
     
@@ -279,14 +326,14 @@ class HomaraAuth {
         
         // Basic validation
         if (!email || !password) {
-            this.showError('login', 'Please fill in all fields');
+            this.showError('login', this.translate('auth.errors.missingFields', 'Please fill in all fields'));
             return;
         }
         
         // Disable submit button
         const submitBtn = this.loginForm.querySelector('.auth-submit-btn');
         submitBtn.disabled = true;
-        submitBtn.textContent = 'Logging In...';
+        submitBtn.textContent = this.translate('auth.loggingIn', 'Logging In...');
         
         try {
             // Sign in with Firebase Auth
@@ -307,7 +354,7 @@ class HomaraAuth {
         } finally {
             // Re-enable submit button
             submitBtn.disabled = false;
-            submitBtn.textContent = 'Log In';
+            submitBtn.textContent = this.translate('auth.logIn', 'Log In');
         }
     }
     
@@ -320,24 +367,35 @@ class HomaraAuth {
     }
     
     /**
-     * Get user-friendly Firebase error message
+     * Translate a string through the shared i18n module (../src/i18n.js)
+     * @param {string} key - Message key, e.g. 'auth.logIn'
+     * @param {string} fallback - English text, used until translations load
+     * @returns {string} - Translated text
+     */
+    translate(key, fallback) {
+        return window.homaraI18n ? window.homaraI18n.t(key, fallback) : fallback;
+    }
+    
+    /**
+     * Get user-friendly Firebase error message, in the current language
      */
     getFirebaseErrorMessage(error) {
         switch (error.code) {
             case 'auth/email-already-in-use':
-                return 'An account with this email already exists';
+                return this.translate('auth.errors.emailInUse', 'An account with this email already exists');
             case 'auth/invalid-email':
-                return 'Please enter a valid email address';
+                return this.translate('auth.errors.invalidEmail', 'Please enter a valid email address');
             case 'auth/weak-password':
-                return 'Password should be at least 6 characters';
+                return this.translate('auth.errors.weakPassword', 'Password should be at least 6 characters');
             case 'auth/user-not-found':
-                return 'No account found with this email';
+                return this.translate('auth.errors.userNotFound', 'No account found with this email');
             case 'auth/wrong-password':
-                return 'Incorrect password';
+                return this.translate('auth.errors.wrongPassword', 'Incorrect password');
             case 'auth/too-many-requests':
-                return 'Too many failed attempts. Please try again later';
+                return this.translate('auth.errors.tooManyRequests', 'Too many failed attempts. Please try again later');
             default:
-                return error.message || 'An error occurred. Please try again';
+                // Firebase's own message is English only; callers log it to the console
+                return this.translate('auth.errors.generic', 'An error occurred. Please try again');
         }
     }
     
@@ -347,9 +405,18 @@ class HomaraAuth {
     onAuthSuccess(user) {
         // Update UI to show authenticated state
         this.updateAuthButtons(true, user);
+
+        // The role decides what the menu and guarded routes allow
+        this.profileLoaded = this.loadProfile(user).then(profile => this.applyProfile(profile));
         
         // You can add more logic here for post-authentication actions
         console.log('Authentication successful for:', user.email);
+
+        // Continue to the page that asked for a login
+        if (this.redirectAfterLogin && window.homaraRouter) {
+            window.homaraRouter.navigate(this.redirectAfterLogin);
+        }
+        this.redirectAfterLogin = null;
     }
     
     /**
@@ -359,12 +426,191 @@ class HomaraAuth {
         // Update UI to show unauthenticated state
         this.updateAuthButtons(false);
         
-        // Clear stored username
+        // Clear stored username and title
         localStorage.removeItem('homara_username');
+        localStorage.removeItem('homara_user_title');
+
+        this.profile = null;
+        this.profileLoaded = Promise.resolve(null);
+        window.homaraRoles.setRole('visitor');
+        this.updateCommunityMenu([]);
+
+        // Leave pages that need an account
+        const route = window.homaraRouter && window.homaraRouter.getCurrent();
+        if (route && route.route.guard) {
+            window.homaraRouter.navigate('app', { replace: true });
+        }
         
         console.log('User signed out');
     }
+
+    /**
+     * Route guard for pages that need an account (see ../src/router.js)
+     * Opens the login modal and remembers the path when nobody is signed in.
+     * @param {string} path - Path of the guarded route
+     * @returns {Promise<boolean>} - True when signed in
+     */
+    requireSignIn(path) {
+        return this.ready.then(() => {
+            if (this.isAuthenticated) {
+                return true;
+            }
+            this.redirectAfterLogin = path;
+            this.showLoginModal();
+            return false;
+        });
+    }
     
+    /**
+     * Route guard for pages that need a permission (see roles.js)
+     * Asks for a login first, then waits for the profile to know the role.
+     * @param {string} permission - Permission named by the route
+     * @param {string} path - Path of the guarded route
+     * @returns {Promise<boolean>} - True when the user's role has the permission
+     */
+    requirePermission(permission, path) {
+        return this.requireSignIn(path).then(signedIn => {
+            if (!signedIn) {
+                return false;
+            }
+            return this.profileLoaded.then(() => {
+                const allowed = window.homaraRoles.can(permission);
+                if (!allowed) {
+                    console.warn(`${path} needs the ${permission} permission`);
+                }
+                return allowed;
+            });
+        });
+    }
+
+    /**
+     * Profile backend named by the page, or '' when there is none
+     * @returns {string} - Endpoint URL
+     */
+    getProfileEndpoint() {
+        const meta = document.querySelector('meta[name="profile-endpoint"]');
+        return meta ? meta.content.trim() : '';
+    }
+
+    /**
+     * Request the user's profile record, signed with their Firebase ID token
+     * @param {string} endpoint - Profile backend
+     * @param {Object} user - Firebase user
+     * @param {Object} options - fetch options, e.g. { method: 'PATCH', body }
+     * @returns {Promise<Object>} - Profile record; rejects with `status` set on HTTP errors
+     */
+    requestProfile(endpoint, user, options = {}) {
+        return user.getIdToken()
+            .then(token => fetch(`${endpoint}/${encodeURIComponent(user.uid)}`, {
+                ...options,
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` }
+            }))
+            .then(response => {
+                if (!response.ok) {
+                    const error = new Error(`Profile request failed: ${response.status}`);
+                    error.status = response.status;
+                    throw error;
+                }
+                return response.json();
+            });
+    }
+
+    /**
+     * Load the user's profile record: { role, title, communities }, where
+     * `communities` lists the ones the user looks after as { id, name }.
+     * Without a profile backend every signed-in user is a member and the
+     * title stays on this device.
+     * @param {Object} user - Firebase user
+     * @returns {Promise<Object>} - Profile record
+     */
+    loadProfile(user) {
+        const endpoint = this.getProfileEndpoint();
+        if (!endpoint) {
+            return Promise.resolve({ role: 'member', title: localStorage.getItem('homara_user_title') });
+        }
+        return this.requestProfile(endpoint, user).catch(error => {
+            // Without a record the user only gets what visitors get
+            console.error('Profile not loaded:', error);
+            return { role: 'visitor', title: null };
+        });
+    }
+
+    /**
+     * Take on a loaded profile: set the role, show the title and list the communities
+     * @param {Object} profile - { role, title, communities } from the profile record
+     */
+    applyProfile(profile) {
+        if (!this.isAuthenticated) {
+            return; // Signed out while it loaded
+        }
+        const roles = window.homaraRoles;
+        const role = roles.normalizeRole(profile.role);
+        const communities = (Array.isArray(profile.communities) ? profile.communities : [])
+            .filter(community => community && typeof community.id === 'string' && community.id);
+        this.profile = { role, title: roles.resolveTitle(profile.title, role), communities };
+        roles.setRole(role);
+        this.updateUserProfile(this.currentUser);
+        this.updateCommunityMenu(communities);
+
+        // Leave a page the role no longer allows
+        const route = window.homaraRouter && window.homaraRouter.getCurrent();
+        if (route && route.route.permission && !roles.can(route.route.permission)) {
+            window.homaraRouter.navigate('app', { replace: true });
+        }
+    }
+
+    /**
+     * Give each community the user looks after an entry under Point Management
+     * @param {Object[]} communities - { id, name } of each community
+     */
+    updateCommunityMenu(communities) {
+        const menu = window.homaraMenu;
+        if (!menu) {
+            return;
+        }
+        menu.ready.then(() => {
+            const parent = menu.findMenuItem('point-management');
+            if (!parent) {
+                return; // Not in this menu
+            }
+            (parent.children || [])
+                .filter(entry => entry.route === 'community')
+                .forEach(entry => menu.removeMenuItem(entry.id));
+            communities.forEach(community => {
+                menu.addMenuItem({
+                    id: `managed-community-${community.id}`,
+                    text: typeof community.name === 'string' && community.name ? community.name : community.id,
+                    route: 'community',
+                    routeParams: { community: community.id }
+                }, { parent: 'point-management' });
+            });
+        });
+    }
+
+    /**
+     * Save a new title after checking the role allows it
+     * @param {string|null} title - Title id
+     * @returns {Promise} - Rejects with status 403 when the role doesn't allow it
+     */
+    saveTitle(title) {
+        if (title && !window.homaraRoles.canUseTitle(title)) {
+            const error = new Error(`Title not allowed: ${title}`);
+            error.status = 403;
+            return Promise.reject(error);
+        }
+
+        const endpoint = this.getProfileEndpoint();
+        if (!endpoint) {
+            localStorage.setItem('homara_user_title', title || '');
+            this.profile = { ...this.profile, title };
+            return Promise.resolve();
+        }
+        return this.requestProfile(endpoint, this.currentUser, { method: 'PATCH', body: JSON.stringify({ title }) })
+            .then(() => {
+                this.profile = { ...this.profile, title };
+            });
+    }
+
     /**
      * Update auth UI based on authentication state
      */
@@ -389,10 +635,10 @@ class HomaraAuth {
             // Reset auth buttons to original state
             const signupBtn = document.getElementById('signupBtn');
             const loginBtn = document.getElementById('loginBtn');
-            signupBtn.textContent = 'Sign Up';
+            signupBtn.textContent = this.translate('auth.signUp', 'Sign Up');
             signupBtn.disabled = false;
             signupBtn.onclick = null;
-            loginBtn.textContent = 'Log In';
+            loginBtn.textContent = this.translate('auth.logIn', 'Log In');
             loginBtn.onclick = null;
         }
 
@@ -414,10 +660,10 @@ class HomaraAuth {
         const username = localStorage.getItem('homara_username') || user.email.split('@')[0];
         userDisplayName.textContent = username;
 
-        // Set user title (placeholder for now - will come from MongoDB later)
-        const userTitles = ['Builder', 'Founder'];
-        const randomTitle = userTitles[Math.floor(Math.random() * userTitles.length)];
-        userTitle.textContent = randomTitle;
+        // Title from the profile record (hidden until it has loaded)
+        const title = this.profile && this.profile.title;
+        userTitle.textContent = title ? window.homaraRoles.getTitleText(title) : '';
+        userTitle.hidden = !title;
 
         // Handle profile picture
         if (user.photoURL) {
@@ -475,11 +721,10 @@ class HomaraAuth {
 
         // Populate form with current user data
         const username = localStorage.getItem('homara_username') || user.email.split('@')[0];
-        const userTitle = document.getElementById('userTitle').textContent;
 
         document.getElementById('edit-username').value = username;
         document.getElementById('edit-email').value = user.email;
-        document.getElementById('edit-title').value = userTitle;
+        this.renderTitleOptions();
 
         // Update profile picture preview
         const profilePictureImg = document.getElementById('profilePictureImg');
@@ -505,6 +750,19 @@ class HomaraAuth {
         }, 100);
     }
 
+    /**
+     * Offer only the titles the user's role allows
+     */
+    renderTitleOptions() {
+        const roles = window.homaraRoles;
+        const select = document.getElementById('edit-title');
+        const titles = roles.getTitles();
+
+        select.replaceChildren(...titles.map(title => new Option(roles.getTitleText(title), title)));
+        select.value = (this.profile && this.profile.title) || '';
+        select.disabled = titles.length < 2; // Nothing to choose
+    }
+
     /**
      * Close edit profile modal
      */
@@ -526,43 +784,39 @@ class HomaraAuth {
         e.preventDefault();
 
         const username = document.getElementById('edit-username').value.trim();
-        const title = document.getElementById('edit-title').value;
+        const title = document.getElementById('edit-title').value || null;
 
         if (!username) {
-            this.showEditProfileError('Username is required');
+            this.showEditProfileError(this.translate('auth.errors.usernameRequired', 'Username is required'));
             return;
         }
 
         // Disable submit button
         const submitBtn = this.editProfileForm.querySelector('.auth-submit-btn');
         submitBtn.disabled = true;
-        submitBtn.textContent = 'Saving...';
+        submitBtn.textContent = this.translate('auth.saving', 'Saving...');
 
         try {
-            // Update localStorage (MongoDB integration will come later)
+            // The title goes to the profile record; the username stays in
+            // localStorage (MongoDB integration will come later)
+            await this.saveTitle(title);
             localStorage.setItem('homara_username', username);
-            localStorage.setItem('homara_user_title', title);
 
-            // Update UI immediately
-            document.getElementById('userDisplayName').textContent = username;
-            document.getElementById('userTitle').textContent = title;
-
-            // Update avatar placeholder if needed
-            const avatarPlaceholder = document.getElementById('avatarPlaceholder');
-            if (avatarPlaceholder.style.display !== 'none') {
-                avatarPlaceholder.textContent = username.charAt(0).toUpperCase();
-            }
+            // Update UI immediately (name, title and avatar initial)
+            this.updateUserProfile(this.currentUser);
 
             console.log('Profile updated successfully');
             this.closeEditProfileModal();
 
         } catch (error) {
             console.error('Profile update error:', error);
-            this.showEditProfileError('Failed to update profile. Please try again.');
+            this.showEditProfileError(error.status === 403
+                ? this.translate('auth.errors.titleNotAllowed', "Your role can't use that title")
+                : this.translate('auth.errors.profileUpdate', 'Failed to update profile. Please try again.'));
         } finally {
             // Re-enable submit button
             submitBtn.disabled = false;
-            submitBtn.textContent = 'Save Changes';
+            submitBtn.textContent = this.translate('auth.saveChanges', 'Save Changes');
         }
     }
 
@@ -575,13 +829,13 @@ class HomaraAuth {
 
         // Validate file size (5MB max)
         if (file.size > 5 * 1024 * 1024) {
-            this.showEditProfileError('File size must be less than 5MB');
+            this.showEditProfileError(this.translate('auth.errors.fileSize', 'File size must be less than 5MB'));
             return;
         }
 
         // Validate file type
         if (!file.type.startsWith('image/')) {
-            this.showEditProfileError('Please select a valid image file');
+            this.showEditProfileError(this.translate('auth.errors.fileType', 'Please select a valid image file'));
             return;
         }
 
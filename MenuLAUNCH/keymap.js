@@ -0,0 +1,652 @@
+/**
+ * Homara Keymap - Every keyboard shortcut of the menu interface
+ *
+ * Modules register their shortcuts here instead of listening for keys
+ * themselves, so one key press runs exactly one handler:
+ *   homaraKeymap.register({
+ *       id: 'menu.toggle',
+ *       keys: 'Mod+M',                      // or a list; Mod is Cmd on macOS, Ctrl elsewhere
+ *       text: 'Keep the menu open or collapse it',
+ *       labelKey: 'keymap.commands.toggleMenu',
+ *       context: 'global',                  // 'global', 'sidebar', 'editor' or 'modal'
+ *       priority: 0,                        // higher wins within a context
+ *       when: () => true,                   // optional; skipped when false
+ *       run: (event) => { ... }
+ *   });
+ *
+ * Contexts, strongest first:
+ *   modal    a dialog is open; nothing outside it runs
+ *   editor   focus is in a text field; plain character keys (like "/") only
+ *            reach editor shortcuts, so typing isn't hijacked
+ *   sidebar  focus is inside the sidebar
+ *   global   always
+ * Modules tell the keymap when their dialog is open with
+ * addContextCheck('modal', () => isOpen).
+ *
+ * People can change any shortcut in Settings & Help; their choices are saved
+ * per device and a key already used in the same context is refused. Two
+ * shortcuts that both have a `when` (like Escape closing each dialog) may
+ * share a key: only one of them applies at a time.
+ * "?" shows every shortcut.
+ */
+
+class HomaraKeymap {
+    /**
+     * Set up the keymap
+     * @param {Object} elements - { overlay, list } of the "?" help overlay
+     */
+    constructor({ overlay, list }) {
+        this.overlay = overlay;
+        this.list = list;
+
+        this.STORAGE_KEY = 'homara_keymap';
+        this.CONTEXTS = ['modal', 'editor', 'sidebar', 'global']; // Strongest first
+        this.CONTEXT_NAMES = {
+            global: 'Everywhere',
+            sidebar: 'In the menu',
+            editor: 'While typing',
+            modal: 'In dialogs'
+        };
+        this.isMac = navigator.platform.toUpperCase().indexOf('MAC') >= 0 ||
+                     navigator.userAgent.toUpperCase().indexOf('MAC') >= 0;
+
+        this.bindings = new Map();      // Id -> binding, in registration order
+        this.overrides = this.readOverrides();
+        this.contextChecks = { modal: [], editor: [], sidebar: [], global: [() => true] };
+        this.recording = null;          // Resolves the record() in progress
+        this.returnFocus = null;        // Element focused before the help overlay opened
+
+        this.addContextCheck('editor', () => this.isEditable(document.activeElement));
+        this.addContextCheck('sidebar', () => {
+            const sidebar = document.getElementById('sidebar');
+            return Boolean(sidebar && sidebar.contains(document.activeElement));
+        });
+        this.addContextCheck('modal', () => this.isHelpOpen());
+
+        this.registerHelpShortcuts();
+        this.attachEventListeners();
+    }
+
+    /**
+     * Translate a string through the shared i18n module (../src/i18n.js)
+     * @param {string} key - Message key
+     * @param {string} fallback - English text, used until translations load
+     * @param {Object} params - Values for {placeholders} in the text
+     * @returns {string} - Translated text
+     */
+    translate(key, fallback, params = {}) {
+        if (window.homaraI18n) {
+            return window.homaraI18n.t(key, fallback, params);
+        }
+        return fallback.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    /**
+     * Add a shortcut
+     * @param {Object} binding - See the header comment
+     * @returns {Function} - Removes the shortcut again
+     */
+    register(binding) {
+        if (!binding.id || typeof binding.run !== 'function') {
+            throw new Error('A shortcut needs an id and a run() function');
+        }
+        if (this.bindings.has(binding.id)) {
+            throw new Error(`Shortcut already exists: ${binding.id}`);
+        }
+        if (!this.CONTEXTS.includes(binding.context || 'global')) {
+            throw new Error(`Unknown shortcut context: ${binding.context}`);
+        }
+
+        const keys = [].concat(binding.keys || []).map(combo => this.normalizeCombo(combo));
+        const entry = { context: 'global', priority: 0, ...binding, keys };
+        this.bindings.set(entry.id, entry);
+
+        this.getKeys(entry).forEach(combo => {
+            const conflict = this.findConflict(entry, combo);
+            if (conflict) {
+                console.warn(`Shortcut ${combo} of ${entry.id} is already used by ${conflict.id}`);
+            }
+        });
+
+        this.notifyChange();
+        return () => {
+            this.bindings.delete(entry.id);
+            this.notifyChange();
+        };
+    }
+
+    /**
+     * Make a context active whenever `isActive` returns true
+     * @param {string} context - Context name
+     * @param {Function} isActive - Returns whether the context applies right now
+     */
+    addContextCheck(context, isActive) {
+        if (!this.contextChecks[context]) {
+            throw new Error(`Unknown shortcut context: ${context}`);
+        }
+        this.contextChecks[context].push(isActive);
+    }
+
+    /**
+     * Contexts that apply right now
+     * @returns {Set<string>} - Active context names
+     */
+    getActiveContexts() {
+        return new Set(this.CONTEXTS.filter(context => this.contextChecks[context].some(isActive => {
+            try {
+                return isActive();
+            } catch (error) {
+                return false;
+            }
+        })));
+    }
+
+    /**
+     * Whether an element takes typed text
+     * @param {Element|null} element - Element to check
+     * @returns {boolean} - True for text fields, selects and editable content
+     */
+    isEditable(element) {
+        if (!element || !element.closest) {
+            return false;
+        }
+        if (element.isContentEditable || element.closest('textarea, select')) {
+            return true;
+        }
+        const input = element.closest('input');
+        return Boolean(input) && !['button', 'checkbox', 'radio', 'range', 'submit', 'reset', 'file', 'color'].includes(input.type);
+    }
+
+    /**
+     * Canonical form of a combo, e.g. 'mod+shift+k' -> 'Ctrl+Shift+k' (or 'Shift+Meta+k' on macOS)
+     * @param {string} combo - Keys joined with '+'
+     * @returns {string} - Canonical combo
+     */
+    normalizeCombo(combo) {
+        const parts = combo.split('+');
+        let key = parts.pop();
+        if (key === '' && parts[parts.length - 1] === '') {
+            parts.pop();
+            key = '+'; // 'Ctrl++'
+        }
+        const modifiers = new Set(parts.map(part => {
+            const name = part.trim().toLowerCase();
+            if (name === 'mod') {
+                return this.isMac ? 'Meta' : 'Ctrl';
+            }
+            return { ctrl: 'Ctrl', control: 'Ctrl', alt: 'Alt', option: 'Alt', shift: 'Shift', meta: 'Meta', cmd: 'Meta' }[name] || part;
+        }));
+        return this.buildCombo(modifiers, key.length === 1 ? key.toLowerCase() : key);
+    }
+
+    /**
+     * Join modifiers and a key in canonical order
+     * @param {Set<string>} modifiers - Modifier names
+     * @param {string} key - Key name
+     * @returns {string} - Combo
+     */
+    buildCombo(modifiers, key) {
+        const order = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+        return [...order.filter(modifier => modifiers.has(modifier)), key === ' ' ? 'Space' : key].join('+');
+    }
+
+    /**
+     * Combo of a key press, or null for a lone modifier key
+     * @param {KeyboardEvent} e - Keydown event
+     * @returns {string|null} - Combo
+     */
+    eventToCombo(e) {
+        if (!e.key || ['Control', 'Shift', 'Alt', 'Meta', 'CapsLock', 'Dead'].includes(e.key)) {
+            return null;
+        }
+        const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+        // Shift is part of characters like "?" already; letters keep it
+        const shiftCharacter = e.key.length === 1 && e.key.toLowerCase() === e.key.toUpperCase() && e.key !== ' ';
+        const modifiers = new Set();
+        if (e.ctrlKey) modifiers.add('Ctrl');
+        if (e.altKey) modifiers.add('Alt');
+        if (e.shiftKey && !shiftCharacter) modifiers.add('Shift');
+        if (e.metaKey) modifiers.add('Meta');
+        return this.buildCombo(modifiers, key);
+    }
+
+    /**
+     * Whether a combo types a character (no Ctrl, Alt or Meta)
+     * @param {string} combo - Canonical combo
+     * @returns {boolean} - True for keys like '/' or 'Shift+a'
+     */
+    isCharacterCombo(combo) {
+        const parts = combo.split('+');
+        const key = parts[parts.length - 1] || '+';
+        return (key.length === 1 || key === 'Space') && !/(^|\+)(Ctrl|Alt|Meta)\+/.test(combo);
+    }
+
+    /**
+     * Keys a shortcut answers to, with the person's own choice applied
+     * @param {Object} binding - Registered shortcut
+     * @returns {string[]} - Canonical combos (empty when switched off)
+     */
+    getKeys(binding) {
+        return this.overrides[binding.id] || binding.keys;
+    }
+
+    /**
+     * Another shortcut in the same context that uses `combo`
+     * @param {Object} binding - Shortcut to check
+     * @param {string} combo - Canonical combo
+     * @returns {Object|null} - The other shortcut
+     */
+    findConflict(binding, combo) {
+        for (const other of this.bindings.values()) {
+            if (other.id !== binding.id && this.canCollide(binding, other) && this.getKeys(other).includes(combo)) {
+                return other;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Whether two shortcuts could both want the same key press
+     * @param {Object} a - Registered shortcut
+     * @param {Object} b - Registered shortcut
+     * @returns {boolean} - False for different contexts, or when both have a `when`
+     */
+    canCollide(a, b) {
+        return a.context === b.context && !(a.when && b.when);
+    }
+
+    /**
+     * Every pair of shortcuts sharing a key in the same context
+     * @returns {Object[]} - [{ combo, bindings: [a, b] }]
+     */
+    getConflicts() {
+        const conflicts = [];
+        const bindings = [...this.bindings.values()];
+        bindings.forEach((binding, index) => {
+            bindings.slice(index + 1).forEach(other => {
+                if (!this.canCollide(binding, other)) {
+                    return;
+                }
+                this.getKeys(binding)
+                    .filter(combo => this.getKeys(other).includes(combo))
+                    .forEach(combo => conflicts.push({ combo, bindings: [binding, other] }));
+            });
+        });
+        return conflicts;
+    }
+
+    /**
+     * Change the keys of a shortcut and save the choice
+     * @param {string} id - Shortcut id
+     * @param {string|null} combo - New combo, or null to switch the shortcut off
+     * @returns {Object} - { ok: true } or { ok: false, conflict } when the key is taken
+     */
+    setBinding(id, combo) {
+        const binding = this.bindings.get(id);
+        if (!binding) {
+            throw new Error(`Unknown shortcut: ${id}`);
+        }
+        const keys = combo ? [this.normalizeCombo(combo)] : [];
+        if (keys.length > 0) {
+            const conflict = this.findConflict(binding, keys[0]);
+            if (conflict) {
+                return { ok: false, conflict };
+            }
+        }
+
+        if (keys.join() === binding.keys.join()) {
+            delete this.overrides[id];
+        } else {
+            this.overrides[id] = keys;
+        }
+        this.saveOverrides();
+        return { ok: true };
+    }
+
+    /**
+     * Put a shortcut (or, without an id, every shortcut) back to its default keys
+     * @param {string} [id] - Shortcut id
+     */
+    resetBinding(id) {
+        if (id) {
+            delete this.overrides[id];
+        } else {
+            this.overrides = {};
+        }
+        this.saveOverrides();
+    }
+
+    /**
+     * Whether a shortcut uses keys the person chose
+     * @param {string} id - Shortcut id
+     * @returns {boolean} - True when changed from the default
+     */
+    isCustomized(id) {
+        return id in this.overrides;
+    }
+
+    /**
+     * Saved key choices
+     * @returns {Object} - Id -> combos
+     */
+    readOverrides() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            if (!saved || typeof saved !== 'object') {
+                return {};
+            }
+            const overrides = {};
+            Object.entries(saved).forEach(([id, keys]) => {
+                if (Array.isArray(keys) && keys.every(combo => typeof combo === 'string')) {
+                    overrides[id] = keys;
+                }
+            });
+            return overrides;
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Save the key choices and tell the page
+     */
+    saveOverrides() {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.overrides));
+        } catch (error) {
+            console.warn('Shortcut choices could not be saved:', error);
+        }
+        this.notifyChange();
+    }
+
+    /**
+     * Dispatch 'keymapchange' so lists of shortcuts can redraw
+     */
+    notifyChange() {
+        document.dispatchEvent(new CustomEvent('keymapchange'));
+        if (this.isHelpOpen()) {
+            this.renderHelp();
+        }
+    }
+
+    /**
+     * Wait for the next key press and return its combo (for changing a shortcut)
+     * Escape cancels.
+     * @returns {Promise<string|null>} - Combo, or null when cancelled
+     */
+    record() {
+        this.cancelRecording();
+        return new Promise(resolve => {
+            this.recording = resolve;
+        });
+    }
+
+    /**
+     * Stop a record() in progress
+     */
+    cancelRecording() {
+        if (this.recording) {
+            const resolve = this.recording;
+            this.recording = null;
+            resolve(null);
+        }
+    }
+
+    /**
+     * Listen for shortcuts before anything else sees the key
+     */
+    attachEventListeners() {
+        window.addEventListener('keydown', (e) => this.handleKeydown(e), true);
+
+        // Choices changed in another tab
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.STORAGE_KEY) {
+                this.overrides = this.readOverrides();
+                this.notifyChange();
+            }
+        });
+
+        document.addEventListener('localechange', () => {
+            if (this.isHelpOpen()) {
+                this.renderHelp();
+            }
+        });
+
+        // Click outside the panel, or follow its Settings link, closes the overlay
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay || e.target.closest('a')) {
+                this.hideHelp();
+            }
+        });
+    }
+
+    /**
+     * Run the strongest shortcut matching a key press
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleKeydown(e) {
+        if (e.isComposing) {
+            return;
+        }
+        const combo = this.eventToCombo(e);
+        if (!combo) {
+            return;
+        }
+
+        if (this.recording) {
+            e.preventDefault();
+            e.stopPropagation();
+            const resolve = this.recording;
+            this.recording = null;
+            resolve(combo === 'Escape' ? null : combo);
+            return;
+        }
+
+        const active = this.getActiveContexts();
+        const typing = active.has('editor') && this.isCharacterCombo(combo);
+        const rank = context => this.CONTEXTS.length - this.CONTEXTS.indexOf(context);
+
+        const candidates = [...this.bindings.values()].filter(binding => {
+            if (!active.has(binding.context) || !this.getKeys(binding).includes(combo)) {
+                return false;
+            }
+            if (active.has('modal') && binding.context !== 'modal') {
+                return false; // Dialogs keep the keyboard to themselves
+            }
+            if (typing && binding.context !== 'editor') {
+                return false; // Let the character be typed
+            }
+            try {
+                return !binding.when || binding.when();
+            } catch (error) {
+                return false;
+            }
+        });
+        if (candidates.length === 0) {
+            return;
+        }
+
+        candidates.sort((a, b) => rank(b.context) - rank(a.context) || b.priority - a.priority);
+        const binding = candidates[0];
+        e.preventDefault();
+        e.stopPropagation();
+        try {
+            binding.run(e);
+        } catch (error) {
+            console.error(`Shortcut ${binding.id} failed:`, error);
+        }
+    }
+
+    /**
+     * Label of a shortcut in the current language
+     * @param {Object} binding - Registered shortcut
+     * @returns {string} - Label text
+     */
+    getBindingText(binding) {
+        if (!binding.labelKey) {
+            return binding.text || binding.id;
+        }
+        return this.translate(binding.labelKey, binding.text || binding.id);
+    }
+
+    /**
+     * Name of a context in the current language
+     * @param {string} context - Context name
+     * @returns {string} - e.g. "Everywhere"
+     */
+    getContextText(context) {
+        return this.translate(`keymap.contexts.${context}`, this.CONTEXT_NAMES[context]);
+    }
+
+    /**
+     * Shortcuts grouped by context, weakest context first (the order people learn them)
+     * @returns {Object[]} - [{ context, bindings }]
+     */
+    getGroups() {
+        return [...this.CONTEXTS].reverse()
+            .map(context => ({
+                context,
+                bindings: [...this.bindings.values()].filter(binding => binding.context === context)
+            }))
+            .filter(group => group.bindings.length > 0);
+    }
+
+    /**
+     * Keys of a combo as <kbd> elements, e.g. ⌘ + K
+     * @param {string[]} combos - Canonical combos
+     * @returns {DocumentFragment} - Keys, combos separated by "/"
+     */
+    createKeysElement(combos) {
+        const fragment = document.createDocumentFragment();
+        if (combos.length === 0) {
+            const off = document.createElement('span');
+            off.className = 'keymap-off';
+            off.textContent = this.translate('keymap.off', 'Off');
+            fragment.appendChild(off);
+            return fragment;
+        }
+
+        combos.forEach((combo, index) => {
+            if (index > 0) {
+                fragment.appendChild(document.createTextNode(' / '));
+            }
+            this.formatCombo(combo).forEach((label, keyIndex) => {
+                if (keyIndex > 0) {
+                    fragment.appendChild(document.createTextNode(' + '));
+                }
+                const kbd = document.createElement('kbd');
+                kbd.textContent = label;
+                fragment.appendChild(kbd);
+            });
+        });
+        return fragment;
+    }
+
+    /**
+     * Key names of a combo for display
+     * @param {string} combo - Canonical combo
+     * @returns {string[]} - e.g. ['Ctrl', 'K']
+     */
+    formatCombo(combo) {
+        const names = {
+            Ctrl: 'Ctrl',
+            Alt: this.isMac ? '⌥' : 'Alt',
+            Shift: this.isMac ? '⇧' : 'Shift',
+            Meta: this.isMac ? '⌘' : 'Meta',
+            Escape: 'Esc',
+            ArrowUp: '↑',
+            ArrowDown: '↓',
+            ArrowLeft: '←',
+            ArrowRight: '→'
+        };
+        const parts = combo.endsWith('++') ? [...combo.slice(0, -2).split('+').filter(Boolean), '+'] : combo.split('+');
+        return parts.map(part => names[part] || (part.length === 1 ? part.toUpperCase() : part));
+    }
+
+    /**
+     * "?" opens the overlay; Escape or "?" closes it
+     */
+    registerHelpShortcuts() {
+        this.register({
+            id: 'keymap.help',
+            keys: '?',
+            text: 'Show keyboard shortcuts',
+            labelKey: 'keymap.commands.help',
+            run: () => this.showHelp()
+        });
+        this.register({
+            id: 'keymap.closeHelp',
+            keys: ['Escape', '?'],
+            text: 'Close keyboard shortcuts',
+            labelKey: 'keymap.commands.closeHelp',
+            context: 'modal',
+            priority: 20,
+            when: () => this.isHelpOpen(),
+            run: () => this.hideHelp()
+        });
+    }
+
+    /**
+     * @returns {boolean} - Whether the "?" overlay is showing
+     */
+    isHelpOpen() {
+        return Boolean(this.overlay) && !this.overlay.hidden;
+    }
+
+    /**
+     * Show every shortcut
+     */
+    showHelp() {
+        this.returnFocus = document.activeElement;
+        this.renderHelp();
+        this.overlay.hidden = false;
+        this.overlay.querySelector('[role="dialog"]').focus();
+    }
+
+    /**
+     * Hide the overlay and put focus back where it was
+     */
+    hideHelp() {
+        this.overlay.hidden = true;
+        if (this.returnFocus && document.contains(this.returnFocus)) {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+
+    /**
+     * Fill the overlay with the shortcuts, grouped by context
+     */
+    renderHelp() {
+        const fragment = document.createDocumentFragment();
+        this.getGroups().forEach(group => {
+            const heading = document.createElement('h3');
+            heading.className = 'keymap-group-title';
+            heading.textContent = this.getContextText(group.context);
+            fragment.appendChild(heading);
+
+            const list = document.createElement('dl');
+            list.className = 'keymap-list';
+            group.bindings.forEach(binding => {
+                const name = document.createElement('dt');
+                name.textContent = this.getBindingText(binding);
+                const keys = document.createElement('dd');
+                keys.appendChild(this.createKeysElement(this.getKeys(binding)));
+                list.append(name, keys);
+            });
+            fragment.appendChild(list);
+        });
+        this.list.replaceChildren(fragment);
+    }
+}
+
+/**
+ * Initialize the keymap when DOM is loaded (before menu.js and the other
+ * scripts that register shortcuts)
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    window.homaraKeymap = new HomaraKeymap({
+        overlay: document.getElementById('shortcutsOverlay'),
+        list: document.getElementById('shortcutsList')
+    });
+});
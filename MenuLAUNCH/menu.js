@@ -8,12 +8,97 @@
  * 
  * Features:
  * - Smooth animations and transitions
- * - Search functionality
- * - Dynamic menu item generation
+ * - Search box (results come from search.js)
+ * - Menu entries loaded from ../assets/data/menu.json, with collapsible
+ *   submenus, separators and badge counts; a built-in menu stands in when
+ *   the file doesn't load
+ * - Items needing a permission (see roles.js) are hidden or disabled for
+ *   roles without it
+ * - Items added and removed at runtime:
+ *     homaraMenu.addMenuItem({ id, text, route }, { parent: 'point-management' })
+ *     homaraMenu.removeMenuItem(id)
+ *     homaraMenu.setBadge(id, 3)
+ *   Entries from the JSON exist once `homaraMenu.ready` has resolved
  * - Tooltip management
+ * - Keyboard use following the ARIA menu pattern: one tab stop per menu,
+ *   arrow keys, Home/End and type-ahead move between items, Right/Left
+ *   open and close submenus. Focus opens the collapsed sidebar like hovering
+ *   does, and state changes are announced through a polite live region.
  * - Event handling for all interactive elements
  */
 
+/**
+ * Check a menu entry against ../assets/data/menu.schema.json. Items added
+ * from scripts may also pass functions as `action` and `labelParams`.
+ * @param {*} entry - Menu entry
+ * @returns {string|null} - What is wrong with it, or null when it is valid
+ */
+function validateMenuEntry(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return 'not an object';
+    }
+    const type = entry.type || 'item';
+    if (type === 'separator') {
+        return null;
+    }
+    if (type !== 'item') {
+        return `unknown type "${type}"`;
+    }
+    if (typeof entry.id !== 'string' || !entry.id) {
+        return 'no id';
+    }
+    if (typeof entry.text !== 'string') {
+        return 'no text';
+    }
+    const strings = ['labelKey', 'icon', 'route', 'permission'].find(field => field in entry && typeof entry[field] !== 'string');
+    if (strings) {
+        return `${strings} is not a string`;
+    }
+    const named = ['action', 'labelParams'].find(field => field in entry && !['string', 'function'].includes(typeof entry[field]));
+    if (named) {
+        return `${named} is not a name or a function`;
+    }
+    if ('iconType' in entry && !['png', 'svg'].includes(entry.iconType)) {
+        return 'iconType is not png or svg';
+    }
+    if ('denied' in entry && !['hide', 'disable'].includes(entry.denied)) {
+        return 'denied is not hide or disable';
+    }
+    if ('badge' in entry && entry.badge !== null && !(Number.isInteger(entry.badge) && entry.badge >= 0)) {
+        return 'badge is not a count';
+    }
+    if ('expanded' in entry && typeof entry.expanded !== 'boolean') {
+        return 'expanded is not true or false';
+    }
+    if ('children' in entry && !Array.isArray(entry.children)) {
+        return 'children is not a list';
+    }
+    if ('routeParams' in entry && (!entry.routeParams || typeof entry.routeParams !== 'object' ||
+        Object.values(entry.routeParams).some(value => typeof value !== 'string'))) {
+        return 'routeParams is not a map of strings';
+    }
+    return null;
+}
+
+/**
+ * Whether two menu configs have the same entries, whatever the key order
+ * @param {Object} a - { main, bottom }
+ * @param {Object} b - { main, bottom }
+ * @returns {boolean} - True when main and bottom match
+ */
+function sameMenuConfig(a, b) {
+    const canonical = value => {
+        if (Array.isArray(value)) {
+            return value.map(canonical);
+        }
+        if (value && typeof value === 'object') {
+            return Object.keys(value).sort().map(key => [key, canonical(value[key])]);
+        }
+        return value;
+    };
+    return JSON.stringify(canonical([a.main, a.bottom])) === JSON.stringify(canonical([b.main, b.bottom]));
+}
+
 class HomaraMenu {
     /**
      * Initialize the menu system
@@ -30,65 +115,75 @@ class HomaraMenu {
         this.loginBtn = document.getElementById('loginBtn');
         this.minimizeBtn = document.getElementById('minimizeBtn');
         this.pullTab = document.getElementById('pullTab');
+        this.resizeHandle = document.getElementById('sidebarResizeHandle');
+        this.statusElement = document.getElementById('menuStatus');
 
         // Menu state tracking
         this.isExpanded = false;  // True when menu is pinned open
         this.isHovered = false;   // True when menu is temporarily expanded via hover
         this.isMinimized = false; // True when menu is minimized to thin sliver
+        this.isFocused = false;   // True when keyboard focus opened the collapsed menu
+
+        // Letters typed to jump to an item, forgotten after a pause
+        this.typeAheadText = '';
+        this.typeAheadTimer = null;
+
+        // Layout saved across sessions and synced across tabs: pinned,
+        // minimized and the expanded width chosen by dragging the edge
+        this.LAYOUT_STORAGE_KEY = 'homara_sidebar_layout';
+        this.MIN_WIDTH = 200;
+        this.MAX_WIDTH = 420;
+        this.DEFAULT_WIDTH = 240;
+        this.sidebarWidth = this.DEFAULT_WIDTH;
+
+        // Below this the sidebar stays collapsed, whatever was saved
+        this.narrowQuery = window.matchMedia('(max-width: 768px)');
 
         // Detect macOS for performance optimizations
         this.isMacOS = this.detectMacOS();
         
-        // Menu configuration with your specified items
-        this.menuConfig = [
-            {
-                text: 'Home',
-                icon: 'image.png',
-                iconType: 'png',
-                action: () => this.handleMenuClick('home')
-            },
-            {
-                text: 'Apply',
-                icon: 'applyicon.PNG',
-                iconType: 'png',
-                action: () => this.handleMenuClick('apply')
-            },
-            {
-                text: 'Build',
-                icon: 'build-icon.svg',
-                iconType: 'svg',
-                action: () => this.handleMenuClick('build')
-            },
-            {
-                text: 'Community Preview',
-                icon: 'eye-icon.svg',
-                iconType: 'svg',
-                action: () => this.handleMenuClick('community-preview')
-            },
-            {
-                text: 'Edit Your Point',
-                icon: 'point-icon.svg',
-                iconType: 'svg',
-                action: () => this.handleMenuClick('edit-point')
-            },
-            {
-                text: 'Point Management',
-                icon: 'manage-icon.svg',
-                iconType: 'svg',
-                action: () => this.handleMenuClick('point-management')
-            }
-        ];
+        // Menu entries come from ../assets/data/menu.json, described by
+        // menu.schema.json next to it: items opening a route of
+        // ../src/router.js or running a named action, separators, and items
+        // with `children` (collapsible submenus). `text` is the English
+        // label, shown until the translation for `labelKey` has loaded.
+        this.CONFIG_URL = '../assets/data/menu.json';
+
+        // Copy of menu.json, shown below an item to try again when the file
+        // can't be loaded. loadConfig() warns when the two differ.
+        this.DEFAULT_CONFIG = {
+            main: [
+                { id: 'home', text: 'Home', labelKey: 'menu.home', icon: 'image.png', route: 'home' },
+                { type: 'separator' },
+                { id: 'apply', text: 'Apply', labelKey: 'menu.apply', icon: 'applyicon.PNG', route: 'apply' },
+                { id: 'build', text: 'Build', labelKey: 'menu.build', icon: 'build-icon.svg', route: 'build' },
+                { id: 'community-preview', text: 'Community Preview', labelKey: 'menu.communityPreview', icon: 'eye-icon.svg', route: 'community-preview' },
+                { type: 'separator' },
+                { id: 'edit-point', text: 'Edit Your Point', labelKey: 'menu.editPoint', icon: 'point-icon.svg', route: 'edit-point', permission: 'point.edit', denied: 'disable' },
+                { id: 'point-management', text: 'Point Management', labelKey: 'menu.pointManagement', icon: 'manage-icon.svg', route: 'point-management', permission: 'point.manage', denied: 'hide' },
+                { id: 'point-history', text: 'Point History', labelKey: 'menu.pointHistory', icon: 'history-icon.svg', route: 'point-history' }
+            ],
+            bottom: [
+                { id: 'theme', text: 'Theme: {mode}', labelKey: 'menu.theme', labelParams: 'themeMode', icon: 'theme-icon.svg', action: 'theme.cycle' },
+                { id: 'settings-help', text: 'Settings & Help', labelKey: 'menu.settingsHelp', icon: 'settingsicon.PNG', route: 'settings-help' }
+            ]
+        };
+        this.menuConfig = [];               // Entries above Point History
+        this.bottomMenuConfig = [];         // Entries below the account buttons
+        this.renderedItems = new Map();     // Entry id -> { node, element, submenu, signature }
+        this.expandedItems = new Set();     // Ids of open submenus
+        this.badges = new Map();            // Item id -> count (see setBadge)
+        this.separatorCount = 0;
+
+        // Actions and label {placeholders} the JSON refers to by name
+        this.actions = new Map([
+            ['theme.cycle', () => this.cycleTheme()],
+            ['menu.reload', () => window.location.reload()]
+        ]);
+        this.labelParamSources = new Map([
+            ['themeMode', () => ({ mode: this.getThemeModeName() })]
+        ]);
 
-        // Menu items that appear below Point History section
-        this.bottomMenuConfig = [
-            {
-                text: 'Settings & Help',
-                icon: 'settingsicon.PNG',
-                iconType: 'png',
-                action: () => this.handleMenuClick('settings-help')
-            }
-        ];
-        
         // Initialize the menu system
         this.init();
     }
@@ -143,39 +238,284 @@ class HomaraMenu {
         // Apply macOS-specific optimizations if needed
         this.applyMacOSOptimizations();
 
-        // Generate menu items
-        this.generateMenuItems();
+        // Load the menu entries; resolves once they are drawn
+        this.ready = this.loadConfig();
 
         // Attach event listeners
         this.attachEventListeners();
 
+        // Restore the saved layout without animating into it
+        this.applyLayout(this.readLayout(), { instant: true });
+
         // Set initial tooltip text
         this.updateTooltipText();
+        this.updateThemeMenuItem();
+
+        // Language switcher in the sidebar footer
+        if (window.homaraI18n) {
+            window.homaraI18n.bindSwitcher(document.getElementById('languageSelect'));
+        }
 
         console.log('Homara Menu System initialized successfully');
     }
     
     /**
-     * Generate menu items from configuration
+     * Load the menu entries and draw them
+     * @returns {Promise} - Resolves once the menu is drawn, loaded or not
+     */
+    loadConfig() {
+        return fetch(this.CONFIG_URL)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Menu config request failed: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(config => {
+                if (!sameMenuConfig(config, this.DEFAULT_CONFIG)) {
+                    console.warn('menu.json and HomaraMenu.DEFAULT_CONFIG differ; update DEFAULT_CONFIG to match');
+                }
+                this.applyConfig(config);
+            })
+            .catch(error => {
+                console.error('Menu config not loaded:', error);
+                this.applyConfig({
+                    main: [
+                        {
+                            id: 'menu-reload',
+                            text: "The menu didn't load. Try again",
+                            labelKey: 'menu.loadError',
+                            action: 'menu.reload'
+                        },
+                        ...this.DEFAULT_CONFIG.main
+                    ],
+                    bottom: this.DEFAULT_CONFIG.bottom
+                });
+            })
+            .then(() => {
+                this.generateMenuItems();
+                this.updateThemeMenuItem();
+                if (window.homaraRouter) {
+                    this.updateActiveItem(window.homaraRouter.getCurrent());
+                }
+            });
+    }
+
+    /**
+     * Take on the entries of a menu config
+     * @param {Object} config - { main, bottom } as in menu.json
+     */
+    applyConfig(config) {
+        // Items added from scripts before the config arrived stay after its entries
+        const ids = new Set(this.getAllEntries().map(entry => entry.id));
+        this.menuConfig = [...this.normalizeEntries(config.main || [], ids), ...this.menuConfig];
+        this.bottomMenuConfig = [...this.normalizeEntries(config.bottom || [], ids), ...this.bottomMenuConfig];
+    }
+
+    /**
+     * Check and complete a list of entries, skipping invalid ones
+     * @param {Object[]} entries - Entries from the JSON
+     * @param {Set} ids - Ids already in use; the new ones are added
+     * @returns {Object[]} - Entries ready to render
+     */
+    normalizeEntries(entries, ids) {
+        return entries.flatMap(entry => {
+            let problem = validateMenuEntry(entry);
+            if (!problem && entry.id && ids.has(entry.id)) {
+                problem = `id "${entry.id}" is taken`;
+            }
+            if (problem) {
+                console.warn(`Menu entry skipped (${problem}):`, entry);
+                return [];
+            }
+            return [this.normalizeEntry(entry, ids)];
+        });
+    }
+
+    /**
+     * Fill in the defaults of a valid entry and resolve named actions
+     * @param {Object} entry - Menu entry
+     * @param {Set} ids - Ids already in use; the entry's own are added
+     * @returns {Object} - Entry ready to render
+     */
+    normalizeEntry(entry, ids) {
+        if (entry.type === 'separator') {
+            const id = entry.id || `separator-${++this.separatorCount}`;
+            ids.add(id);
+            return { type: 'separator', id };
+        }
+        ids.add(entry.id);
+
+        const item = {
+            ...entry,
+            type: 'item',
+            iconType: entry.iconType || (/\.svg$/i.test(entry.icon || '') ? 'svg' : 'png'),
+            children: entry.children ? this.normalizeEntries(entry.children, ids) : null
+        };
+
+        // Named in the JSON; looked up on use so actions can be registered later
+        if (typeof entry.action === 'string') {
+            item.action = () => this.runAction(entry.action);
+        } else if (!entry.action) {
+            item.action = () => (item.children && !item.route ? this.toggleSubmenu(item.id) : this.handleMenuClick(item.id));
+        }
+        if (typeof entry.labelParams === 'string') {
+            const source = this.labelParamSources.get(entry.labelParams);
+            item.labelParams = source || (() => ({}));
+        }
+
+        if (entry.expanded) {
+            this.expandedItems.add(item.id);
+        }
+        if ('badge' in entry && !this.badges.has(item.id)) {
+            this.badges.set(item.id, entry.badge);
+        }
+        return item;
+    }
+
+    /**
+     * Run a named action
+     * @param {string} name - e.g. 'theme.cycle'
+     */
+    runAction(name) {
+        const action = this.actions.get(name);
+        if (action) {
+            action();
+        } else {
+            console.warn(`No menu action named: ${name}`);
+        }
+    }
+
+    /**
+     * Let menu entries refer to an action by name
+     * @param {string} name - Name used as `action` in the JSON
+     * @param {Function} run - What the action does
+     */
+    registerAction(name, run) {
+        this.actions.set(name, run);
+    }
+
+    /**
+     * Draw the menu from the configuration. Elements of entries already on
+     * screen are updated in place and moved, not rebuilt.
      */
     generateMenuItems() {
-        // Clear existing menu items
-        this.menuItems.innerHTML = '';
-        this.bottomMenuItems.innerHTML = '';
+        const rendered = new Set();
+        this.renderEntries(this.menuItems, this.menuConfig, rendered);
+        this.renderEntries(this.bottomMenuItems, this.bottomMenuConfig, rendered);
 
-        // Create main menu items
-        this.menuConfig.forEach(item => {
-            const menuItem = this.createMenuItem(item);
-            this.menuItems.appendChild(menuItem);
+        // Forget the elements of removed entries
+        this.renderedItems.forEach((value, id) => {
+            if (!rendered.has(id)) {
+                this.renderedItems.delete(id);
+            }
         });
 
-        // Create bottom menu items (View Controls, Settings & Help)
-        this.bottomMenuConfig.forEach(item => {
-            const menuItem = this.createMenuItem(item);
-            this.bottomMenuItems.appendChild(menuItem);
+        this.updateRovingFocus(this.menuItems);
+        this.updateRovingFocus(this.bottomMenuItems);
+    }
+
+    /**
+     * Make a container's children match a list of entries
+     * @param {HTMLElement} container - Menu items container or submenu
+     * @param {Object[]} entries - Entries, in order
+     * @param {Set} rendered - Ids drawn so far
+     */
+    renderEntries(container, entries, rendered) {
+        const nodes = entries
+            .filter(entry => this.isAllowed(entry) || entry.denied !== 'hide')
+            .map(entry => this.renderEntry(entry, rendered));
+
+        Array.from(container.children).forEach(child => {
+            if (!nodes.includes(child)) {
+                child.remove();
+            }
+        });
+        nodes.forEach((node, index) => {
+            if (container.children[index] !== node) {
+                container.insertBefore(node, container.children[index] || null);
+            }
         });
     }
-    
+
+    /**
+     * Element of one entry: reused when its icon and kind didn't change
+     * @param {Object} entry - Menu entry
+     * @param {Set} rendered - Ids drawn so far
+     * @returns {HTMLElement} - Node to place in the container
+     */
+    renderEntry(entry, rendered) {
+        rendered.add(entry.id);
+
+        const signature = entry.type === 'separator'
+            ? 'separator'
+            : `${entry.iconType}:${entry.icon}:${Boolean(entry.children)}`;
+        let current = this.renderedItems.get(entry.id);
+        if (!current || current.signature !== signature) {
+            current = entry.type === 'separator'
+                ? { node: this.createSeparator(), signature }
+                : { ...this.createBranch(entry), signature };
+            this.renderedItems.set(entry.id, current);
+        }
+
+        if (entry.type === 'item') {
+            this.updateMenuItem(current, entry);
+            if (entry.children) {
+                this.renderEntries(current.submenu, entry.children, rendered);
+            }
+        }
+        return current.node;
+    }
+
+    /**
+     * Line between groups of items
+     * @returns {HTMLElement} - Separator element
+     */
+    createSeparator() {
+        const separator = document.createElement('div');
+        separator.className = 'menu-separator';
+        separator.setAttribute('role', 'separator');
+        return separator;
+    }
+
+    /**
+     * A menu item, wrapped with its submenu and the button opening it when it has children
+     * @param {Object} item - Menu item configuration
+     * @returns {Object} - { node, element, submenu, toggle }
+     */
+    createBranch(item) {
+        const element = this.createMenuItem(item);
+        if (!item.children) {
+            return { node: element, element, submenu: null, toggle: null };
+        }
+
+        // Only the item and its group belong to the menu, not this wrapper
+        const node = document.createElement('div');
+        node.className = 'menu-branch';
+        node.setAttribute('role', 'none');
+
+        const submenu = document.createElement('div');
+        submenu.className = 'menu-submenu';
+        submenu.id = `menu-submenu-${item.id}`;
+        submenu.setAttribute('role', 'group');
+
+        // For the mouse only, so it stays out of the accessibility tree; the
+        // item itself is expandable and the keyboard uses the arrow keys
+        const toggle = document.createElement('span');
+        toggle.className = 'menu-item-toggle';
+        toggle.setAttribute('aria-hidden', 'true');
+        toggle.innerHTML = '<svg width="12" height="12" viewBox="0 0 24 24" fill="none" aria-hidden="true"><path d="M8.59 16.59L13.17 12L8.59 7.41L10 6L16 12L10 18L8.59 16.59Z" fill="currentColor"/></svg>';
+        toggle.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.toggleSubmenu(item.id);
+        });
+
+        element.setAttribute('aria-controls', submenu.id);
+        node.append(element, toggle, submenu);
+        return { node, element, submenu, toggle };
+    }
+
     /**
      * Create a single menu item element
      * @param {Object} item - Menu item configuration
@@ -185,15 +525,16 @@ class HomaraMenu {
         // Create menu item container
         const menuItem = document.createElement('div');
         menuItem.className = 'menu-item';
-        menuItem.setAttribute('role', 'button');
-        menuItem.setAttribute('tabindex', '0');
+        menuItem.setAttribute('role', 'menuitem');
+        menuItem.setAttribute('tabindex', '-1'); // One item per menu is in the tab order (see updateRovingFocus)
+        menuItem.dataset.menuId = item.id;
         
         // Create icon container
         const iconContainer = document.createElement('div');
         iconContainer.className = 'menu-item-icon';
 
-        // Create icon (SVG or PNG)
-        if (item.iconType === 'png') {
+        // Create icon (SVG or PNG); without one the space stays empty so labels line up
+        if (item.icon && item.iconType === 'png') {
             // Create PNG image element
             const icon = document.createElement('img');
             icon.src = `assets/${item.icon}`;
@@ -202,7 +543,7 @@ class HomaraMenu {
             icon.style.height = '20px';
             icon.style.objectFit = 'contain';
             iconContainer.appendChild(icon);
-        } else {
+        } else if (item.icon) {
             // Create SVG icon
             const icon = document.createElement('div');
             icon.innerHTML = this.loadSVGIcon(item.icon);
@@ -212,29 +553,249 @@ class HomaraMenu {
         // Create text element
         const textElement = document.createElement('span');
         textElement.className = 'menu-item-text';
-        textElement.textContent = item.text;
+        textElement.id = `menu-item-text-${item.id}`;
+
+        // Count shown after the label (see setBadge)
+        const badge = document.createElement('span');
+        badge.className = 'menu-item-badge';
+        badge.id = `menu-item-badge-${item.id}`;
+        badge.hidden = true;
+
+        // Named by its label even while the collapsed sidebar hides it
+        menuItem.setAttribute('aria-labelledby', `${textElement.id} ${badge.id}`);
         
         // Assemble menu item
         menuItem.appendChild(iconContainer);
         menuItem.appendChild(textElement);
+        menuItem.appendChild(badge);
         
-        // Add click event listener
+        // Add click event listener. The item is looked up on use, so a
+        // reused element runs the current configuration.
         menuItem.addEventListener('click', (e) => {
             e.preventDefault();
             e.stopPropagation();
-            item.action();
+            this.runMenuItem(item.id);
         });
         
         // Add keyboard support
         menuItem.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' || e.key === ' ') {
                 e.preventDefault();
-                item.action();
+                this.runMenuItem(item.id);
             }
         });
         
         return menuItem;
     }
+
+    /**
+     * Run an item's action, unless the current role may not use it
+     * @param {string} id - Item id
+     */
+    runMenuItem(id) {
+        const item = this.findMenuItem(id);
+        if (item && this.isAllowed(item)) {
+            item.action();
+        }
+    }
+
+    /**
+     * Whether the current role may use an entry (see roles.js)
+     * @param {Object} entry - Menu entry
+     * @returns {boolean}
+     */
+    isAllowed(entry) {
+        return !entry.permission || !window.homaraRoles || window.homaraRoles.can(entry.permission);
+    }
+
+    /**
+     * Bring a drawn item up to date: label, badge, permission and submenu state
+     * @param {Object} rendered - { element, submenu } from createBranch
+     * @param {Object} item - Menu item configuration
+     */
+    updateMenuItem({ element, submenu, toggle }, item) {
+        const text = this.getMenuItemText(item);
+        const textElement = element.querySelector('.menu-item-text');
+        if (textElement.textContent !== text) {
+            textElement.textContent = text;
+        }
+
+        // Denied items that stay visible are disabled, with the reason on hover
+        const allowed = this.isAllowed(item);
+        element.classList.toggle('disabled', !allowed);
+        if (allowed && element.hasAttribute('aria-disabled')) {
+            element.removeAttribute('aria-disabled');
+            element.removeAttribute('title');
+        } else if (!allowed) {
+            element.setAttribute('aria-disabled', 'true');
+            element.title = !(window.homaraAuth && window.homaraAuth.isAuthenticated)
+                ? this.translate('menu.loginRequired', 'Log in to use this')
+                : this.translate('menu.notAllowed', "Your role doesn't include this");
+        }
+
+        const count = this.badges.get(item.id);
+        const badge = element.querySelector('.menu-item-badge');
+        badge.hidden = !count;
+        badge.textContent = count > 99 ? '99+' : String(count || '');
+
+        if (submenu) {
+            const expanded = this.expandedItems.has(item.id);
+            submenu.hidden = !expanded;
+            submenu.setAttribute('aria-label', this.translate('menu.submenu', '{item} submenu', { item: text }));
+            element.setAttribute('aria-expanded', String(expanded));
+        }
+    }
+
+    /**
+     * Open or close an item's submenu
+     * @param {string} id - Item id
+     * @param {boolean} expanded - Defaults to the opposite of now
+     */
+    toggleSubmenu(id, expanded = !this.expandedItems.has(id)) {
+        if (expanded) {
+            this.expandedItems.add(id);
+        } else {
+            this.expandedItems.delete(id);
+        }
+        const item = this.findMenuItem(id);
+        const rendered = this.renderedItems.get(id);
+        if (item && rendered && rendered.submenu) {
+            // Focus inside a closing submenu goes back to its item
+            if (!expanded && rendered.submenu.contains(document.activeElement)) {
+                rendered.element.focus();
+            }
+            this.updateMenuItem(rendered, item);
+            this.updateRovingFocus(rendered.node.closest('[role="menu"]'));
+        }
+    }
+
+    /**
+     * Show a count next to an item, e.g. unread messages
+     * @param {string} id - Item id; may be set before the JSON has loaded
+     * @param {number|null} count - 0 or null hides the badge
+     */
+    setBadge(id, count) {
+        this.badges.set(id, count);
+        const item = this.findMenuItem(id);
+        const rendered = this.renderedItems.get(id);
+        if (item && rendered) {
+            this.updateMenuItem(rendered, item);
+        }
+    }
+
+    /**
+     * Items of a menu that can take focus now, in order (not those in closed submenus)
+     * @param {HTMLElement} container - Menu items container
+     * @returns {HTMLElement[]} - Menu item elements
+     */
+    getNavigableItems(container) {
+        return Array.from(container.querySelectorAll('.menu-item'))
+            .filter(menuItem => !menuItem.closest('.menu-submenu[hidden]'));
+    }
+
+    /**
+     * Make an item the menu's one tab stop
+     * @param {HTMLElement} container - Menu items container
+     * @param {HTMLElement|null} menuItem - Item to reach with Tab
+     */
+    setRovingItem(container, menuItem) {
+        container.querySelectorAll('.menu-item').forEach(element => {
+            element.setAttribute('tabindex', element === menuItem ? '0' : '-1');
+        });
+    }
+
+    /**
+     * Keep the menu's tab stop on an item that can take focus: the focused
+     * one, else the current page's, else the previous one, else the first
+     * @param {HTMLElement|null} container - Menu items container
+     */
+    updateRovingFocus(container) {
+        if (!container) {
+            return;
+        }
+        const items = this.getNavigableItems(container);
+        const candidates = [
+            document.activeElement,
+            container.querySelector('.menu-item[aria-current]'),
+            container.querySelector('.menu-item[tabindex="0"]')
+        ];
+        this.setRovingItem(container, candidates.find(element => items.includes(element)) || items[0] || null);
+    }
+
+    /**
+     * Move focus within a menu (ARIA menu pattern)
+     * @param {KeyboardEvent} e - Keydown on the menu
+     * @param {HTMLElement} container - Menu items container
+     */
+    handleMenuKeydown(e, container) {
+        const menuItem = e.target.closest('.menu-item');
+        if (!menuItem || e.ctrlKey || e.metaKey || e.altKey) {
+            return;
+        }
+        const items = this.getNavigableItems(container);
+        const index = items.indexOf(menuItem);
+        const id = menuItem.dataset.menuId;
+        const rendered = this.renderedItems.get(id);
+        const found = this.findEntryList(id);
+        const parent = found && found.parent && this.renderedItems.get(found.parent.id);
+
+        let target = null;
+        if (e.key === 'ArrowDown') {
+            target = items[(index + 1) % items.length];
+        } else if (e.key === 'ArrowUp') {
+            target = items[(index - 1 + items.length) % items.length];
+        } else if (e.key === 'Home') {
+            target = items[0];
+        } else if (e.key === 'End') {
+            target = items[items.length - 1];
+        } else if (e.key === 'ArrowRight' && rendered && rendered.submenu) {
+            // Open the submenu, or step into it when it is open
+            if (this.expandedItems.has(id)) {
+                target = this.getNavigableItems(rendered.submenu)[0] || null;
+            } else {
+                this.toggleSubmenu(id, true);
+            }
+        } else if (e.key === 'ArrowLeft' && rendered && rendered.submenu && this.expandedItems.has(id)) {
+            this.toggleSubmenu(id, false);
+        } else if (e.key === 'ArrowLeft' && parent) {
+            target = parent.element;
+        } else if (e.key.length === 1 && e.key !== ' ') {
+            target = this.findTypeAheadItem(e.key, items, index);
+        } else {
+            return;
+        }
+
+        e.preventDefault();
+        if (target) {
+            target.focus();
+        }
+    }
+
+    /**
+     * Item whose label starts with the letters typed so far. Typing the same
+     * letter again moves on to the next item starting with it.
+     * @param {string} character - Key just typed
+     * @param {HTMLElement[]} items - Items that can take focus
+     * @param {number} index - Position of the focused item
+     * @returns {HTMLElement|null} - Item to focus
+     */
+    findTypeAheadItem(character, items, index) {
+        clearTimeout(this.typeAheadTimer);
+        this.typeAheadTimer = setTimeout(() => {
+            this.typeAheadText = '';
+        }, 500);
+        this.typeAheadText += character.toLocaleLowerCase();
+
+        const text = this.typeAheadText;
+        const repeated = [...text].every(letter => letter === text[0]);
+        const wanted = repeated ? text[0] : text;
+        const start = repeated ? index + 1 : index;
+        const ordered = [...items.slice(start), ...items.slice(0, start)];
+        return ordered.find(element => element.querySelector('.menu-item-text').textContent
+            .trim()
+            .toLocaleLowerCase()
+            .startsWith(wanted)) || null;
+    }
     
     /**
      * Load SVG icon content
@@ -251,6 +812,8 @@ class HomaraMenu {
             'eye-icon.svg': '<svg width="20" height="20" viewBox="0 0 24 24" fill="none"><path d="M12 4.5C7 4.5 2.73 7.61 1 12C2.73 16.39 7 19.5 12 19.5S21.27 16.39 23 12C21.27 7.61 17 4.5 12 4.5ZM12 17C9.24 17 7 14.76 7 12S9.24 7 12 7S17 9.24 17 12S14.76 17 12 17ZM12 9C10.34 9 9 10.34 9 12S10.34 15 12 15S15 13.66 15 12S13.66 9 12 9Z" fill="currentColor"/></svg>',
             'point-icon.svg': '<svg width="20" height="20" viewBox="0 0 24 24" fill="none"><path d="M14 2H6C4.9 2 4 2.9 4 4V20C4 21.1 4.89 22 5.99 22H18C19.1 22 20 21.1 20 20V8L14 2ZM18 20H6V4H13V9H18V20Z" fill="currentColor"/><path d="M8 12H16V14H8V12Z" fill="currentColor"/><path d="M8 16H13V18H8V16Z" fill="currentColor"/></svg>',
             'manage-icon.svg': '<svg width="20" height="20" viewBox="0 0 24 24" fill="none"><path d="M12 2L13.09 8.26L22 9L13.09 9.74L12 16L10.91 9.74L2 9L10.91 8.26L12 2Z" fill="currentColor"/><path d="M19 15H23L20.5 17.5L23 20H19L16.5 17.5L19 15Z" fill="currentColor"/><path d="M6.5 17.5L9 15H5L2 17.5L5 20H9L6.5 17.5Z" fill="currentColor"/></svg>',
+            'history-icon.svg': '<svg width="20" height="20" viewBox="0 0 24 24" fill="none"><path d="M13 3C8.03 3 4 7.03 4 12H1L4.89 15.89L4.96 16.03L9 12H6C6 8.13 9.13 5 13 5S20 8.13 20 12S16.87 19 13 19C11.07 19 9.32 18.21 8.06 16.94L6.64 18.36C8.27 19.99 10.51 21 13 21C17.97 21 22 16.97 22 12S17.97 3 13 3ZM12 8V13L16.28 15.54L17 14.33L13.5 12.25V8H12Z" fill="currentColor"/></svg>',
+            'theme-icon.svg': '<svg width="20" height="20" viewBox="0 0 24 24" fill="none"><path d="M12 2C6.48 2 2 6.48 2 12S6.48 22 12 22 22 17.52 22 12 17.52 2 12 2ZM12 20V4C16.42 4 20 7.58 20 12S16.42 20 12 20Z" fill="currentColor"/></svg>',
             'controls-icon.svg': '<svg width="20" height="20" viewBox="0 0 24 24" fill="none"><path d="M3 17V19H9V17H3ZM3 5V7H13V5H3ZM13 21V19H21V17H13V15H11V21H13ZM7 9V11H3V13H7V15H9V9H7ZM21 13V11H11V13H21ZM15 9H17V7H21V5H17V3H15V9Z" fill="currentColor"/></svg>',
             'settings-icon.svg': '<svg width="20" height="20" viewBox="0 0 24 24" fill="none"><path d="M19.14 12.94C19.18 12.64 19.2 12.33 19.2 12S19.18 11.36 19.14 11.06L21.16 9.48C21.34 9.34 21.39 9.07 21.28 8.87L19.36 5.55C19.24 5.33 18.99 5.26 18.77 5.33L16.38 6.29C15.88 5.91 15.35 5.59 14.76 5.35L14.4 2.81C14.36 2.57 14.16 2.4 13.92 2.4H10.08C9.84 2.4 9.64 2.57 9.6 2.81L9.24 5.35C8.65 5.59 8.12 5.92 7.62 6.29L5.23 5.33C5.01 5.25 4.76 5.33 4.64 5.55L2.72 8.87C2.61 9.08 2.66 9.34 2.84 9.48L4.86 11.06C4.82 11.36 4.8 11.69 4.8 12S4.82 12.64 4.86 12.94L2.84 14.52C2.66 14.66 2.61 14.93 2.72 15.13L4.64 18.45C4.76 18.67 5.01 18.74 5.23 18.67L7.62 17.71C8.12 18.09 8.65 18.41 9.24 18.65L9.6 21.19C9.64 21.43 9.84 21.6 10.08 21.6H13.92C14.16 21.6 14.36 21.43 14.4 21.19L14.76 18.65C15.35 18.41 15.88 18.09 16.38 17.71L18.77 18.67C18.99 18.75 19.24 18.67 19.36 18.45L21.28 15.13C21.39 14.93 21.34 14.66 21.16 14.52L19.14 12.94ZM12 15.6C10.02 15.6 8.4 13.98 8.4 12S10.02 8.4 12 8.4S15.6 10.02 15.6 12S13.98 15.6 12 15.6Z" fill="currentColor"/></svg>'
         };
@@ -268,6 +831,9 @@ class HomaraMenu {
             e.stopPropagation();
             this.togglePinnedState();
         });
+
+        // Enter and Space press the div buttons too
+        [this.menuIcon, this.minimizeBtn, this.pullTab].forEach(element => this.addButtonKeys(element));
         
         // Sidebar hover effects - optimized for macOS
         this.sidebar.addEventListener('mouseenter', (e) => {
@@ -306,18 +872,44 @@ class HomaraMenu {
             }
         });
         
-        // Search functionality
-        this.searchInput.addEventListener('input', (e) => {
-            this.handleSearch(e.target.value);
+        // Keyboard focus opens the collapsed sidebar like hovering does, so
+        // the focused item's label shows
+        this.sidebar.addEventListener('focusin', () => {
+            if (!this.isExpanded && !this.isHovered && !this.isMinimized && !this.isFocused) {
+                this.isFocused = true;
+                this.sidebar.classList.add('expanded');
+                this.updateTooltipText();
+
+                if (window.homaraAuth && window.homaraAuth.updateProfileIconVisibility) {
+                    window.homaraAuth.updateProfileIconVisibility();
+                }
+            }
         });
-        
-        this.searchInput.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') {
-                this.handleSearchSubmit(e.target.value);
-            } else if (e.key === 'Escape') {
-                this.clearSearch();
+
+        this.sidebar.addEventListener('focusout', (e) => {
+            if (this.isFocused && !this.sidebar.contains(e.relatedTarget)) {
+                this.isFocused = false;
+                if (!this.isExpanded) {
+                    this.sidebar.classList.remove('expanded');
+                }
+                this.updateTooltipText();
+
+                if (window.homaraAuth && window.homaraAuth.updateProfileIconVisibility) {
+                    window.homaraAuth.updateProfileIconVisibility();
+                }
             }
         });
+
+        // Arrow keys, Home/End and type-ahead within each menu
+        [this.menuItems, this.bottomMenuItems].forEach(container => {
+            container.addEventListener('keydown', (e) => this.handleMenuKeydown(e, container));
+            container.addEventListener('focusin', (e) => {
+                const menuItem = e.target.closest('.menu-item');
+                if (menuItem) {
+                    this.setRovingItem(container, menuItem);
+                }
+            });
+        });
         
         // Auth button handlers
         this.signupBtn.addEventListener('click', () => {
@@ -328,54 +920,86 @@ class HomaraMenu {
             this.handleAuthClick('login');
         });
         
-        // Point squares click handlers
-        const pointSquares = document.querySelectorAll('.point-square');
-        pointSquares.forEach((square, index) => {
-            square.addEventListener('click', () => {
-                this.handlePointSquareClick(index);
-            });
-        });
-
         // Minimize button handler
         this.minimizeBtn.addEventListener('click', (e) => {
             e.preventDefault();
             e.stopPropagation();
+            const hadFocus = document.activeElement === this.minimizeBtn;
             this.minimizeMenu();
+            // The button is gone now; the pull tab brings the menu back
+            if (hadFocus) {
+                this.pullTab.focus();
+            }
         });
 
         // Pull tab handler
         this.pullTab.addEventListener('click', (e) => {
             e.preventDefault();
             e.stopPropagation();
+            const hadFocus = document.activeElement === this.pullTab;
             this.restoreMenu();
+            if (hadFocus) {
+                this.menuIcon.focus();
+            }
         });
-        
-        // Keyboard navigation support
-        document.addEventListener('keydown', (e) => {
-            // Toggle menu with Ctrl+M or Cmd+M
-            if ((e.ctrlKey || e.metaKey) && e.key === 'm') {
-                e.preventDefault();
-                this.togglePinnedState();
+
+        // Drag the sidebar edge to resize it
+        this.attachResizeListeners();
+
+        // Another tab changed the layout
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.LAYOUT_STORAGE_KEY) {
+                this.applyLayout(this.readLayout());
             }
-            
-            // Focus search with Ctrl+F or Cmd+F when menu is open
-            if ((e.ctrlKey || e.metaKey) && e.key === 'f' && (this.isExpanded || this.isHovered)) {
-                e.preventDefault();
-                this.searchInput.focus();
+        });
+
+        // Collapse on narrow screens, bring the saved layout back on wide ones
+        this.narrowQuery.addEventListener('change', () => {
+            this.applyLayout(this.readLayout());
+        });
+        
+        // Keyboard shortcuts (see keymap.js)
+        if (window.homaraKeymap) {
+            this.registerShortcuts(window.homaraKeymap);
+        }
+
+        // Keep the theme menu item in step with the mode (also changes from other tabs)
+        document.addEventListener('themechange', () => {
+            this.updateThemeMenuItem();
+        });
+
+        // Relabel everything when the language changes
+        document.addEventListener('localechange', () => {
+            this.updateMenuLabels();
+        });
+
+        // Highlight the item for the current route
+        document.addEventListener('routechange', (e) => {
+            this.updateActiveItem(e.detail);
+        });
+
+        // Show, hide and disable items for the new role (see roles.js)
+        document.addEventListener('rolechange', () => {
+            this.generateMenuItems();
+            if (window.homaraRouter) {
+                this.updateActiveItem(window.homaraRouter.getCurrent());
             }
         });
     }
     
     /**
      * Toggle the pinned state of the menu
+     * @param {Object} options - { persist: false to leave the saved layout alone,
+     *     announce: false to change it silently }
      */
-    togglePinnedState() {
+    togglePinnedState({ persist = true, announce = true } = {}) {
         // Don't toggle if minimized
         if (this.isMinimized) {
             return;
         }
 
         this.isExpanded = !this.isExpanded;
+        this.isFocused = false;
 
         if (this.isExpanded) {
             this.sidebar.classList.add('expanded');
@@ -386,41 +1010,285 @@ class HomaraMenu {
         }
 
         this.updateTooltipText();
+        if (announce) {
+            this.announce(this.isExpanded
+                ? this.translate('menu.announce.pinned', 'Menu kept open')
+                : this.translate('menu.announce.collapsed', 'Menu collapsed'));
+        }
 
         // Update profile icon visibility
         if (window.homaraAuth && window.homaraAuth.updateProfileIconVisibility) {
             window.homaraAuth.updateProfileIconVisibility();
         }
+
+        if (persist) {
+            this.saveLayout();
+        }
     }
 
     /**
      * Minimize the menu to a thin sliver
+     * @param {Object} options - { persist: false to leave the saved layout alone,
+     *     announce: false to change it silently }
      */
-    minimizeMenu() {
+    minimizeMenu({ persist = true, announce = true } = {}) {
         this.isMinimized = true;
         this.isExpanded = false;
         this.isHovered = false;
+        this.isFocused = false;
 
         this.sidebar.classList.remove('expanded');
         this.sidebar.classList.add('minimized');
 
         console.log('Menu minimized');
         this.updateTooltipText();
+        if (announce) {
+            this.announce(this.translate('menu.announce.minimized', 'Menu minimized'));
+        }
+
+        if (persist) {
+            this.saveLayout();
+        }
     }
 
     /**
      * Restore the menu from minimized state
+     * @param {Object} options - { persist: false to leave the saved layout alone,
+     *     announce: false to change it silently }
      */
-    restoreMenu() {
+    restoreMenu({ persist = true, announce = true } = {}) {
         this.isMinimized = false;
         this.sidebar.classList.remove('minimized');
 
         console.log('Menu restored');
         this.updateTooltipText();
+        if (announce) {
+            this.announce(this.translate('menu.announce.restored', 'Menu restored'));
+        }
+
+        if (persist) {
+            this.saveLayout();
+        }
+    }
+
+    /**
+     * Register the menu's keyboard shortcuts
+     * @param {HomaraKeymap} keymap - The page's keymap
+     */
+    registerShortcuts(keymap) {
+        keymap.register({
+            id: 'menu.toggle',
+            keys: 'Mod+M',
+            text: 'Keep the menu open or collapse it',
+            labelKey: 'keymap.commands.toggleMenu',
+            // Brings a minimized menu back first
+            run: () => (this.isMinimized ? this.restoreMenu() : this.togglePinnedState())
+        });
+        // "/" rather than Ctrl+F, which stays the browser's find
+        keymap.register({
+            id: 'search.focus',
+            keys: '/',
+            text: 'Search communities and users',
+            labelKey: 'keymap.commands.focusSearch',
+            run: () => this.focusSearch()
+        });
+        keymap.register({
+            id: 'menu.leave',
+            keys: 'Escape',
+            text: 'Leave the menu',
+            labelKey: 'keymap.commands.leaveMenu',
+            context: 'sidebar',
+            run: () => document.activeElement.blur()
+        });
+    }
+
+    /**
+     * Open the menu (without saving that in the layout) and focus the search box
+     */
+    focusSearch() {
+        if (this.isMinimized) {
+            this.restoreMenu({ persist: false });
+        }
+        if (!this.isExpanded) {
+            this.togglePinnedState({ persist: false });
+        }
+        this.searchInput.focus();
+    }
+
+    /**
+     * Let Enter and Space press a div acting as a button
+     * @param {HTMLElement} element - Element with role="button"
+     */
+    addButtonKeys(element) {
+        element.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                element.click();
+            }
+        });
+    }
+
+    /**
+     * Tell screen reader users about a change they can't see
+     * @param {string} message - Text to announce
+     */
+    announce(message) {
+        if (this.statusElement) {
+            this.statusElement.textContent = message;
+        }
+    }
+
+    /**
+     * Read the saved sidebar layout
+     * @returns {Object} - { pinned, minimized, width }
+     */
+    readLayout() {
+        const layout = { pinned: false, minimized: false, width: this.DEFAULT_WIDTH };
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.LAYOUT_STORAGE_KEY));
+            if (saved && typeof saved === 'object') {
+                layout.pinned = saved.pinned === true;
+                layout.minimized = saved.minimized === true;
+                if (Number.isFinite(saved.width)) {
+                    layout.width = saved.width;
+                }
+            }
+        } catch (error) {
+            // Unreadable or unavailable storage: use the defaults
+        }
+        return layout;
+    }
+
+    /**
+     * Save the current layout. Changes made on a narrow screen aren't saved,
+     * since the sidebar is collapsed there on purpose.
+     */
+    saveLayout() {
+        if (this.narrowQuery.matches) {
+            return;
+        }
+        try {
+            localStorage.setItem(this.LAYOUT_STORAGE_KEY, JSON.stringify({
+                pinned: this.isExpanded,
+                minimized: this.isMinimized,
+                width: this.sidebarWidth
+            }));
+        } catch (error) {
+            console.warn('Sidebar layout could not be saved:', error);
+        }
+    }
+
+    /**
+     * Bring the sidebar into a layout (on load, from another tab, on resize)
+     * @param {Object} layout - { pinned, minimized, width }
+     * @param {Object} options - { instant: true to skip the transitions }
+     */
+    applyLayout(layout, { instant = false } = {}) {
+        if (instant) {
+            document.body.classList.add('layout-instant');
+        }
+
+        this.setSidebarWidth(layout.width, { persist: false });
+
+        if (layout.minimized && !this.isMinimized) {
+            this.minimizeMenu({ persist: false, announce: false });
+        } else if (!layout.minimized && this.isMinimized) {
+            this.restoreMenu({ persist: false, announce: false });
+        }
+
+        const pinned = layout.pinned && !layout.minimized && !this.narrowQuery.matches;
+        if (pinned !== this.isExpanded && !this.isMinimized) {
+            this.togglePinnedState({ persist: false, announce: false });
+        }
+
+        if (instant) {
+            // Let the new layout paint before transitions come back
+            requestAnimationFrame(() => requestAnimationFrame(() => {
+                document.body.classList.remove('layout-instant');
+            }));
+        }
+    }
+
+    /**
+     * Set the expanded width of the sidebar
+     * @param {number} width - Width in pixels, clamped to MIN_WIDTH..MAX_WIDTH
+     * @param {Object} options - { persist: false to leave the saved layout alone }
+     */
+    setSidebarWidth(width, { persist = true } = {}) {
+        this.sidebarWidth = Math.round(Math.min(this.MAX_WIDTH, Math.max(this.MIN_WIDTH, width)));
+        document.documentElement.style.setProperty('--sidebar-expanded-width', `${this.sidebarWidth}px`);
+
+        if (this.resizeHandle) {
+            this.resizeHandle.setAttribute('aria-valuenow', String(this.sidebarWidth));
+        }
+        if (persist) {
+            this.saveLayout();
+        }
+    }
+
+    /**
+     * Drag (or arrow keys on the focused handle) to resize; double-click resets
+     */
+    attachResizeListeners() {
+        if (!this.resizeHandle) {
+            return;
+        }
+        this.resizeHandle.setAttribute('aria-valuemin', String(this.MIN_WIDTH));
+        this.resizeHandle.setAttribute('aria-valuemax', String(this.MAX_WIDTH));
+
+        this.resizeHandle.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) {
+                return;
+            }
+            e.preventDefault();
+            this.resizeHandle.setPointerCapture(e.pointerId);
+            this.sidebar.classList.add('resizing');
+            document.body.classList.add('layout-instant');
+        });
+
+        this.resizeHandle.addEventListener('pointermove', (e) => {
+            if (this.sidebar.classList.contains('resizing')) {
+                // The sidebar starts at the left edge, so the pointer's x is the width
+                this.setSidebarWidth(e.clientX, { persist: false });
+            }
+        });
+
+        const endResize = () => {
+            if (!this.sidebar.classList.contains('resizing')) {
+                return;
+            }
+            this.sidebar.classList.remove('resizing');
+            document.body.classList.remove('layout-instant');
+            this.saveLayout();
+        };
+        this.resizeHandle.addEventListener('pointerup', endResize);
+        this.resizeHandle.addEventListener('pointercancel', endResize);
+
+        this.resizeHandle.addEventListener('dblclick', () => {
+            this.setSidebarWidth(this.DEFAULT_WIDTH);
+        });
+
+        this.resizeHandle.addEventListener('keydown', (e) => {
+            const step = e.shiftKey ? 40 : 10;
+            if (e.key === 'ArrowRight') {
+                e.preventDefault();
+                this.setSidebarWidth(this.sidebarWidth + step);
+            } else if (e.key === 'ArrowLeft') {
+                e.preventDefault();
+                this.setSidebarWidth(this.sidebarWidth - step);
+            } else if (e.key === 'Home') {
+                e.preventDefault();
+                this.setSidebarWidth(this.MIN_WIDTH);
+            } else if (e.key === 'End') {
+                e.preventDefault();
+                this.setSidebarWidth(this.MAX_WIDTH);
+            }
+        });
     }
     
     /**
-     * Update tooltip text based on current menu state
+     * Update tooltip text (also the menu button's name) and the expanded
+     * state of the sidebar's buttons based on current menu state
      */
     updateTooltipText() {
         if (this.isMinimized) {
@@ -428,130 +1296,252 @@ class HomaraMenu {
             this.menuTooltip.textContent = '';
         } else if (this.isExpanded) {
             // State 3: Pinned open
-            this.menuTooltip.textContent = 'Collapse menu';
+            this.menuTooltip.textContent = this.translate('menu.tooltip.collapse', 'Collapse menu');
         } else if (this.isHovered || this.sidebar.classList.contains('expanded')) {
             // State 2: Temporarily expanded
-            this.menuTooltip.textContent = 'Keep menu expanded';
+            this.menuTooltip.textContent = this.translate('menu.tooltip.keepExpanded', 'Keep menu expanded');
         } else {
             // State 1: Collapsed
-            this.menuTooltip.textContent = 'Expand menu';
+            this.menuTooltip.textContent = this.translate('menu.tooltip.expand', 'Expand menu');
         }
+
+        const open = !this.isMinimized && (this.isExpanded || this.isHovered || this.isFocused);
+        this.menuIcon.setAttribute('aria-expanded', String(open));
+        this.minimizeBtn.setAttribute('aria-expanded', String(!this.isMinimized));
+        this.pullTab.setAttribute('aria-expanded', String(!this.isMinimized));
     }
     
     /**
-     * Handle menu item clicks
-     * @param {string} action - The action identifier
+     * Translate a string through the shared i18n module (../src/i18n.js)
+     * @param {string} key - Message key, e.g. 'menu.home'
+     * @param {string} fallback - English text, used until translations load
+     * @param {Object} params - Values for {placeholders} in the text
+     * @returns {string} - Translated text
      */
-    handleMenuClick(action) {
-        console.log(`Menu item clicked: ${action}`);
+    translate(key, fallback, params = {}) {
+        if (window.homaraI18n) {
+            return window.homaraI18n.t(key, fallback, params);
+        }
+        return fallback.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
 
-        // Handle navigation actions
-        if (action === 'home') {
-            // Navigate back to the main home page
-            window.location.href = '../index.html';
-            return;
+    /**
+     * Label of a menu item in the current language
+     * @param {Object} item - Menu item configuration
+     * @returns {string} - Label text
+     */
+    getMenuItemText(item) {
+        if (!item.labelKey) {
+            return item.text;
         }
+        return this.translate(item.labelKey, item.text, item.labelParams ? item.labelParams() : {});
+    }
+
+    /**
+     * Every entry, submenus included, in menu order
+     * @returns {Object[]} - Items and separators
+     */
+    getAllEntries() {
+        const flatten = entries => entries.flatMap(entry => [entry, ...(entry.children ? flatten(entry.children) : [])]);
+        return flatten([...this.menuConfig, ...this.bottomMenuConfig]);
+    }
+
+    /**
+     * Every item the current role may use (no separators), submenus
+     * included, for search and the palette
+     * @returns {Object[]} - Menu item configurations
+     */
+    getMenuItems() {
+        const flatten = entries => entries
+            .filter(entry => entry.type === 'item' && this.isAllowed(entry))
+            .flatMap(entry => [entry, ...(entry.children ? flatten(entry.children) : [])]);
+        return flatten([...this.menuConfig, ...this.bottomMenuConfig]);
+    }
 
-        // For other actions, show placeholder alerts
-        const actionNames = {
-            'home': 'Home',
-            'apply': 'Apply',
-            'build': 'Build',
-            'community-preview': 'Community Preview',
-            'edit-point': 'Edit Your Point',
-            'point-management': 'Point Management',
-            'view-controls': 'View Controls',
-            'settings-help': 'Settings & Help'
+    /**
+     * Find a menu item configuration by id
+     * @param {string} id - Menu item id, e.g. 'home'
+     * @returns {Object|undefined} - Menu item configuration
+     */
+    findMenuItem(id) {
+        return this.getAllEntries().find(item => item.id === id);
+    }
+
+    /**
+     * The list holding an entry, and the item whose submenu that is
+     * @param {string} id - Entry id
+     * @returns {Object|null} - { list, parent } or null when there is no such entry
+     */
+    findEntryList(id) {
+        const search = (list, parent) => {
+            if (list.some(entry => entry.id === id)) {
+                return { list, parent };
+            }
+            for (const entry of list) {
+                const found = entry.children && search(entry.children, entry);
+                if (found) {
+                    return found;
+                }
+            }
+            return null;
         };
+        return search(this.menuConfig, null) || search(this.bottomMenuConfig, null);
+    }
 
-        alert(`Navigating to: ${actionNames[action] || action}`);
+    /**
+     * Refresh menu labels and tooltips after a language change
+     */
+    updateMenuLabels() {
+        this.generateMenuItems();
+        this.updateTooltipText();
+        this.updateThemeMenuItem();
     }
-    
+
     /**
-     * Handle search input
-     * @param {string} query - Search query
+     * Name of a theme mode in the current language
+     * @param {string} mode - 'dark', 'light' or 'auto' (defaults to the current mode)
+     * @returns {string} - e.g. "Auto"
      */
-    handleSearch(query) {
-        console.log(`Search query: ${query}`);
-        
-        // Implement search functionality here
-        // For now, we'll just filter menu items
-        if (query.trim() === '') {
-            this.showAllMenuItems();
-        } else {
-            this.filterMenuItems(query);
+    getThemeModeName(mode) {
+        if (!window.homaraTheme) {
+            return '';
         }
+        const name = mode || window.homaraTheme.getMode();
+        return this.translate(`theme.modes.${name}`, window.homaraTheme.getLabel(name));
     }
-    
+
     /**
-     * Handle search submission
-     * @param {string} query - Search query
+     * Switch to the next theme mode (dark, light, auto)
+     * The choice is shared with the landing page through ../src/theme.js
      */
-    handleSearchSubmit(query) {
-        console.log(`Search submitted: ${query}`);
-        
-        if (query.trim() !== '') {
-            alert(`Searching for: ${query}`);
+    cycleTheme() {
+        if (!window.homaraTheme) {
+            console.warn('Theme module not loaded');
+            return;
         }
+        window.homaraTheme.cycleMode();
     }
-    
+
     /**
-     * Clear search input and show all menu items
+     * Refresh the theme menu item after the mode changed, here or in another tab
      */
-    clearSearch() {
-        this.searchInput.value = '';
-        this.showAllMenuItems();
-        console.log('Search cleared');
+    updateThemeMenuItem() {
+        const themeItem = this.bottomMenuItems.querySelector('[data-menu-id="theme"]');
+        if (!themeItem || !window.homaraTheme) return;
+
+        const nextMode = this.getThemeModeName(window.homaraTheme.getNextMode());
+        themeItem.querySelector('.menu-item-text').textContent = this.getMenuItemText(this.findMenuItem('theme'));
+        themeItem.setAttribute('title', this.translate('theme.switchTo', 'Switch to {mode} mode', {
+            mode: nextMode.toLocaleLowerCase()
+        }));
     }
-    
+
     /**
-     * Filter menu items based on search query
-     * @param {string} query - Search query
+     * Handle menu item clicks
+     * @param {string} action - The action identifier
      */
-    filterMenuItems(query) {
-        const mainMenuItems = this.menuItems.querySelectorAll('.menu-item');
-        const bottomMenuItems = this.bottomMenuItems.querySelectorAll('.menu-item');
-        const lowerQuery = query.toLowerCase();
+    handleMenuClick(action) {
+        console.log(`Menu item clicked: ${action}`);
 
-        // Filter main menu items
-        mainMenuItems.forEach(item => {
-            const text = item.querySelector('.menu-item-text').textContent.toLowerCase();
-            if (text.includes(lowerQuery)) {
-                item.style.display = 'flex';
-            } else {
-                item.style.display = 'none';
-            }
-        });
+        const item = this.findMenuItem(action);
 
-        // Filter bottom menu items
-        bottomMenuItems.forEach(item => {
-            const text = item.querySelector('.menu-item-text').textContent.toLowerCase();
-            if (text.includes(lowerQuery)) {
-                item.style.display = 'flex';
-            } else {
-                item.style.display = 'none';
+        // Every item opens its route through the shared router
+        if (item && item.route && window.homaraRouter) {
+            window.homaraRouter.navigate(item.route, { params: item.routeParams });
+        } else if (action === 'home') {
+            window.location.href = '../index.html';
+        } else {
+            console.warn(`No view for menu item: ${action}`);
+        }
+    }
+
+    /**
+     * Add a menu entry at runtime (see HomaraViews.register for items with a view)
+     * @param {Object} item - Menu item configuration, as in the JSON; `action`
+     *     may also be a function and defaults to opening `route`
+     * @param {Object} options - { bottom: true to add it below Point History,
+     *     parent: id of the item whose submenu gets it, before: id of the entry to add it before }
+     * @returns {Object} - The added entry
+     */
+    addMenuItem(item, { bottom = false, parent = null, before = null } = {}) {
+        if (item.id && this.findMenuItem(item.id)) {
+            throw new Error(`Menu item already exists: ${item.id}`);
+        }
+        const problem = validateMenuEntry(item);
+        if (problem) {
+            throw new Error(`Invalid menu item (${problem}): ${item.id}`);
+        }
+
+        let list = bottom ? this.bottomMenuConfig : this.menuConfig;
+        if (parent) {
+            const parentItem = this.findMenuItem(parent);
+            if (!parentItem || parentItem.type !== 'item') {
+                throw new Error(`No menu item to add to: ${parent}`);
             }
-        });
+            parentItem.children = parentItem.children || [];
+            list = parentItem.children;
+        }
+
+        const entry = this.normalizeEntry(item, new Set(this.getAllEntries().map(existing => existing.id)));
+        const index = before ? list.findIndex(existing => existing.id === before) : -1;
+        list.splice(index === -1 ? list.length : index, 0, entry);
+        this.generateMenuItems();
+
+        // Highlight it straight away if its route is already showing
+        if (window.homaraRouter) {
+            this.updateActiveItem(window.homaraRouter.getCurrent());
+        }
+        return entry;
     }
-    
+
     /**
-     * Show all menu items
+     * Remove a menu entry (with its submenu) at runtime
+     * @param {string} id - Entry id
+     * @returns {boolean} - False when there was no such entry
      */
-    showAllMenuItems() {
-        const mainMenuItems = this.menuItems.querySelectorAll('.menu-item');
-        const bottomMenuItems = this.bottomMenuItems.querySelectorAll('.menu-item');
+    removeMenuItem(id) {
+        const found = this.findEntryList(id);
+        if (!found) {
+            return false;
+        }
+        const [removed] = found.list.splice(found.list.findIndex(entry => entry.id === id), 1);
 
-        // Show all main menu items
-        mainMenuItems.forEach(item => {
-            item.style.display = 'flex';
-        });
+        // Forget the open state and count of the entry and everything under it
+        const forget = entry => {
+            this.expandedItems.delete(entry.id);
+            this.badges.delete(entry.id);
+            (entry.children || []).forEach(forget);
+        };
+        forget(removed);
+
+        this.generateMenuItems();
+        return true;
+    }
 
-        // Show all bottom menu items
-        bottomMenuItems.forEach(item => {
-            item.style.display = 'flex';
+    /**
+     * Highlight the menu item for the route being shown, opening the submenus around it
+     * @param {Object} match - Route match from ../src/router.js
+     */
+    updateActiveItem(match) {
+        [this.menuItems, this.bottomMenuItems].forEach(container => {
+            container.querySelectorAll('.menu-item').forEach(menuItem => {
+                const item = this.findMenuItem(menuItem.dataset.menuId);
+                const active = Boolean(item && item.route && match && item.route === match.route.name &&
+                    Object.entries(item.routeParams || {}).every(([key, value]) => match.params[key] === value));
+                menuItem.classList.toggle('active', active);
+                if (active) {
+                    menuItem.setAttribute('aria-current', 'page');
+                    for (let found = this.findEntryList(item.id); found && found.parent; found = this.findEntryList(found.parent.id)) {
+                        this.toggleSubmenu(found.parent.id, true);
+                    }
+                } else {
+                    menuItem.removeAttribute('aria-current');
+                }
+            });
+            this.updateRovingFocus(container);
         });
     }
-    
+
     /**
      * Handle authentication button clicks
      * @param {string} type - 'signup' or 'login'
@@ -582,15 +1572,6 @@ class HomaraMenu {
             }, 500);
         }
     }
-    
-    /**
-     * Handle point square clicks
-     * @param {number} index - Index of the clicked square
-     */
-    handlePointSquareClick(index) {
-        console.log(`Point square clicked: ${index}`);
-        alert(`Point history item ${index + 1} clicked`);
-    }
 }
 
 /**
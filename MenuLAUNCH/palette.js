@@ -0,0 +1,587 @@
+/**
+ * Homara Command Palette - Ctrl/Cmd+K
+ *
+ * Lists everything the menu interface can do: every menu item, the account
+ * actions, theme and sidebar commands and the communities visited lately.
+ * Typing ranks the commands by fuzzy match ("edpt" finds Edit Your Point).
+ *
+ * A command is
+ *   {
+ *       id: 'events.create',
+ *       text: 'Create an event',            // label, like menu items:
+ *       labelKey: 'events.create',          // translated when the key exists
+ *       labelParams: () => ({ ... }),       // optional {placeholders}
+ *       section: 'navigation',              // group shown next to the label
+ *       keywords: ['new', 'meetup'],        // extra words that match
+ *       when: () => true,                   // optional; hidden when false
+ *       run: () => { ... }
+ *   }
+ * Other modules add their own with
+ *   const unregister = homaraPalette.register(command);
+ */
+
+/**
+ * Fuzzy match: every query character has to appear in order. Runs of
+ * consecutive characters and matches at the start of words score higher.
+ * @param {string} query - Lowercase query without spaces
+ * @param {string} text - Text to match
+ * @returns {Object|null} - { score, positions } or null when it doesn't match
+ */
+function fuzzyMatch(query, text) {
+    const lower = text.toLocaleLowerCase();
+    if (lower.length !== text.length) {
+        return null; // Case mapping changed the length; positions would be off
+    }
+
+    const positions = [];
+    let score = 0;
+    let from = 0;
+    for (const char of query) {
+        const index = lower.indexOf(char, from);
+        if (index === -1) {
+            return null;
+        }
+        const previous = positions[positions.length - 1];
+        if (index === 0) {
+            score += 10;
+        } else if (/[\s\-_/&]/.test(lower[index - 1])) {
+            score += 8;
+        } else if (previous === index - 1) {
+            score += 5;
+        } else {
+            score += 1;
+        }
+        positions.push(index);
+        from = index + 1;
+    }
+
+    // Shorter labels win ties: "Build" over "Community Preview" for "b"
+    return { score: score - lower.length * 0.01, positions };
+}
+
+class HomaraPalette {
+    /**
+     * Set up the command palette
+     * @param {Object} elements - { overlay, input, list, status }
+     */
+    constructor({ overlay, input, list, status }) {
+        this.overlay = overlay;
+        this.input = input;
+        this.list = list;
+        this.statusElement = status;
+
+        this.RECENT_STORAGE_KEY = 'homara_recent_communities';
+        this.RECENT_LIMIT = 5;
+        this.SECTIONS = {
+            recent: 'Recent Communities',
+            navigation: 'Go To',
+            account: 'Account',
+            appearance: 'Appearance',
+            sidebar: 'Sidebar'
+        };
+
+        this.commands = new Map();      // Registered commands by id
+        this.visible = [];              // Commands shown, in display order
+        this.activeIndex = -1;
+        this.returnFocus = null;        // Element focused before opening
+
+        this.registerBuiltInCommands();
+        this.attachEventListeners();
+    }
+
+    /**
+     * Translate a string through the shared i18n module (../src/i18n.js)
+     * @param {string} key - Message key
+     * @param {string} fallback - English text, used until translations load
+     * @param {Object} params - Values for {placeholders} in the text
+     * @returns {string} - Translated text
+     */
+    translate(key, fallback, params = {}) {
+        if (window.homaraI18n) {
+            return window.homaraI18n.t(key, fallback, params);
+        }
+        return fallback.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    /**
+     * Add a command
+     * @param {Object} command - See the header comment
+     * @returns {Function} - Removes the command again
+     */
+    register(command) {
+        if (!command.id || typeof command.run !== 'function') {
+            throw new Error('A command needs an id and a run() function');
+        }
+        if (this.commands.has(command.id)) {
+            throw new Error(`Command already exists: ${command.id}`);
+        }
+        this.commands.set(command.id, { section: 'navigation', keywords: [], ...command });
+        return () => this.unregister(command.id);
+    }
+
+    /**
+     * Remove a command
+     * @param {string} id - Command id
+     */
+    unregister(id) {
+        this.commands.delete(id);
+    }
+
+    /**
+     * Label of a command in the current language
+     * @param {Object} command - Command
+     * @returns {string} - Label text
+     */
+    getCommandText(command) {
+        if (!command.labelKey) {
+            return command.text;
+        }
+        return this.translate(command.labelKey, command.text, command.labelParams ? command.labelParams() : {});
+    }
+
+    /**
+     * Name of a section in the current language (sections added by other
+     * modules show their own name)
+     * @param {string} section - Section id
+     * @returns {string} - Section name
+     */
+    getSectionText(section) {
+        return this.translate(`palette.sections.${section}`, this.SECTIONS[section] || section);
+    }
+
+    /**
+     * Account, theme, sidebar and search commands. Menu items and recent
+     * communities are read fresh each time the palette opens (see getCommands).
+     */
+    registerBuiltInCommands() {
+        const menu = () => window.homaraMenu;
+        const auth = () => window.homaraAuth;
+        const signedIn = () => Boolean(auth() && auth().isAuthenticated);
+
+        this.register({
+            id: 'search',
+            text: 'Search communities and users',
+            labelKey: 'palette.commands.search',
+            section: 'navigation',
+            keywords: ['find', 'user', 'community'],
+            run: () => menu().focusSearch()
+        });
+
+        // Account
+        this.register({
+            id: 'auth.login',
+            text: 'Log in',
+            labelKey: 'palette.commands.logIn',
+            section: 'account',
+            keywords: ['sign in'],
+            when: () => !signedIn(),
+            run: () => menu().handleAuthClick('login')
+        });
+        this.register({
+            id: 'auth.signup',
+            text: 'Sign up',
+            labelKey: 'palette.commands.signUp',
+            section: 'account',
+            keywords: ['register', 'create account'],
+            when: () => !signedIn(),
+            run: () => menu().handleAuthClick('signup')
+        });
+        this.register({
+            id: 'auth.editProfile',
+            text: 'Edit profile',
+            labelKey: 'palette.commands.editProfile',
+            section: 'account',
+            keywords: ['username', 'picture', 'avatar'],
+            when: signedIn,
+            run: () => auth().showEditProfileModal(auth().currentUser)
+        });
+        this.register({
+            id: 'auth.signOut',
+            text: 'Sign out',
+            labelKey: 'palette.commands.signOut',
+            section: 'account',
+            keywords: ['log out', 'logout'],
+            when: signedIn,
+            run: () => auth().signOut()
+        });
+
+        // Appearance: one command per mode other than the current one
+        ['dark', 'light', 'auto'].forEach(mode => {
+            this.register({
+                id: `theme.${mode}`,
+                text: 'Use {mode} theme',
+                labelKey: 'palette.commands.useTheme',
+                labelParams: () => ({ mode: menu().getThemeModeName(mode).toLocaleLowerCase() }),
+                section: 'appearance',
+                keywords: ['theme', 'mode', mode],
+                when: () => Boolean(window.homaraTheme && menu()) && window.homaraTheme.getMode() !== mode,
+                run: () => window.homaraTheme.setMode(mode)
+            });
+        });
+
+        // Sidebar
+        this.register({
+            id: 'sidebar.pin',
+            text: 'Keep the menu open',
+            labelKey: 'palette.commands.pin',
+            section: 'sidebar',
+            keywords: ['pin', 'expand'],
+            when: () => !menu().isMinimized && !menu().isExpanded,
+            run: () => menu().togglePinnedState()
+        });
+        this.register({
+            id: 'sidebar.unpin',
+            text: 'Collapse the menu',
+            labelKey: 'palette.commands.unpin',
+            section: 'sidebar',
+            keywords: ['unpin', 'close'],
+            when: () => !menu().isMinimized && menu().isExpanded,
+            run: () => menu().togglePinnedState()
+        });
+        this.register({
+            id: 'sidebar.minimize',
+            text: 'Minimize the menu',
+            labelKey: 'palette.commands.minimize',
+            section: 'sidebar',
+            keywords: ['hide'],
+            when: () => !menu().isMinimized,
+            run: () => menu().minimizeMenu()
+        });
+        this.register({
+            id: 'sidebar.restore',
+            text: 'Restore the menu',
+            labelKey: 'palette.commands.restore',
+            section: 'sidebar',
+            keywords: ['show'],
+            when: () => menu().isMinimized,
+            run: () => menu().restoreMenu()
+        });
+        this.register({
+            id: 'sidebar.resetWidth',
+            text: 'Reset the menu width',
+            labelKey: 'palette.commands.resetWidth',
+            section: 'sidebar',
+            keywords: ['resize', 'size'],
+            when: () => menu().sidebarWidth !== menu().DEFAULT_WIDTH,
+            run: () => menu().setSidebarWidth(menu().DEFAULT_WIDTH)
+        });
+    }
+
+    /**
+     * Every command that can run right now, in the order shown for an empty query
+     * @returns {Object[]} - Commands
+     */
+    getCommands() {
+        const menu = window.homaraMenu;
+
+        const recent = this.readRecentCommunities().map(community => ({
+            id: `community.${community}`,
+            text: 'Open {community}',
+            labelKey: 'palette.commands.openCommunity',
+            labelParams: () => ({ community }),
+            section: 'recent',
+            keywords: [],
+            run: () => window.homaraRouter.navigate('community', { params: { community } })
+        }));
+
+        const menuItems = menu
+            ? menu.getMenuItems().map(item => ({
+                id: `menu.${item.id}`,
+                text: menu.getMenuItemText(item),
+                section: item.id === 'theme' ? 'appearance' : 'navigation',
+                keywords: [],
+                run: () => item.action()
+            }))
+            : [];
+
+        const registered = [...this.commands.values()].filter(command => {
+            try {
+                return !command.when || command.when();
+            } catch (error) {
+                return false; // A module that isn't ready yet hides its commands
+            }
+        });
+
+        const order = Object.keys(this.SECTIONS);
+        const sectionIndex = command => {
+            const index = order.indexOf(command.section);
+            return index === -1 ? order.length : index;
+        };
+        return [...recent, ...menuItems, ...registered]
+            .map((command, index) => ({ command, index }))
+            .sort((a, b) => sectionIndex(a.command) - sectionIndex(b.command) || a.index - b.index)
+            .map(entry => entry.command);
+    }
+
+    /**
+     * Commands matching the query, best first
+     * @param {string} query - Text typed in the palette
+     * @returns {Object[]} - [{ command, text, positions }]
+     */
+    rank(query) {
+        const compact = query.toLocaleLowerCase().replace(/\s+/g, '');
+        const entries = this.getCommands().map(command => ({ command, text: this.getCommandText(command) }));
+        if (!compact) {
+            return entries.map(entry => ({ ...entry, positions: [] }));
+        }
+
+        return entries
+            .map(entry => {
+                const label = fuzzyMatch(compact, entry.text);
+                // Keywords count for less than the label and aren't highlighted
+                const keyword = entry.command.keywords
+                    .map(word => fuzzyMatch(compact, word))
+                    .filter(Boolean)
+                    .sort((a, b) => b.score - a.score)[0];
+                const score = Math.max(label ? label.score : -Infinity, keyword ? keyword.score * 0.5 : -Infinity);
+                return { ...entry, score, positions: label ? label.positions : [] };
+            })
+            .filter(entry => entry.score !== -Infinity)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Attach the shortcut and the palette's own listeners
+     */
+    attachEventListeners() {
+        // Shortcuts go through keymap.js; while open the palette is a modal there
+        if (window.homaraKeymap) {
+            window.homaraKeymap.addContextCheck('modal', () => this.isOpen());
+            window.homaraKeymap.register({
+                id: 'palette.open',
+                keys: 'Mod+K',
+                text: 'Open the command palette',
+                labelKey: 'keymap.commands.openPalette',
+                run: () => this.open()
+            });
+            window.homaraKeymap.register({
+                id: 'palette.close',
+                keys: ['Escape', 'Mod+K'],
+                text: 'Close the command palette',
+                labelKey: 'keymap.commands.closePalette',
+                context: 'modal',
+                priority: 10,
+                when: () => this.isOpen(),
+                run: () => this.close()
+            });
+        }
+
+        this.input.addEventListener('input', () => this.render());
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        // Click outside the panel closes it
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) {
+                this.close();
+            }
+        });
+        // Keep focus in the input while clicking a command
+        this.list.addEventListener('mousedown', (e) => e.preventDefault());
+
+        // Remember community pages for the Recent Communities section
+        document.addEventListener('routechange', (e) => {
+            if (e.detail && e.detail.route.name === 'community') {
+                this.rememberCommunity(e.detail.params.community);
+            }
+        });
+
+        document.addEventListener('localechange', () => {
+            if (this.isOpen()) {
+                this.render();
+            }
+        });
+    }
+
+    /**
+     * @returns {boolean} - Whether the palette is showing
+     */
+    isOpen() {
+        return !this.overlay.hidden;
+    }
+
+    /**
+     * Show the palette with every available command
+     */
+    open() {
+        this.returnFocus = document.activeElement;
+        this.overlay.hidden = false;
+        this.input.value = '';
+        this.render();
+        this.input.focus();
+    }
+
+    /**
+     * Hide the palette and put focus back where it was
+     */
+    close() {
+        this.overlay.hidden = true;
+        this.list.replaceChildren();
+        this.visible = [];
+        this.input.removeAttribute('aria-activedescendant');
+        if (this.returnFocus && document.contains(this.returnFocus)) {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+
+    /**
+     * Draw the commands matching the input
+     */
+    render() {
+        const query = this.input.value.trim();
+        const entries = this.rank(query);
+        this.visible = entries.map(entry => entry.command);
+
+        const fragment = document.createDocumentFragment();
+        entries.forEach((entry, index) => {
+            fragment.appendChild(this.createOption(entry, index));
+        });
+        if (entries.length === 0) {
+            const message = document.createElement('div');
+            message.className = 'palette-message';
+            message.textContent = this.translate('palette.noResults', 'No commands match "{query}"', { query });
+            fragment.appendChild(message);
+        }
+        this.list.replaceChildren(fragment);
+        this.setActive(entries.length > 0 ? 0 : -1);
+
+        if (this.statusElement) {
+            this.statusElement.textContent = this.translate('palette.count', '{count} commands', { count: entries.length });
+        }
+    }
+
+    /**
+     * One command in the list
+     * @param {Object} entry - { command, text, positions }
+     * @param {number} index - Position in the list
+     * @returns {HTMLElement} - Option element
+     */
+    createOption({ command, text, positions }, index) {
+        const option = document.createElement('div');
+        option.className = 'palette-option';
+        option.id = `palette-option-${index}`;
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', 'false');
+
+        const label = document.createElement('span');
+        label.className = 'palette-option-label';
+        // Matched characters in <mark>
+        [...text].forEach((char, i) => {
+            if (positions.includes(i)) {
+                const mark = document.createElement('mark');
+                mark.textContent = char;
+                label.appendChild(mark);
+            } else {
+                label.appendChild(document.createTextNode(char));
+            }
+        });
+        label.normalize();
+        option.appendChild(label);
+
+        const section = document.createElement('span');
+        section.className = 'palette-option-section';
+        section.textContent = this.getSectionText(command.section);
+        option.appendChild(section);
+
+        option.addEventListener('click', () => this.run(command));
+        option.addEventListener('mousemove', () => {
+            if (this.activeIndex !== index) {
+                this.setActive(index);
+            }
+        });
+        return option;
+    }
+
+    /**
+     * Move the keyboard highlight
+     * @param {number} index - Option index, or -1 for none
+     */
+    setActive(index) {
+        this.activeIndex = index;
+        this.list.querySelectorAll('.palette-option').forEach((option, i) => {
+            option.setAttribute('aria-selected', String(i === index));
+        });
+
+        if (index === -1) {
+            this.input.removeAttribute('aria-activedescendant');
+            return;
+        }
+        const active = document.getElementById(`palette-option-${index}`);
+        this.input.setAttribute('aria-activedescendant', active.id);
+        active.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Arrow keys, Enter and Tab in the palette (Escape goes through keymap.js)
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleKeydown(e) {
+        const count = this.visible.length;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (count > 0) {
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.setActive((this.activeIndex + step + count) % count);
+            }
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (this.activeIndex !== -1) {
+                this.run(this.visible[this.activeIndex]);
+            }
+        } else if (e.key === 'Tab') {
+            e.preventDefault(); // The input is the only stop inside the dialog
+        }
+    }
+
+    /**
+     * Close the palette and run a command
+     * @param {Object} command - Command to run
+     */
+    run(command) {
+        this.close();
+        try {
+            command.run();
+        } catch (error) {
+            console.error(`Command ${command.id} failed:`, error);
+        }
+    }
+
+    /**
+     * Recently visited communities, newest first
+     * @returns {string[]} - Community names from /c/<community>
+     */
+    readRecentCommunities() {
+        try {
+            const recent = JSON.parse(localStorage.getItem(this.RECENT_STORAGE_KEY));
+            return Array.isArray(recent) ? recent.filter(name => typeof name === 'string') : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Put a community at the top of the recent list
+     * @param {string} community - Community name from the route
+     */
+    rememberCommunity(community) {
+        const recent = [community, ...this.readRecentCommunities().filter(name => name !== community)];
+        try {
+            localStorage.setItem(this.RECENT_STORAGE_KEY, JSON.stringify(recent.slice(0, this.RECENT_LIMIT)));
+        } catch (error) {
+            // Not remembered; visiting the page still worked
+        }
+    }
+}
+
+/**
+ * Initialize the command palette when DOM is loaded
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    window.homaraPalette = new HomaraPalette({
+        overlay: document.getElementById('paletteOverlay'),
+        input: document.getElementById('paletteInput'),
+        list: document.getElementById('paletteList'),
+        status: document.getElementById('paletteStatus')
+    });
+});
@@ -0,0 +1,383 @@
+/**
+ * Homara Point History - The points you visited, newest first
+ *
+ * Every visit to a point page (/c/<community>/p/<point>, see views/point.js)
+ * is saved in IndexedDB as
+ *   { key, pointId, community, thumbnail, visitedAt }
+ * where `key` is '<community>/<pointId>', so visiting a point again moves it
+ * to the front instead of adding a second entry. The newest points fill the
+ * grid in the sidebar; /app/history (views/point-history.js) pages through
+ * all of them. Falls back to memory when IndexedDB is unavailable.
+ * `thumbnail` is an image URL; visits without one (for now every visit from
+ * views/point.js, as points have no images yet) show the point's initial.
+ *
+ * Other scripts record visits with
+ *   homaraPointHistory.record({ pointId, community, thumbnail })
+ * and listen for 'pointhistorychange' on document. Changes made in other
+ * tabs arrive through a BroadcastChannel.
+ */
+
+class HomaraPointHistory {
+    /**
+     * Open the history and fill the sidebar grid
+     * @param {Object} elements - { grid, empty } in the Point History section
+     */
+    constructor({ grid, empty }) {
+        this.grid = grid;
+        this.emptyMessage = empty;
+
+        this.DB_NAME = 'homara-point-history';
+        this.STORE_NAME = 'visits';
+        this.MAX_ENTRIES = 500;         // Oldest visits are dropped beyond this
+        this.GRID_SIZE = 12;            // Squares in the sidebar
+
+        this.memory = new Map();        // Used when IndexedDB isn't available
+        this.database = this.openDatabase();
+        this.channel = window.BroadcastChannel ? new BroadcastChannel('homara-point-history') : null;
+
+        this.tooltip = this.createTooltip();
+
+        this.attachEventListeners();
+        this.renderGrid();
+    }
+
+    /**
+     * Translate a string through the shared i18n module (../src/i18n.js)
+     * @param {string} key - Message key
+     * @param {string} fallback - English text, used until translations load
+     * @param {Object} params - Values for {placeholders} in the text
+     * @returns {string} - Translated text
+     */
+    translate(key, fallback, params = {}) {
+        if (window.homaraI18n) {
+            return window.homaraI18n.t(key, fallback, params);
+        }
+        return fallback.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    /**
+     * Promise for the result of an IndexedDB request
+     * @param {IDBRequest} request - Request to wait for
+     * @returns {Promise} - Resolves with request.result
+     */
+    promisifyRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Open the database
+     * @returns {Promise<IDBDatabase|null>} - Null when history stays in memory
+     */
+    openDatabase() {
+        if (!window.indexedDB) {
+            return Promise.resolve(null);
+        }
+        const request = indexedDB.open(this.DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(this.STORE_NAME, { keyPath: 'key' });
+        };
+        return this.promisifyRequest(request).catch(error => {
+            console.warn('Point history falls back to memory:', error);
+            return null;
+        });
+    }
+
+    /**
+     * Run `action` against the object store, or `fallback` against memory
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} action - store => IDBRequest
+     * @param {Function} fallback - Same work on this.memory
+     * @returns {Promise} - Result of the request or the fallback
+     */
+    withStore(mode, action, fallback) {
+        return this.database.then(db => {
+            if (!db) {
+                return fallback();
+            }
+            const store = db.transaction(this.STORE_NAME, mode).objectStore(this.STORE_NAME);
+            return this.promisifyRequest(action(store));
+        });
+    }
+
+    /**
+     * Every visit, newest first
+     * @returns {Promise<Object[]>} - Visits
+     */
+    getAll() {
+        return this.withStore('readonly', store => store.getAll(), () => Array.from(this.memory.values()))
+            .then(visits => visits.sort((a, b) => b.visitedAt - a.visitedAt));
+    }
+
+    /**
+     * One page of visits, newest first
+     * @param {number} page - Page number, from 0
+     * @param {number} pageSize - Visits per page
+     * @returns {Promise<Object>} - { visits, total, page, pageCount }
+     */
+    getPage(page, pageSize) {
+        return this.getAll().then(visits => {
+            const pageCount = Math.max(1, Math.ceil(visits.length / pageSize));
+            const current = Math.min(Math.max(page, 0), pageCount - 1);
+            return {
+                visits: visits.slice(current * pageSize, (current + 1) * pageSize),
+                total: visits.length,
+                page: current,
+                pageCount
+            };
+        });
+    }
+
+    /**
+     * Save a visit to a point (again: it moves to the front)
+     * @param {Object} visit - { pointId, community, thumbnail }
+     * @returns {Promise} - Resolves once saved
+     */
+    record({ pointId, community, thumbnail = null }) {
+        if (!pointId || !community) {
+            return Promise.reject(new Error('A point visit needs a pointId and a community'));
+        }
+        const key = `${community}/${pointId}`;
+
+        return this.withStore('readonly', store => store.get(key), () => this.memory.get(key))
+            .then(previous => {
+                const visit = {
+                    key,
+                    pointId,
+                    community,
+                    // Keep the thumbnail from an earlier visit when this one has none
+                    thumbnail: thumbnail || (previous && previous.thumbnail) || null,
+                    visitedAt: Date.now()
+                };
+                return this.withStore('readwrite', store => store.put(visit), () => {
+                    this.memory.set(key, visit);
+                });
+            })
+            .then(() => this.prune())
+            .then(() => this.notifyChange());
+    }
+
+    /**
+     * Drop the oldest visits beyond MAX_ENTRIES
+     * @returns {Promise} - Resolves once pruned
+     */
+    prune() {
+        return this.getAll().then(visits => Promise.all(
+            visits.slice(this.MAX_ENTRIES).map(visit => this.withStore('readwrite', store => store.delete(visit.key), () => {
+                this.memory.delete(visit.key);
+            }))
+        ));
+    }
+
+    /**
+     * Remove one point from the history
+     * @param {string} key - Visit key, '<community>/<pointId>'
+     * @returns {Promise} - Resolves once removed
+     */
+    remove(key) {
+        return this.withStore('readwrite', store => store.delete(key), () => {
+            this.memory.delete(key);
+        }).then(() => this.notifyChange());
+    }
+
+    /**
+     * Forget every visit
+     * @returns {Promise} - Resolves once cleared
+     */
+    clear() {
+        return this.withStore('readwrite', store => store.clear(), () => {
+            this.memory.clear();
+        }).then(() => this.notifyChange());
+    }
+
+    /**
+     * Redraw here, tell this page's views and the other tabs
+     * @param {boolean} broadcast - False when the change came from another tab
+     */
+    notifyChange(broadcast = true) {
+        this.renderGrid();
+        document.dispatchEvent(new CustomEvent('pointhistorychange'));
+        if (broadcast && this.channel) {
+            this.channel.postMessage('change');
+        }
+    }
+
+    /**
+     * Open a point's page
+     * @param {Object} visit - Visit to open
+     */
+    open(visit) {
+        if (window.homaraRouter) {
+            window.homaraRouter.navigate('point', { params: { community: visit.community, point: visit.pointId } });
+        }
+    }
+
+    /**
+     * Attach listeners for other tabs and language changes
+     */
+    attachEventListeners() {
+        if (this.channel) {
+            this.channel.addEventListener('message', () => this.notifyChange(false));
+        }
+
+        document.addEventListener('localechange', () => this.renderGrid());
+
+        // The tooltip would point at nothing once the menu collapses
+        this.grid.addEventListener('mouseleave', () => this.hideTooltip());
+    }
+
+    /**
+     * Fill the sidebar grid with the newest points
+     * @returns {Promise} - Resolves once drawn
+     */
+    renderGrid() {
+        return this.getPage(0, this.GRID_SIZE).then(({ visits, total }) => {
+            this.hideTooltip();
+            this.grid.replaceChildren(...visits.map(visit => this.createSquare(visit)));
+            this.emptyMessage.hidden = visits.length > 0;
+
+            // Count on the Point History item of the menu
+            if (window.homaraMenu) {
+                window.homaraMenu.setBadge('point-history', total);
+            }
+        });
+    }
+
+    /**
+     * Thumbnail of a point, or its initial on a color picked from its id
+     * @param {Object} visit - Visit
+     * @param {string} className - Class of the returned element
+     * @returns {HTMLElement} - Image or placeholder
+     */
+    createThumbnail(visit, className) {
+        if (visit.thumbnail) {
+            const image = document.createElement('img');
+            image.className = className;
+            image.src = visit.thumbnail;
+            image.alt = '';
+            image.loading = 'lazy';
+            return image;
+        }
+
+        let hash = 0;
+        for (const char of visit.key) {
+            hash = (hash * 31 + char.charCodeAt(0)) % 360;
+        }
+        const placeholder = document.createElement('span');
+        placeholder.className = `${className} point-thumbnail-placeholder`;
+        placeholder.style.setProperty('--point-hue', String(hash));
+        placeholder.textContent = visit.pointId.charAt(0).toUpperCase();
+        placeholder.setAttribute('aria-hidden', 'true');
+        return placeholder;
+    }
+
+    /**
+     * One square in the sidebar grid
+     * @param {Object} visit - Visit
+     * @returns {HTMLElement} - Square button
+     */
+    createSquare(visit) {
+        const square = document.createElement('button');
+        square.type = 'button';
+        square.className = 'point-square';
+        square.setAttribute('role', 'listitem');
+        square.setAttribute('aria-label', this.describe(visit));
+        square.appendChild(this.createThumbnail(visit, 'point-thumbnail'));
+
+        square.addEventListener('click', () => this.open(visit));
+        square.addEventListener('mouseenter', () => this.showTooltip(square, visit));
+        square.addEventListener('focus', () => this.showTooltip(square, visit));
+        square.addEventListener('mouseleave', () => this.hideTooltip());
+        square.addEventListener('blur', () => this.hideTooltip());
+        return square;
+    }
+
+    /**
+     * "ada in night-owls, 2 hours ago"
+     * @param {Object} visit - Visit
+     * @returns {string} - Description for screen readers
+     */
+    describe(visit) {
+        return this.translate('pointHistory.describe', '{point} in {community}, {time}', {
+            point: visit.pointId,
+            community: visit.community,
+            time: this.formatVisitTime(visit.visitedAt)
+        });
+    }
+
+    /**
+     * How long ago a visit was, e.g. "2 hours ago"
+     * @param {number} timestamp - Visit time in ms
+     * @returns {string} - Relative time in the current language
+     */
+    formatVisitTime(timestamp) {
+        const locale = window.homaraI18n ? window.homaraI18n.getLocale() : undefined;
+        const format = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+        const seconds = Math.round((timestamp - Date.now()) / 1000);
+        const units = [['year', 31536000], ['month', 2592000], ['week', 604800], ['day', 86400], ['hour', 3600], ['minute', 60]];
+        for (const [unit, size] of units) {
+            if (Math.abs(seconds) >= size) {
+                return format.format(Math.round(seconds / size), unit);
+            }
+        }
+        return format.format(0, 'second');
+    }
+
+    /**
+     * The shared tooltip (on body, so the sidebar can't clip it or offset it)
+     * @returns {HTMLElement} - Tooltip element
+     */
+    createTooltip() {
+        const tooltip = document.createElement('div');
+        tooltip.className = 'point-tooltip';
+        tooltip.id = 'pointTooltip';
+        tooltip.setAttribute('aria-hidden', 'true'); // Squares carry the same text as their label
+        tooltip.hidden = true;
+
+        this.tooltipTitle = document.createElement('strong');
+        this.tooltipCommunity = document.createElement('span');
+        this.tooltipTime = document.createElement('span');
+        this.tooltipTime.className = 'point-tooltip-time';
+        tooltip.append(this.tooltipTitle, this.tooltipCommunity, this.tooltipTime);
+
+        document.body.appendChild(tooltip);
+        return tooltip;
+    }
+
+    /**
+     * Show the tooltip beside a square
+     * @param {HTMLElement} square - Square the pointer or focus is on
+     * @param {Object} visit - Its visit
+     */
+    showTooltip(square, visit) {
+        this.tooltipTitle.textContent = visit.pointId;
+        this.tooltipCommunity.textContent = this.translate('pointHistory.inCommunity', 'in {community}', {
+            community: visit.community
+        });
+        this.tooltipTime.textContent = this.formatVisitTime(visit.visitedAt);
+
+        const rect = square.getBoundingClientRect();
+        this.tooltip.style.left = `${rect.right + 8}px`;
+        this.tooltip.style.top = `${rect.top + rect.height / 2}px`;
+        this.tooltip.hidden = false;
+    }
+
+    /**
+     * Hide the tooltip
+     */
+    hideTooltip() {
+        this.tooltip.hidden = true;
+    }
+}
+
+/**
+ * Initialize point history when DOM is loaded
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    window.homaraPointHistory = new HomaraPointHistory({
+        grid: document.getElementById('pointGrid'),
+        empty: document.getElementById('pointHistoryEmpty')
+    });
+});
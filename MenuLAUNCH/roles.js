@@ -0,0 +1,145 @@
+/**
+ * Homara Roles - Who may do what in the app
+ *
+ * Every user has one role, taken from their profile record (see auth.js):
+ *   visitor    not signed in, or no profile record yet
+ *   member     has a point in a community
+ *   builder    builds points for their communities
+ *   founder    started a community
+ *   moderator  looks after a community's points and people
+ * A role grants the permissions listed for it in PERMISSIONS, and may show
+ * the profile titles listed in TITLES. Scripts check with
+ *   homaraRoles.can('point.manage')
+ * and listen for 'rolechange' on document. Menu entries and routes name the
+ * permission they need (see ../assets/data/menu.json and ../src/router.js).
+ */
+
+class HomaraRoles {
+    /**
+     * Start as a visitor until auth.js knows better
+     */
+    constructor() {
+        this.ROLES = ['visitor', 'member', 'builder', 'founder', 'moderator'];
+
+        // Permission -> roles that have it
+        this.PERMISSIONS = {
+            'point.edit': ['member', 'builder', 'founder', 'moderator'],
+            'point.manage': ['builder', 'founder', 'moderator'],
+            'feedback.export': ['moderator']
+        };
+
+        // Titles each role may show on its profile, the default first
+        this.TITLES = {
+            visitor: [],
+            member: ['member'],
+            builder: ['builder', 'member'],
+            founder: ['founder', 'builder', 'member'],
+            moderator: ['moderator', 'member']
+        };
+
+        this.role = 'visitor';
+    }
+
+    /**
+     * Translate a string through the shared i18n module (../src/i18n.js)
+     * @param {string} key - Message key
+     * @param {string} fallback - English text, used until translations load
+     * @returns {string} - Translated text
+     */
+    translate(key, fallback) {
+        return window.homaraI18n ? window.homaraI18n.t(key, fallback) : fallback;
+    }
+
+    /**
+     * A known role; anything else gets the least access
+     * @param {*} role - Role from a profile record
+     * @returns {string} - One of ROLES
+     */
+    normalizeRole(role) {
+        return this.ROLES.includes(role) ? role : 'visitor';
+    }
+
+    /**
+     * The current user's role
+     * @returns {string} - One of ROLES
+     */
+    getRole() {
+        return this.role;
+    }
+
+    /**
+     * Switch roles, e.g. after signing in or out
+     * @param {string} role - New role; unknown roles become 'visitor'
+     */
+    setRole(role) {
+        const next = this.normalizeRole(role);
+        if (next === this.role) {
+            return;
+        }
+        const previous = this.role;
+        this.role = next;
+        document.dispatchEvent(new CustomEvent('rolechange', { detail: { role: next, previous } }));
+    }
+
+    /**
+     * Whether a role has a permission
+     * @param {string} permission - e.g. 'point.edit'
+     * @param {string} role - Defaults to the current role
+     * @returns {boolean}
+     */
+    can(permission, role = this.role) {
+        const roles = this.PERMISSIONS[permission];
+        if (!roles) {
+            console.warn(`Unknown permission: ${permission}`);
+            return false;
+        }
+        return roles.includes(role);
+    }
+
+    /**
+     * Titles a role may show on its profile
+     * @param {string} role - Defaults to the current role
+     * @returns {string[]} - Title ids, the default first
+     */
+    getTitles(role = this.role) {
+        return this.TITLES[role] || [];
+    }
+
+    /**
+     * Authorization check for a title change
+     * @param {string} title - Title id, e.g. 'founder'
+     * @param {string} role - Defaults to the current role
+     * @returns {boolean}
+     */
+    canUseTitle(title, role = this.role) {
+        return this.getTitles(role).includes(title);
+    }
+
+    /**
+     * Title shown on a profile: the saved one while the role allows it,
+     * otherwise the role's default
+     * @param {string|null} title - Saved title id
+     * @param {string} role - Defaults to the current role
+     * @returns {string|null} - Title id, or null for visitors
+     */
+    resolveTitle(title, role = this.role) {
+        const wanted = typeof title === 'string' ? title.toLowerCase() : null;
+        return this.canUseTitle(wanted, role) ? wanted : (this.getTitles(role)[0] || null);
+    }
+
+    /**
+     * Name of a title in the current language
+     * @param {string} title - Title id
+     * @returns {string} - e.g. "Founder"
+     */
+    getTitleText(title) {
+        return this.translate(`roles.titles.${title}`, title.charAt(0).toUpperCase() + title.slice(1));
+    }
+}
+
+/**
+ * Create the roles before the menu, which hides entries by permission
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    window.homaraRoles = new HomaraRoles();
+});
@@ -0,0 +1,679 @@
+/**
+ * Homara Search - Community and user search for the sidebar
+ *
+ * Typing in the sidebar search box asks every provider (debounced) and shows
+ * the answers in a dropdown grouped by type: communities, users and menu
+ * actions. Arrow keys move through the results, Enter opens one and Escape
+ * closes the dropdown. Opened results are remembered as recent searches and
+ * offered when the box is focused while empty.
+ *
+ * A provider is any object with
+ *   search(query, { signal, limit })  -> Promise of results
+ * where a result is { type, id, label, description } and `type` is
+ * 'community', 'user' or 'action' (the id of a menu item). Providers are
+ * added with homaraSearch.addProvider(). Built in:
+ *   LocalSearchProvider   filters a JSON index in memory, for development
+ *   HttpSearchProvider    asks the backend: GET {endpoint}?q=...&limit=...
+ *                         answering { results: [...] }
+ *   MenuSearchProvider    the sidebar's own menu items
+ * The page uses the HTTP provider when the search-endpoint meta tag has a URL.
+ */
+
+/**
+ * Split a query into lowercase terms
+ * @param {string} query - Text typed by the user
+ * @returns {string[]} - Terms
+ */
+function getSearchTerms(query) {
+    return query.toLocaleLowerCase().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * How well a text matches every term: 0 when a term is missing, more for
+ * matches at the start of the text or of a word
+ * @param {string[]} terms - Lowercase terms
+ * @param {string} text - Text to look in
+ * @returns {number} - Score
+ */
+function scoreSearchMatch(terms, text) {
+    const lower = (text || '').toLocaleLowerCase();
+    let score = 0;
+    for (const term of terms) {
+        const index = lower.indexOf(term);
+        if (index === -1) {
+            return 0;
+        }
+        score += index === 0 ? 3 : /[\s\-·]/.test(lower[index - 1]) ? 2 : 1;
+    }
+    return score;
+}
+
+/**
+ * Best results first: label matches outrank description matches
+ * @param {Object[]} results - Results to rank
+ * @param {string} query - Text typed by the user
+ * @param {number} limit - Most results to return
+ * @returns {Object[]} - Matching results, best first
+ */
+function rankSearchResults(results, query, limit) {
+    const terms = getSearchTerms(query);
+    return results
+        .map(result => ({
+            result,
+            score: Math.max(
+                scoreSearchMatch(terms, result.label) * 2,
+                scoreSearchMatch(terms, `${result.label} ${result.description || ''}`)
+            )
+        }))
+        .filter(entry => entry.score > 0)
+        .sort((a, b) => b.score - a.score || a.result.label.localeCompare(b.result.label))
+        .slice(0, limit)
+        .map(entry => entry.result);
+}
+
+/**
+ * Searches a JSON index ({ results: [...] }) in memory
+ */
+class LocalSearchProvider {
+    /**
+     * @param {string} indexUrl - URL of the index, relative to the page
+     */
+    constructor(indexUrl) {
+        this.indexUrl = indexUrl;
+        this.index = null;
+    }
+
+    /**
+     * Load the index once
+     * @returns {Promise<Object[]>} - Every indexed result
+     */
+    loadIndex() {
+        if (!this.index) {
+            this.index = fetch(this.indexUrl)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Search index failed to load (${response.status})`);
+                    }
+                    return response.json();
+                })
+                .then(data => (Array.isArray(data.results) ? data.results : []))
+                .catch(error => {
+                    this.index = null; // Try again on the next search
+                    throw error;
+                });
+        }
+        return this.index;
+    }
+
+    /**
+     * @param {string} query - Text typed by the user
+     * @param {Object} options - { limit }
+     * @returns {Promise<Object[]>} - Matching results
+     */
+    search(query, { limit }) {
+        return this.loadIndex().then(results => rankSearchResults(results, query, limit));
+    }
+}
+
+/**
+ * Asks the backend; it does the matching and ranking
+ */
+class HttpSearchProvider {
+    /**
+     * @param {string} endpoint - Search URL, e.g. '/api/search'
+     */
+    constructor(endpoint) {
+        this.endpoint = endpoint;
+    }
+
+    /**
+     * @param {string} query - Text typed by the user
+     * @param {Object} options - { signal, limit }
+     * @returns {Promise<Object[]>} - Results from the server
+     */
+    search(query, { signal, limit }) {
+        const url = new URL(this.endpoint, document.baseURI);
+        url.searchParams.set('q', query);
+        url.searchParams.set('limit', String(limit));
+
+        return fetch(url, { signal })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Search failed (${response.status})`);
+                }
+                return response.json();
+            })
+            .then(data => (Array.isArray(data.results) ? data.results : []));
+    }
+}
+
+/**
+ * The sidebar's menu items, so "settings" finds Settings & Help
+ */
+class MenuSearchProvider {
+    /**
+     * @param {HomaraMenu} menu - The sidebar menu
+     */
+    constructor(menu) {
+        this.menu = menu;
+    }
+
+    /**
+     * @param {string} query - Text typed by the user
+     * @param {Object} options - { limit }
+     * @returns {Promise<Object[]>} - Matching menu items
+     */
+    search(query, { limit }) {
+        const items = this.menu.getMenuItems().map(item => ({
+            type: 'action',
+            id: item.id,
+            label: this.menu.getMenuItemText(item)
+        }));
+        return Promise.resolve(rankSearchResults(items, query, limit));
+    }
+}
+
+class HomaraSearch {
+    /**
+     * Set up search on the sidebar input
+     * @param {Object} options - { input, results, status, providers }
+     */
+    constructor({ input, results, status, providers = [] }) {
+        this.input = input;
+        this.resultsElement = results;
+        this.statusElement = status;
+        this.providers = [...providers];
+
+        this.DEBOUNCE_MS = 200;
+        this.RESULT_LIMIT = 6;          // Per provider
+        this.RECENT_LIMIT = 5;
+        this.RECENT_STORAGE_KEY = 'homara_recent_searches';
+        this.GROUPS = [
+            { type: 'community', labelKey: 'search.groups.community', text: 'Communities' },
+            { type: 'user', labelKey: 'search.groups.user', text: 'Users' },
+            { type: 'action', labelKey: 'search.groups.action', text: 'Menu' }
+        ];
+
+        this.options = [];          // Results in display order
+        this.activeIndex = -1;
+        this.lastRender = null;     // What's shown, to redraw it after a language change
+        this.debounceTimer = null;
+        this.controller = null;     // Aborts the search in flight
+        this.requestId = 0;
+
+        this.attachEventListeners();
+    }
+
+    /**
+     * Add a provider; it is asked from the next search on
+     * @param {Object} provider - Object with search(query, { signal, limit })
+     */
+    addProvider(provider) {
+        this.providers.push(provider);
+    }
+
+    /**
+     * Translate a string through the shared i18n module (../src/i18n.js)
+     * @param {string} key - Message key
+     * @param {string} fallback - English text, used until translations load
+     * @param {Object} params - Values for {placeholders} in the text
+     * @returns {string} - Translated text
+     */
+    translate(key, fallback, params = {}) {
+        if (window.homaraI18n) {
+            return window.homaraI18n.t(key, fallback, params);
+        }
+        return fallback.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    /**
+     * Attach input, dropdown and language listeners
+     */
+    attachEventListeners() {
+        this.input.addEventListener('input', () => this.scheduleSearch());
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.input.addEventListener('focus', () => {
+            if (!this.input.value.trim()) {
+                this.showRecent();
+            }
+        });
+        this.input.addEventListener('blur', () => this.close());
+
+        // Escape closes the results, then empties the box (then leaves the menu, see menu.js)
+        if (window.homaraKeymap) {
+            window.homaraKeymap.register({
+                id: 'search.dismiss',
+                keys: 'Escape',
+                text: 'Close search results, then clear the search',
+                labelKey: 'keymap.commands.dismissSearch',
+                context: 'editor',
+                when: () => document.activeElement === this.input &&
+                    (!this.resultsElement.hidden || this.input.value !== ''),
+                run: () => {
+                    if (this.resultsElement.hidden) {
+                        this.clear();
+                    } else {
+                        this.close();
+                    }
+                }
+            });
+        }
+
+        // Keep focus in the input while clicking a result
+        this.resultsElement.addEventListener('mousedown', (e) => e.preventDefault());
+
+        document.addEventListener('localechange', () => {
+            if (this.lastRender) {
+                this.render(this.lastRender);
+            }
+        });
+    }
+
+    /**
+     * Search after typing pauses
+     */
+    scheduleSearch() {
+        clearTimeout(this.debounceTimer);
+        const query = this.input.value.trim();
+        if (!query) {
+            this.abortSearch();
+            this.showRecent();
+            return;
+        }
+        this.debounceTimer = setTimeout(() => this.runSearch(query), this.DEBOUNCE_MS);
+    }
+
+    /**
+     * Stop the search in flight, if any
+     */
+    abortSearch() {
+        this.requestId++;
+        if (this.controller) {
+            this.controller.abort();
+            this.controller = null;
+        }
+    }
+
+    /**
+     * Ask every provider and show what they found
+     * @param {string} query - Text typed by the user
+     * @returns {Promise} - Resolves once the results are shown
+     */
+    runSearch(query) {
+        this.abortSearch();
+        const request = this.requestId;
+        const controller = new AbortController();
+        this.controller = controller;
+        this.announce(this.translate('search.searching', 'Searching...'));
+
+        const searches = this.providers.map(provider => Promise.resolve()
+            .then(() => provider.search(query, { signal: controller.signal, limit: this.RESULT_LIMIT })));
+
+        return Promise.allSettled(searches).then(outcomes => {
+            if (request !== this.requestId) {
+                return; // A newer search (or a cleared box) took over
+            }
+            this.controller = null;
+
+            const results = outcomes
+                .filter(outcome => outcome.status === 'fulfilled')
+                .flatMap(outcome => outcome.value);
+            const failed = outcomes.filter(outcome => outcome.status === 'rejected');
+            failed.forEach(outcome => console.warn('Search provider failed:', outcome.reason));
+
+            this.render({
+                query,
+                groups: this.groupResults(results),
+                failed: failed.length > 0 && results.length === 0
+            });
+        });
+    }
+
+    /**
+     * Sort results into the display groups, dropping duplicates
+     * @param {Object[]} results - Results from every provider
+     * @returns {Object[]} - [{ labelKey, text, results }] in GROUPS order
+     */
+    groupResults(results) {
+        const seen = new Set();
+        const unique = results.filter(result => {
+            const key = `${result.type}:${result.id}`;
+            if (seen.has(key) || !this.GROUPS.some(group => group.type === result.type)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        });
+
+        return this.GROUPS
+            .map(group => ({ ...group, results: unique.filter(result => result.type === group.type) }))
+            .filter(group => group.results.length > 0);
+    }
+
+    /**
+     * Show recently opened results (or close when there are none)
+     */
+    showRecent() {
+        const menu = window.homaraMenu;
+        const recent = this.readRecent().map(result => {
+            // Menu labels follow the current language
+            const item = result.type === 'action' && menu ? menu.findMenuItem(result.id) : null;
+            return item ? { ...result, label: menu.getMenuItemText(item) } : result;
+        });
+        if (recent.length === 0) {
+            this.close();
+            return;
+        }
+        this.render({
+            query: '',
+            groups: [{ labelKey: 'search.recent', text: 'Recent Searches', results: recent, recent: true }],
+            failed: false
+        });
+    }
+
+    /**
+     * Draw the dropdown
+     * @param {Object} state - { query, groups, failed }
+     */
+    render(state) {
+        this.lastRender = state;
+        this.options = [];
+        this.activeIndex = -1;
+        this.input.removeAttribute('aria-activedescendant');
+
+        const terms = getSearchTerms(state.query);
+        const fragment = document.createDocumentFragment();
+
+        state.groups.forEach((group, groupIndex) => {
+            const section = document.createElement('div');
+            section.className = 'search-group';
+            section.setAttribute('role', 'group');
+
+            const heading = document.createElement('div');
+            heading.className = 'search-group-title';
+            heading.id = `search-group-${groupIndex}`;
+            heading.textContent = this.translate(group.labelKey, group.text);
+            section.setAttribute('aria-labelledby', heading.id);
+            section.appendChild(heading);
+
+            if (group.recent) {
+                const clear = document.createElement('button');
+                clear.type = 'button';
+                clear.className = 'search-clear-recent';
+                clear.textContent = this.translate('search.clearRecent', 'Clear');
+                clear.addEventListener('click', () => {
+                    this.clearRecent();
+                    this.close();
+                });
+                heading.appendChild(clear);
+            }
+
+            group.results.forEach(result => {
+                section.appendChild(this.createOption(result, terms));
+            });
+            fragment.appendChild(section);
+        });
+
+        if (this.options.length === 0) {
+            const message = document.createElement('div');
+            message.className = 'search-message';
+            message.textContent = state.failed
+                ? this.translate('search.error', 'Search isn\'t available right now. Please try again.')
+                : this.translate('search.noResults', 'No matches for "{query}"', { query: state.query });
+            fragment.appendChild(message);
+        }
+
+        this.resultsElement.replaceChildren(fragment);
+        this.resultsElement.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+
+        if (state.query) {
+            this.announce(this.options.length === 0
+                ? this.resultsElement.textContent
+                : this.translate('search.count', '{count} results', { count: this.options.length }));
+        }
+    }
+
+    /**
+     * One result in the dropdown
+     * @param {Object} result - Search result
+     * @param {string[]} terms - Terms to highlight
+     * @returns {HTMLElement} - Option element
+     */
+    createOption(result, terms) {
+        const index = this.options.length;
+        this.options.push(result);
+
+        const option = document.createElement('div');
+        option.className = 'search-option';
+        option.id = `search-option-${index}`;
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', 'false');
+
+        const label = document.createElement('span');
+        label.className = 'search-option-label';
+        label.appendChild(this.highlight(result.type === 'user' ? `@${result.label}` : result.label, terms));
+        option.appendChild(label);
+
+        if (result.description) {
+            const description = document.createElement('span');
+            description.className = 'search-option-description';
+            description.appendChild(this.highlight(result.description, terms));
+            option.appendChild(description);
+        }
+
+        option.addEventListener('click', () => this.open(result));
+        option.addEventListener('mousemove', () => {
+            if (this.activeIndex !== index) {
+                this.setActive(index);
+            }
+        });
+        return option;
+    }
+
+    /**
+     * Text with every term wrapped in <mark>
+     * @param {string} text - Text to show
+     * @param {string[]} terms - Lowercase terms
+     * @returns {DocumentFragment} - Highlighted text
+     */
+    highlight(text, terms) {
+        const fragment = document.createDocumentFragment();
+        const lower = text.toLocaleLowerCase();
+        if (terms.length === 0 || lower.length !== text.length) {
+            fragment.appendChild(document.createTextNode(text));
+            return fragment;
+        }
+
+        // Mark every matched character, then emit runs of marked/unmarked text
+        const marked = new Array(text.length).fill(false);
+        terms.forEach(term => {
+            let from = lower.indexOf(term);
+            while (from !== -1) {
+                marked.fill(true, from, from + term.length);
+                from = lower.indexOf(term, from + term.length);
+            }
+        });
+
+        let start = 0;
+        for (let i = 1; i <= text.length; i++) {
+            if (i === text.length || marked[i] !== marked[start]) {
+                const part = text.slice(start, i);
+                if (marked[start]) {
+                    const mark = document.createElement('mark');
+                    mark.textContent = part;
+                    fragment.appendChild(mark);
+                } else {
+                    fragment.appendChild(document.createTextNode(part));
+                }
+                start = i;
+            }
+        }
+        return fragment;
+    }
+
+    /**
+     * Move the keyboard highlight
+     * @param {number} index - Option index, or -1 for none
+     */
+    setActive(index) {
+        this.activeIndex = index;
+        this.resultsElement.querySelectorAll('.search-option').forEach((option, i) => {
+            option.setAttribute('aria-selected', String(i === index));
+        });
+
+        if (index === -1) {
+            this.input.removeAttribute('aria-activedescendant');
+            return;
+        }
+        const active = document.getElementById(`search-option-${index}`);
+        this.input.setAttribute('aria-activedescendant', active.id);
+        active.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Arrow keys and Enter in the search box (Escape goes through keymap.js)
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleKeydown(e) {
+        const isOpen = !this.resultsElement.hidden;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (!isOpen) {
+                this.scheduleSearch();
+                return;
+            }
+            if (this.options.length === 0) {
+                return;
+            }
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            const next = this.activeIndex === -1 && step === -1
+                ? this.options.length - 1
+                : (this.activeIndex + step + this.options.length) % this.options.length;
+            this.setActive(next);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            clearTimeout(this.debounceTimer);
+            const query = this.input.value.trim();
+            if (isOpen && this.options.length > 0 && this.lastRender.query === query) {
+                this.open(this.options[Math.max(this.activeIndex, 0)]);
+            } else if (query) {
+                // Results for what was typed aren't in yet: open the best one when they are
+                this.runSearch(query).then(() => {
+                    if (this.options.length > 0) {
+                        this.open(this.options[0]);
+                    }
+                });
+            }
+        }
+    }
+
+    /**
+     * Go to a result: a community or user page, or run a menu item
+     * @param {Object} result - Search result
+     */
+    open(result) {
+        this.rememberRecent(result);
+        this.clear();
+        this.input.blur();
+
+        if (result.type === 'action') {
+            const item = window.homaraMenu && window.homaraMenu.findMenuItem(result.id);
+            if (item) {
+                item.action();
+            }
+        } else if (window.homaraRouter) {
+            const route = result.type === 'user' ? 'user' : 'community';
+            const params = result.type === 'user' ? { username: result.id } : { community: result.id };
+            window.homaraRouter.navigate(route, { params });
+        }
+    }
+
+    /**
+     * Close the dropdown
+     */
+    close() {
+        clearTimeout(this.debounceTimer);
+        this.resultsElement.hidden = true;
+        this.resultsElement.replaceChildren();
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+        this.options = [];
+        this.activeIndex = -1;
+        this.lastRender = null;
+    }
+
+    /**
+     * Empty the search box and close the dropdown
+     */
+    clear() {
+        this.abortSearch();
+        this.input.value = '';
+        this.close();
+    }
+
+    /**
+     * Tell screen readers how the search went
+     * @param {string} message - Text to announce
+     */
+    announce(message) {
+        if (this.statusElement) {
+            this.statusElement.textContent = message;
+        }
+    }
+
+    /**
+     * Recently opened results, newest first
+     * @returns {Object[]} - Results
+     */
+    readRecent() {
+        try {
+            const recent = JSON.parse(localStorage.getItem(this.RECENT_STORAGE_KEY));
+            return Array.isArray(recent) ? recent : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Put a result at the top of the recent searches
+     * @param {Object} result - Opened result
+     */
+    rememberRecent(result) {
+        const entry = { type: result.type, id: result.id, label: result.label, description: result.description };
+        const recent = this.readRecent()
+            .filter(existing => existing.type !== entry.type || existing.id !== entry.id);
+        recent.unshift(entry);
+        try {
+            localStorage.setItem(this.RECENT_STORAGE_KEY, JSON.stringify(recent.slice(0, this.RECENT_LIMIT)));
+        } catch (error) {
+            // Not remembered; the search itself still worked
+        }
+    }
+
+    /**
+     * Forget all recent searches
+     */
+    clearRecent() {
+        localStorage.removeItem(this.RECENT_STORAGE_KEY);
+    }
+}
+
+/**
+ * Initialize search when DOM is loaded (after menu.js, whose items it searches)
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    const endpointMeta = document.querySelector('meta[name="search-endpoint"]');
+    const endpoint = endpointMeta ? endpointMeta.content.trim() : '';
+
+    window.homaraSearch = new HomaraSearch({
+        input: document.getElementById('searchInput'),
+        results: document.getElementById('searchResults'),
+        status: document.getElementById('searchStatus'),
+        providers: [
+            endpoint ? new HttpSearchProvider(endpoint) : new LocalSearchProvider('../assets/data/search-index.json'),
+            new MenuSearchProvider(window.homaraMenu)
+        ]
+    });
+});
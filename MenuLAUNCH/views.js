@@ -0,0 +1,269 @@
+/**
+ * Homara Views - Route rendering for the main content area
+ *
+ * ../src/router.js matches the URL; this shows the match in #mainContent.
+ * Every route renders a view module from views/ into its own panel
+ * (<section class="view-panel">). A view module exports
+ *   mount(panel, context)        required; may return a Promise, the panel
+ *                                shows a loading state until it settles
+ *   activate(panel, context)     optional; called when the panel is shown again
+ *   deactivate(panel)            optional; called when another panel takes over
+ *   unmount(panel)               optional; called before the panel is dropped
+ * where context is { params, route, path }.
+ *
+ * Panels stay in the page (hidden) when you switch away, so forms, scroll
+ * positions and other state are still there when you come back. The least
+ * recently shown panels are dropped beyond MAX_PANELS.
+ *
+ * New menu entries bring their own view with
+ *   homaraViews.register('events', {
+ *       path: '/app/events',
+ *       view: 'views/events.js',        // or () => import(...) / () => ({ mount })
+ *       menuItem: { text: 'Events', icon: 'eye-icon.svg', iconType: 'svg' }
+ *   });
+ */
+
+class HomaraViews {
+    /**
+     * Set up view rendering
+     * @param {HTMLElement} container - Main content element
+     */
+    constructor(container) {
+        this.container = container;
+        this.MAX_PANELS = 10;
+
+        // Route path -> { panel, view, context, state }, most recently shown last
+        this.panels = new Map();
+
+        // Shared loading and error panels (not kept per route)
+        this.statusPanel = document.createElement('section');
+        this.statusPanel.className = 'view-panel view-status-panel';
+        this.statusPanel.hidden = true;
+        this.container.appendChild(this.statusPanel);
+    }
+
+    /**
+     * Translate a string through the shared i18n module (../src/i18n.js)
+     * @param {string} key - Message key, e.g. 'views.error'
+     * @param {string} fallback - English text, used until translations load
+     * @returns {string} - Translated text
+     */
+    translate(key, fallback) {
+        return window.homaraI18n ? window.homaraI18n.t(key, fallback) : fallback;
+    }
+
+    /**
+     * Add a route with its own view, and optionally a menu item opening it
+     * @param {string} name - Route name
+     * @param {Object} definition - { path, view, guard, menuItem, bottom }
+     * @returns {Object} - The added route
+     */
+    register(name, { path, view, guard, menuItem, bottom = false }) {
+        if (!window.homaraRouter) {
+            throw new Error('Views can be registered once the page has loaded');
+        }
+        const route = window.homaraRouter.addRoute({ name, path, view, guard });
+
+        if (menuItem && window.homaraMenu) {
+            window.homaraMenu.addMenuItem({ id: name, route: name, ...menuItem }, { bottom });
+        }
+        return route;
+    }
+
+    /**
+     * Hide every panel except `visible`
+     * @param {HTMLElement|null} visible - Panel to show
+     */
+    showOnly(visible) {
+        this.panels.forEach(entry => {
+            if (entry.panel !== visible && !entry.panel.hidden) {
+                entry.panel.hidden = true;
+                if (entry.view.deactivate) {
+                    entry.view.deactivate(entry.panel);
+                }
+            }
+        });
+        this.statusPanel.hidden = this.statusPanel !== visible;
+        if (visible) {
+            visible.hidden = false;
+        }
+    }
+
+    /**
+     * Error message with a Try Again button
+     * @param {Function} onRetry - Called when the button is clicked
+     * @returns {HTMLElement[]} - Nodes to put in a panel
+     */
+    createError(onRetry) {
+        const message = document.createElement('p');
+        message.className = 'view-error';
+        message.dataset.i18n = 'views.error';
+        message.textContent = this.translate('views.error', 'This page couldn\'t be loaded. Please try again.');
+
+        const retry = document.createElement('button');
+        retry.type = 'button';
+        retry.className = 'view-button';
+        retry.dataset.i18n = 'views.retry';
+        retry.textContent = this.translate('views.retry', 'Try Again');
+        retry.addEventListener('click', onRetry);
+
+        return [message, retry];
+    }
+
+    /**
+     * Show the shared status panel in its loading or error state
+     * @param {string} state - 'loading' or 'error'
+     * @param {string} path - Path to retry
+     */
+    showStatus(state, path) {
+        if (state === 'error') {
+            this.statusPanel.replaceChildren(...this.createError(() => {
+                window.homaraRouter.navigate(path, { replace: true });
+            }));
+        } else {
+            const message = document.createElement('p');
+            message.className = 'view-loading';
+            message.dataset.i18n = 'views.loading';
+            message.textContent = this.translate('views.loading', 'Loading...');
+            this.statusPanel.replaceChildren(message);
+        }
+        this.statusPanel.setAttribute('aria-busy', String(state === 'loading'));
+        this.showOnly(this.statusPanel);
+    }
+
+    /**
+     * Show the loading state while a route's view module is fetched
+     * @param {Object} match - Route match from ../src/router.js
+     */
+    loading(match) {
+        this.showStatus('loading', match.path);
+    }
+
+    /**
+     * Show a route match in the main content area
+     * @param {Object} match - Route match from ../src/router.js
+     */
+    render(match) {
+        if (match.error || !match.view || typeof match.view.mount !== 'function') {
+            this.showStatus('error', match.path);
+            return;
+        }
+
+        const context = { params: match.params, route: match.route, path: match.path };
+        let entry = this.panels.get(match.path);
+
+        // A view that failed to mount gets a fresh panel
+        if (entry && entry.state === 'error') {
+            entry.panel.remove();
+            this.panels.delete(match.path);
+            entry = null;
+        }
+
+        if (entry) {
+            // Move to the end: most recently shown
+            this.panels.delete(match.path);
+            this.panels.set(match.path, entry);
+            this.showOnly(entry.panel);
+            if (entry.state === 'ready' && entry.view.activate) {
+                entry.view.activate(entry.panel, context);
+            }
+            return;
+        }
+
+        const panel = document.createElement('section');
+        panel.className = 'view-panel';
+        panel.dataset.route = match.route.name;
+        entry = { panel, view: match.view, context, state: 'loading' };
+        this.panels.set(match.path, entry);
+        this.container.appendChild(panel);
+        this.showOnly(panel);
+        this.dropOldPanels();
+
+        this.mountPanel(entry, match.path);
+    }
+
+    /**
+     * Mount a view into its panel, with loading and error states for async views
+     * @param {Object} entry - Panel entry
+     * @param {string} path - Route path the panel belongs to
+     */
+    mountPanel(entry, path) {
+        const { panel, view, context } = entry;
+        panel.setAttribute('aria-busy', 'true');
+
+        Promise.resolve()
+            .then(() => view.mount(panel, context))
+            .then(() => {
+                entry.state = 'ready';
+                // Views mark their text with data-i18n, like the static markup
+                if (window.homaraI18n) {
+                    window.homaraI18n.translate(panel);
+                }
+            })
+            .catch(error => {
+                console.error(`The ${context.route.name} view failed:`, error);
+                entry.state = 'error'; // The next visit (or Try Again) mounts it afresh
+                panel.replaceChildren(...this.createError(() => {
+                    window.homaraRouter.navigate(path, { replace: true });
+                }));
+            })
+            .finally(() => {
+                panel.setAttribute('aria-busy', 'false');
+            });
+    }
+
+    /**
+     * Drop the least recently shown panels beyond MAX_PANELS
+     */
+    dropOldPanels() {
+        for (const [path, entry] of this.panels) {
+            if (this.panels.size <= this.MAX_PANELS) {
+                break;
+            }
+            if (entry.view.unmount) {
+                entry.view.unmount(entry.panel);
+            }
+            entry.panel.remove();
+            this.panels.delete(path);
+        }
+    }
+
+    /**
+     * Resolves with the auth system once auth.js has created it
+     * @returns {Promise<HomaraAuth>}
+     */
+    whenAuthAvailable() {
+        return new Promise(resolve => {
+            const checkAuth = () => {
+                if (window.homaraAuth) {
+                    resolve(window.homaraAuth);
+                } else {
+                    setTimeout(checkAuth, 50);
+                }
+            };
+            checkAuth();
+        });
+    }
+}
+
+/**
+ * Start routing when DOM is loaded (after menu.js, so the menu sees the
+ * first 'routechange')
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    window.homaraViews = new HomaraViews(document.getElementById('mainContent'));
+
+    window.homaraRouter = initRouter({
+        page: 'app',
+        render: (match) => window.homaraViews.render(match),
+        loading: (match) => window.homaraViews.loading(match),
+        guards: {
+            // Pages that need an account open the login modal first
+            signedIn: (match) => window.homaraViews.whenAuthAvailable()
+                .then(auth => auth.requireSignIn(match.path)),
+            // Pages for some roles: the login modal, then the route's permission (see roles.js)
+            permission: (match) => window.homaraViews.whenAuthAvailable()
+                .then(auth => auth.requirePermission(match.route.permission, match.path))
+        }
+    });
+});
@@ -0,0 +1,32 @@
+/**
+ * Apply view (/app/apply) - apply to join a community with your point
+ */
+
+/**
+ * Render the view
+ * @param {HTMLElement} panel - Panel to fill
+ */
+export function mount(panel) {
+    panel.innerHTML = `
+        <h1 data-i18n="views.apply.title">Apply</h1>
+        <p data-i18n="views.apply.intro">Apply to place your point in a community. Community founders review every application.</p>
+        <form class="view-form">
+            <div class="view-field">
+                <label for="apply-community" data-i18n="views.apply.community">Community</label>
+                <input type="text" id="apply-community" name="community" required>
+            </div>
+            <div class="view-field">
+                <label for="apply-message" data-i18n="views.apply.message">Why would you like to join?</label>
+                <textarea id="apply-message" name="message" rows="5" required></textarea>
+            </div>
+            <button type="submit" class="view-button" data-i18n="views.apply.submit">Send Application</button>
+            <p class="view-status" role="status" data-i18n="views.apply.notOpen" hidden>Applications aren't open yet. Your answers will stay here while you look around.</p>
+        </form>
+    `;
+
+    const form = panel.querySelector('form');
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        form.querySelector('.view-status').hidden = false;
+    });
+}
@@ -0,0 +1,70 @@
+/**
+ * Build view (/app/build) - start a point cloud community of your own
+ *
+ * The draft is kept in sessionStorage so Community Preview can show it.
+ */
+
+export const BUILD_DRAFT_KEY = 'homara_build_draft';
+
+/**
+ * Community draft saved by the Build form
+ * @returns {Object|null} - { name, city, description }
+ */
+export function readBuildDraft() {
+    try {
+        return JSON.parse(sessionStorage.getItem(BUILD_DRAFT_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Render the view
+ * @param {HTMLElement} panel - Panel to fill
+ */
+export function mount(panel) {
+    panel.innerHTML = `
+        <h1 data-i18n="views.build.title">Build</h1>
+        <p data-i18n="views.build.intro">Start your own point cloud community and invite the people you create with.</p>
+        <form class="view-form">
+            <div class="view-field">
+                <label for="build-name" data-i18n="views.build.name">Community name</label>
+                <input type="text" id="build-name" name="name" required>
+            </div>
+            <div class="view-field">
+                <label for="build-city" data-i18n="views.build.city">City</label>
+                <input type="text" id="build-city" name="city">
+            </div>
+            <div class="view-field">
+                <label for="build-description" data-i18n="views.build.description">What is it about?</label>
+                <textarea id="build-description" name="description" rows="5"></textarea>
+            </div>
+            <button type="submit" class="view-button" data-i18n="views.build.submit">Create Community</button>
+            <p class="view-status" role="status" hidden>
+                <span data-i18n="views.build.notOpen">Creating communities opens with the desktop app. Your draft is saved for this session.</span>
+                <a data-route="community-preview" data-i18n="views.build.preview">See it in Community Preview</a>
+            </p>
+        </form>
+    `;
+
+    const form = panel.querySelector('form');
+    const draft = readBuildDraft();
+    if (draft) {
+        ['name', 'city', 'description'].forEach(field => {
+            form.elements[field].value = draft[field] || '';
+        });
+    }
+
+    form.addEventListener('input', () => {
+        sessionStorage.setItem(BUILD_DRAFT_KEY, JSON.stringify({
+            name: form.elements.name.value.trim(),
+            city: form.elements.city.value.trim(),
+            description: form.elements.description.value.trim()
+        }));
+    });
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        form.querySelector('.view-status').hidden = false;
+    });
+}
@@ -0,0 +1,52 @@
+/**
+ * Community Preview view (/app/preview) - your community as visitors will see it
+ */
+
+import { readBuildDraft } from './build.js';
+
+/**
+ * Show the current Build draft, or a pointer to Build when there is none
+ * @param {HTMLElement} panel - The view's panel
+ */
+function renderPreview(panel) {
+    const draft = readBuildDraft();
+    const card = panel.querySelector('.view-card');
+    const empty = panel.querySelector('.view-empty');
+
+    card.hidden = !draft || !draft.name;
+    empty.hidden = !card.hidden;
+    if (card.hidden) return;
+
+    card.querySelector('h2').textContent = draft.name;
+    card.querySelector('.view-card-meta').textContent = draft.city;
+    card.querySelector('.view-card-body').textContent = draft.description;
+}
+
+/**
+ * Render the view
+ * @param {HTMLElement} panel - Panel to fill
+ */
+export function mount(panel) {
+    panel.innerHTML = `
+        <h1 data-i18n="views.communityPreview.title">Community Preview</h1>
+        <p data-i18n="views.communityPreview.intro">This is how your community will look to visitors.</p>
+        <article class="view-card" hidden>
+            <h2></h2>
+            <p class="view-card-meta"></p>
+            <p class="view-card-body"></p>
+        </article>
+        <p class="view-empty" hidden>
+            <span data-i18n="views.communityPreview.empty">There's nothing to preview yet.</span>
+            <a data-route="build" data-i18n="views.communityPreview.start">Start a community under Build</a>
+        </p>
+    `;
+    renderPreview(panel);
+}
+
+/**
+ * The draft may have changed in Build since the panel was last shown
+ * @param {HTMLElement} panel - The view's panel
+ */
+export function activate(panel) {
+    renderPreview(panel);
+}
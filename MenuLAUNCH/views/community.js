@@ -0,0 +1,19 @@
+/**
+ * Community page view (/c/:community)
+ */
+
+/**
+ * Render the view
+ * @param {HTMLElement} panel - Panel to fill
+ * @param {Object} context - { params: { community } }
+ */
+export function mount(panel, { params }) {
+    const heading = document.createElement('h1');
+    heading.textContent = params.community;
+
+    const intro = document.createElement('p');
+    intro.dataset.i18n = 'views.community.intro';
+    intro.textContent = 'Community pages are on their way.';
+
+    panel.append(heading, intro);
+}
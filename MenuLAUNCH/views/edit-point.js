@@ -0,0 +1,70 @@
+/**
+ * Edit Your Point view (/app/point) - what people see when they open your point
+ *
+ * Saved on this device until points are stored with the account.
+ */
+
+export const POINT_DRAFT_KEY = 'homara_point_draft';
+
+/**
+ * Point details saved by the form
+ * @returns {Object|null} - { name, bio, website, savedAt }
+ */
+export function readPointDraft() {
+    try {
+        return JSON.parse(localStorage.getItem(POINT_DRAFT_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Render the view
+ * @param {HTMLElement} panel - Panel to fill
+ */
+export function mount(panel) {
+    panel.innerHTML = `
+        <h1 data-i18n="views.editPoint.title">Edit Your Point</h1>
+        <p data-i18n="views.editPoint.intro">Your point is how you appear inside a community. Tell people who you are and where to find your work.</p>
+        <form class="view-form">
+            <div class="view-field">
+                <label for="point-name" data-i18n="views.editPoint.name">Display name</label>
+                <input type="text" id="point-name" name="name" required>
+            </div>
+            <div class="view-field">
+                <label for="point-bio" data-i18n="views.editPoint.bio">About you</label>
+                <textarea id="point-bio" name="bio" rows="5"></textarea>
+            </div>
+            <div class="view-field">
+                <label for="point-website" data-i18n="views.editPoint.website">Website</label>
+                <input type="url" id="point-website" name="website" placeholder="https://">
+            </div>
+            <button type="submit" class="view-button" data-i18n="views.editPoint.submit">Save Point</button>
+            <p class="view-status" role="status" data-i18n="views.editPoint.saved" hidden>Saved on this device.</p>
+        </form>
+    `;
+
+    const form = panel.querySelector('form');
+    const status = form.querySelector('.view-status');
+    const draft = readPointDraft();
+    if (draft) {
+        ['name', 'bio', 'website'].forEach(field => {
+            form.elements[field].value = draft[field] || '';
+        });
+    }
+
+    form.addEventListener('input', () => {
+        status.hidden = true;
+    });
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        localStorage.setItem(POINT_DRAFT_KEY, JSON.stringify({
+            name: form.elements.name.value.trim(),
+            bio: form.elements.bio.value.trim(),
+            website: form.elements.website.value.trim(),
+            savedAt: new Date().toISOString()
+        }));
+        status.hidden = false;
+    });
+}
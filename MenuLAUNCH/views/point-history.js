@@ -0,0 +1,207 @@
+/**
+ * Point History view (/app/history) - every visited point, page by page,
+ * grouped by day
+ */
+
+const PAGE_SIZE = 20;
+
+let page = 0;
+let changeListener = null;
+
+/**
+ * Translate a string through the shared i18n module (../../src/i18n.js)
+ * @param {string} key - Message key
+ * @param {string} fallback - English text, used until translations load
+ * @param {Object} params - Values for {placeholders} in the text
+ * @returns {string} - Translated text
+ */
+function translate(key, fallback, params = {}) {
+    if (window.homaraI18n) {
+        return window.homaraI18n.t(key, fallback, params);
+    }
+    return fallback.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+/**
+ * Format a date in the current language
+ * @param {Date} date - Date to format
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {string} - Formatted date
+ */
+function formatDate(date, options) {
+    return window.homaraI18n
+        ? window.homaraI18n.formatDate(date, options)
+        : new Intl.DateTimeFormat(undefined, options).format(date);
+}
+
+/**
+ * Heading of a day: Today, Yesterday or the date
+ * @param {Date} date - Any time on that day
+ * @returns {string} - Heading text
+ */
+function getDayLabel(date) {
+    const today = new Date();
+    const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+    if (date.toDateString() === today.toDateString()) {
+        return translate('views.pointHistory.today', 'Today');
+    }
+    if (date.toDateString() === yesterday.toDateString()) {
+        return translate('views.pointHistory.yesterday', 'Yesterday');
+    }
+    return formatDate(date, { dateStyle: 'full' });
+}
+
+/**
+ * Visits split into days, in order
+ * @param {Object[]} visits - Visits, newest first
+ * @returns {Object[]} - [{ label, visits }]
+ */
+function groupByDay(visits) {
+    const groups = [];
+    visits.forEach(visit => {
+        const date = new Date(visit.visitedAt);
+        const last = groups[groups.length - 1];
+        if (last && last.day === date.toDateString()) {
+            last.visits.push(visit);
+        } else {
+            groups.push({ day: date.toDateString(), label: getDayLabel(date), visits: [visit] });
+        }
+    });
+    return groups;
+}
+
+/**
+ * One visited point with a link and a Remove button
+ * @param {Object} visit - Visit from ../point-history.js
+ * @returns {HTMLElement} - List item
+ */
+function createItem(visit) {
+    const history = window.homaraPointHistory;
+    const item = document.createElement('li');
+    item.className = 'point-history-item';
+
+    const link = document.createElement('a');
+    link.href = window.homaraRouter
+        ? window.homaraRouter.url('point', { community: visit.community, point: visit.pointId })
+        : `index.html#/c/${encodeURIComponent(visit.community)}/p/${encodeURIComponent(visit.pointId)}`;
+    link.textContent = visit.pointId;
+
+    const details = document.createElement('span');
+    details.className = 'point-history-details';
+    details.append(link, document.createTextNode(` ${translate('pointHistory.inCommunity', 'in {community}', {
+        community: visit.community
+    })}`));
+
+    const time = document.createElement('time');
+    time.className = 'point-history-time';
+    time.dateTime = new Date(visit.visitedAt).toISOString();
+    time.textContent = formatDate(new Date(visit.visitedAt), { timeStyle: 'short' });
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'point-history-remove';
+    remove.textContent = '×';
+    remove.setAttribute('aria-label', translate('views.pointHistory.remove', 'Remove {point} from history', {
+        point: visit.pointId
+    }));
+    remove.title = remove.getAttribute('aria-label');
+    remove.addEventListener('click', () => history.remove(visit.key));
+
+    item.append(history.createThumbnail(visit, 'point-history-thumbnail'), details, time, remove);
+    return item;
+}
+
+/**
+ * Draw the current page
+ * @param {HTMLElement} panel - The view's panel
+ * @returns {Promise} - Resolves once drawn
+ */
+function render(panel) {
+    const history = window.homaraPointHistory;
+    return history.getPage(page, PAGE_SIZE).then(result => {
+        page = result.page;
+
+        const groups = panel.querySelector('.point-history-groups');
+        groups.replaceChildren(...groupByDay(result.visits).flatMap(group => {
+            const heading = document.createElement('h2');
+            heading.textContent = group.label;
+            const list = document.createElement('ul');
+            list.className = 'point-history-list';
+            list.append(...group.visits.map(createItem));
+            return [heading, list];
+        }));
+
+        panel.querySelector('.view-empty').hidden = result.total > 0;
+        panel.querySelector('.point-history-pager').hidden = result.pageCount < 2;
+        panel.querySelector('.point-history-clear').hidden = result.total === 0;
+        panel.querySelector('.point-history-newer').disabled = result.page === 0;
+        panel.querySelector('.point-history-older').disabled = result.page >= result.pageCount - 1;
+        panel.querySelector('.point-history-page').textContent = translate('views.pointHistory.page', 'Page {page} of {pages}', {
+            page: result.page + 1,
+            pages: result.pageCount
+        });
+    });
+}
+
+/**
+ * Render the view
+ * @param {HTMLElement} panel - Panel to fill
+ * @returns {Promise} - Resolves once the first page is drawn
+ */
+export function mount(panel) {
+    panel.innerHTML = `
+        <h1 data-i18n="views.pointHistory.title">Point History</h1>
+        <p data-i18n="views.pointHistory.intro">Every point you visited, newest first. Only you can see this list; it stays in this browser.</p>
+        <div class="point-history-groups"></div>
+        <p class="view-empty" data-i18n="views.pointHistory.empty" hidden>You haven't visited any points yet.</p>
+        <nav class="point-history-pager" aria-label="Pages" data-i18n-attr="aria-label:views.pointHistory.pages" hidden>
+            <button type="button" class="view-button point-history-newer" data-i18n="views.pointHistory.newer">Newer</button>
+            <span class="point-history-page"></span>
+            <button type="button" class="view-button point-history-older" data-i18n="views.pointHistory.older">Older</button>
+        </nav>
+        <button type="button" class="view-button point-history-clear" data-i18n="views.pointHistory.clear" hidden>Clear History</button>
+    `;
+
+    if (!window.homaraPointHistory) {
+        throw new Error('Point history is not available');
+    }
+
+    panel.querySelector('.point-history-newer').addEventListener('click', () => {
+        page--;
+        render(panel).then(() => panel.scrollIntoView({ block: 'start' }));
+    });
+    panel.querySelector('.point-history-older').addEventListener('click', () => {
+        page++;
+        render(panel).then(() => panel.scrollIntoView({ block: 'start' }));
+    });
+    panel.querySelector('.point-history-clear').addEventListener('click', () => {
+        if (window.confirm(translate('views.pointHistory.confirmClear', 'Clear your whole point history? This can\'t be undone.'))) {
+            window.homaraPointHistory.clear();
+        }
+    });
+
+    // Visits, removals and language changes (here, in the sidebar or another tab)
+    changeListener = () => render(panel);
+    document.addEventListener('pointhistorychange', changeListener);
+    document.addEventListener('localechange', changeListener);
+
+    page = 0;
+    return render(panel);
+}
+
+/**
+ * Times like "2 hours ago" and "Today" may be out of date
+ * @param {HTMLElement} panel - The view's panel
+ */
+export function activate(panel) {
+    render(panel);
+}
+
+/**
+ * Stop following history changes once the panel is dropped
+ */
+export function unmount() {
+    document.removeEventListener('pointhistorychange', changeListener);
+    document.removeEventListener('localechange', changeListener);
+    changeListener = null;
+}
@@ -0,0 +1,55 @@
+/**
+ * Point Management view (/app/points) - the points you have placed
+ */
+
+import { readPointDraft } from './edit-point.js';
+
+/**
+ * List the saved point, or explain how to get one
+ * @param {HTMLElement} panel - The view's panel
+ */
+function renderPoints(panel) {
+    const point = readPointDraft();
+    const card = panel.querySelector('.view-card');
+    const empty = panel.querySelector('.view-empty');
+
+    card.hidden = !point || !point.name;
+    empty.hidden = !card.hidden;
+    if (card.hidden) return;
+
+    card.querySelector('h2').textContent = point.name;
+    card.querySelector('.view-card-meta').textContent = window.homaraI18n
+        ? window.homaraI18n.formatDate(new Date(point.savedAt), { dateStyle: 'medium' })
+        : new Date(point.savedAt).toLocaleDateString();
+    card.querySelector('.view-card-body').textContent = point.bio;
+}
+
+/**
+ * Render the view
+ * @param {HTMLElement} panel - Panel to fill
+ */
+export function mount(panel) {
+    panel.innerHTML = `
+        <h1 data-i18n="views.pointManagement.title">Point Management</h1>
+        <p data-i18n="views.pointManagement.intro">The points you have placed, and the communities they live in.</p>
+        <article class="view-card" hidden>
+            <h2></h2>
+            <p class="view-card-meta"></p>
+            <p class="view-card-body"></p>
+            <a data-route="edit-point" data-i18n="views.pointManagement.edit">Edit</a>
+        </article>
+        <p class="view-empty" hidden>
+            <span data-i18n="views.pointManagement.empty">You haven't placed a point yet.</span>
+            <a data-route="apply" data-i18n="views.pointManagement.apply">Apply to a community</a>
+        </p>
+    `;
+    renderPoints(panel);
+}
+
+/**
+ * The point may have been edited since the panel was last shown
+ * @param {HTMLElement} panel - The view's panel
+ */
+export function activate(panel) {
+    renderPoints(panel);
+}
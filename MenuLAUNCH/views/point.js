@@ -0,0 +1,49 @@
+/**
+ * Point page view (/c/:community/p/:point) - every visit lands in Point History
+ */
+
+/**
+ * Save the visit (see ../point-history.js)
+ * Point pages have no image yet, so visits are saved without a thumbnail and
+ * Point History shows the point's initial; pass `thumbnail` here once they do.
+ * @param {Object} params - { community, point }
+ */
+function recordVisit(params) {
+    if (window.homaraPointHistory) {
+        window.homaraPointHistory.record({ pointId: params.point, community: params.community })
+            .catch(error => console.warn('Point visit not saved:', error));
+    }
+}
+
+/**
+ * Render the view
+ * @param {HTMLElement} panel - Panel to fill
+ * @param {Object} context - { params: { community, point } }
+ */
+export function mount(panel, { params }) {
+    const heading = document.createElement('h1');
+    heading.textContent = params.point;
+
+    const community = document.createElement('a');
+    community.href = window.homaraRouter.url('community', { community: params.community });
+    community.textContent = params.community;
+    const meta = document.createElement('p');
+    meta.className = 'view-card-meta';
+    meta.appendChild(community);
+
+    const intro = document.createElement('p');
+    intro.dataset.i18n = 'views.point.intro';
+    intro.textContent = 'Point pages are on their way.';
+
+    panel.append(heading, meta, intro);
+    recordVisit(params);
+}
+
+/**
+ * Coming back to a kept panel is a visit too
+ * @param {HTMLElement} panel - The view's panel
+ * @param {Object} context - { params: { community, point } }
+ */
+export function activate(panel, { params }) {
+    recordVisit(params);
+}
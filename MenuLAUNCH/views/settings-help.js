@@ -0,0 +1,264 @@
+/**
+ * Settings & Help view (/app/settings) - appearance, language and answers,
+ * and the visitor feedback export for moderators
+ */
+
+let themeListener = null;
+let keymapListener = null;
+let roleListener = null;
+
+/**
+ * Translate a string through the shared i18n module (../../src/i18n.js)
+ * @param {string} key - Message key
+ * @param {string} fallback - English text, used until translations load
+ * @param {Object} params - Values for {placeholders} in the text
+ * @returns {string} - Translated text
+ */
+function translate(key, fallback, params = {}) {
+    if (window.homaraI18n) {
+        return window.homaraI18n.t(key, fallback, params);
+    }
+    return fallback.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+/**
+ * One row per shortcut, grouped by context, with Change and Reset buttons
+ * @param {HTMLElement} container - Element to fill
+ * @param {HTMLElement} status - Where conflicts and changes are reported
+ */
+function renderShortcuts(container, status) {
+    const keymap = window.homaraKeymap;
+    const fragment = document.createDocumentFragment();
+
+    keymap.getGroups().forEach(group => {
+        const heading = document.createElement('h3');
+        heading.textContent = keymap.getContextText(group.context);
+        fragment.appendChild(heading);
+
+        const list = document.createElement('ul');
+        list.className = 'view-shortcuts';
+        group.bindings.forEach(binding => {
+            const item = document.createElement('li');
+
+            const name = document.createElement('span');
+            name.className = 'view-shortcut-name';
+            name.textContent = keymap.getBindingText(binding);
+
+            const keys = document.createElement('span');
+            keys.className = 'view-shortcut-keys';
+            keys.appendChild(keymap.createKeysElement(keymap.getKeys(binding)));
+
+            const change = document.createElement('button');
+            change.type = 'button';
+            change.className = 'view-button';
+            change.textContent = translate('views.settingsHelp.change', 'Change');
+            change.addEventListener('click', () => {
+                change.textContent = translate('views.settingsHelp.pressKeys', 'Press keys...');
+                keymap.record().then(combo => {
+                    if (!combo) {
+                        renderShortcuts(container, status); // Cancelled
+                        return;
+                    }
+                    const result = keymap.setBinding(binding.id, combo);
+                    status.textContent = result.ok
+                        ? translate('views.settingsHelp.shortcutSaved', '{name} is now {keys}', {
+                            name: keymap.getBindingText(binding),
+                            keys: keymap.formatCombo(keymap.normalizeCombo(combo)).join(' + ')
+                        })
+                        : translate('views.settingsHelp.shortcutTaken', '{keys} is already used by "{name}"', {
+                            keys: keymap.formatCombo(keymap.normalizeCombo(combo)).join(' + '),
+                            name: keymap.getBindingText(result.conflict)
+                        });
+                    renderShortcuts(container, status);
+                });
+            });
+
+            item.append(name, keys, change);
+
+            if (keymap.isCustomized(binding.id)) {
+                const reset = document.createElement('button');
+                reset.type = 'button';
+                reset.className = 'view-button';
+                reset.textContent = translate('views.settingsHelp.reset', 'Reset');
+                reset.addEventListener('click', () => keymap.resetBinding(binding.id));
+                item.appendChild(reset);
+            }
+            list.appendChild(item);
+        });
+        fragment.appendChild(list);
+    });
+
+    container.replaceChildren(fragment);
+}
+
+/**
+ * Feedback export backend named by the page, or '' when there is none
+ * @returns {string} - Endpoint URL
+ */
+function getFeedbackExportEndpoint() {
+    const meta = document.querySelector('meta[name="feedback-export-endpoint"]');
+    return meta ? meta.content.trim() : '';
+}
+
+/**
+ * Download every visitor's feedback as JSON, signed with the user's ID token
+ * @param {string} endpoint - Feedback export backend
+ * @param {HTMLElement} status - Where a failure is reported
+ * @returns {Promise} - Settles once the file is offered or the failure shown
+ */
+function downloadFeedbackExport(endpoint, status) {
+    const user = window.homaraAuth && window.homaraAuth.currentUser;
+    status.textContent = '';
+    if (!user) {
+        return Promise.resolve();
+    }
+    return user.getIdToken()
+        .then(token => fetch(endpoint, { headers: { Authorization: `Bearer ${token}` } }))
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`Feedback export failed: ${response.status}`);
+            }
+            return response.blob();
+        })
+        .then(blob => {
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `homara-feedback-${new Date().toISOString().slice(0, 10)}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        })
+        .catch(error => {
+            console.error('Feedback not exported:', error);
+            status.textContent = translate('views.settingsHelp.feedbackExportFailed', 'The feedback couldn\'t be downloaded. Please try again.');
+        });
+}
+
+/**
+ * Render the view
+ * @param {HTMLElement} panel - Panel to fill
+ */
+export function mount(panel) {
+    panel.innerHTML = `
+        <h1 data-i18n="views.settingsHelp.title">Settings & Help</h1>
+
+        <h2 data-i18n="views.settingsHelp.appearance">Appearance</h2>
+        <div class="view-field">
+            <label for="settings-theme" data-i18n="views.settingsHelp.theme">Theme</label>
+            <select id="settings-theme">
+                <option value="dark" data-i18n="theme.modes.dark">Dark</option>
+                <option value="light" data-i18n="theme.modes.light">Light</option>
+                <option value="auto" data-i18n="theme.modes.auto">Auto</option>
+            </select>
+        </div>
+        <div class="view-field">
+            <label for="settings-language" data-i18n="language.label">Language</label>
+            <select id="settings-language"></select>
+        </div>
+
+        <h2 data-i18n="views.settingsHelp.shortcuts">Keyboard Shortcuts</h2>
+        <p data-i18n="views.settingsHelp.shortcutsIntro">Choose Change and press the new keys (Esc cancels). Press ? anywhere to see every shortcut.</p>
+        <div id="settings-shortcuts"></div>
+        <p class="view-status" id="settings-shortcuts-status" role="status"></p>
+        <button type="button" class="view-button" id="settings-shortcuts-reset" data-i18n="views.settingsHelp.resetShortcuts">Reset All Shortcuts</button>
+
+        <h2 data-i18n="views.settingsHelp.help">Help</h2>
+        <details>
+            <summary data-i18n="views.settingsHelp.pointQuestion">What is a point?</summary>
+            <p data-i18n="views.settingsHelp.pointAnswer">A point is your place inside a community's point cloud. It links to your work and tells people who you are.</p>
+        </details>
+        <details>
+            <summary data-i18n="views.settingsHelp.joinQuestion">How do I join a community?</summary>
+            <p data-i18n="views.settingsHelp.joinAnswer">Open Apply, pick the community and tell its founders a little about yourself.</p>
+        </details>
+        <p>
+            <span data-i18n="views.settingsHelp.feedback">Still stuck, or have an idea?</span>
+            <a data-route="home" data-i18n="views.settingsHelp.feedbackLink">Send us feedback from the home page</a>
+        </p>
+
+        <div id="settings-feedback-export" hidden>
+            <h2 data-i18n="views.settingsHelp.feedbackExport">Visitor Feedback</h2>
+            <p data-i18n="views.settingsHelp.feedbackExportIntro">Download everything visitors sent with the Feedback button as JSON. It includes their email addresses, so keep the file private.</p>
+            <button type="button" class="view-button" id="settings-feedback-download" data-i18n="views.settingsHelp.feedbackExportButton">Download Feedback</button>
+            <p class="view-status" id="settings-feedback-status" role="status"></p>
+        </div>
+    `;
+
+    const themeSelect = panel.querySelector('#settings-theme');
+    if (window.homaraTheme) {
+        themeSelect.value = window.homaraTheme.getMode();
+        themeSelect.addEventListener('change', () => window.homaraTheme.setMode(themeSelect.value));
+
+        // The mode can also change from the menu or another tab
+        themeListener = (e) => {
+            themeSelect.value = e.detail.mode;
+        };
+        document.addEventListener('themechange', themeListener);
+    } else {
+        themeSelect.disabled = true;
+    }
+
+    if (window.homaraI18n) {
+        window.homaraI18n.bindSwitcher(panel.querySelector('#settings-language'));
+    }
+
+    const shortcuts = panel.querySelector('#settings-shortcuts');
+    const shortcutsStatus = panel.querySelector('#settings-shortcuts-status');
+    const resetShortcuts = panel.querySelector('#settings-shortcuts-reset');
+    if (window.homaraKeymap) {
+        renderShortcuts(shortcuts, shortcutsStatus);
+        resetShortcuts.addEventListener('click', () => {
+            window.homaraKeymap.resetBinding();
+            shortcutsStatus.textContent = translate('views.settingsHelp.shortcutsReset', 'Every shortcut is back to its default');
+        });
+
+        // Shortcuts arrive as scripts load, and change here or in another tab
+        keymapListener = () => renderShortcuts(shortcuts, shortcutsStatus);
+        document.addEventListener('keymapchange', keymapListener);
+        document.addEventListener('localechange', keymapListener);
+    } else {
+        resetShortcuts.hidden = true;
+    }
+
+    // Only for roles with feedback.export; the backend checks it again
+    const feedbackExport = panel.querySelector('#settings-feedback-export');
+    const feedbackDownload = panel.querySelector('#settings-feedback-download');
+    const feedbackStatus = panel.querySelector('#settings-feedback-status');
+    const endpoint = getFeedbackExportEndpoint();
+    if (endpoint && window.homaraRoles) {
+        feedbackDownload.addEventListener('click', () => {
+            feedbackDownload.disabled = true;
+            downloadFeedbackExport(endpoint, feedbackStatus).finally(() => {
+                feedbackDownload.disabled = false;
+            });
+        });
+        roleListener = () => {
+            feedbackExport.hidden = !window.homaraRoles.can('feedback.export');
+        };
+        roleListener();
+        document.addEventListener('rolechange', roleListener);
+    }
+}
+
+/**
+ * Stop waiting for keys when another panel takes over
+ */
+export function deactivate() {
+    if (window.homaraKeymap) {
+        window.homaraKeymap.cancelRecording();
+    }
+}
+
+/**
+ * Stop following theme, shortcut and role changes once the panel is dropped
+ */
+export function unmount() {
+    document.removeEventListener('themechange', themeListener);
+    document.removeEventListener('keymapchange', keymapListener);
+    document.removeEventListener('localechange', keymapListener);
+    document.removeEventListener('rolechange', roleListener);
+    themeListener = null;
+    keymapListener = null;
+    roleListener = null;
+}
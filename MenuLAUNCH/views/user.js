@@ -0,0 +1,19 @@
+/**
+ * User page view (/u/:username)
+ */
+
+/**
+ * Render the view
+ * @param {HTMLElement} panel - Panel to fill
+ * @param {Object} context - { params: { username } }
+ */
+export function mount(panel, { params }) {
+    const heading = document.createElement('h1');
+    heading.textContent = `@${params.username}`;
+
+    const intro = document.createElement('p');
+    intro.dataset.i18n = 'views.user.intro';
+    intro.textContent = 'User pages are on their way.';
+
+    panel.append(heading, intro);
+}
@@ -0,0 +1,23 @@
+/**
+ * Welcome view (/app) - where the app opens
+ */
+
+/**
+ * Render the view
+ * @param {HTMLElement} panel - Panel to fill
+ */
+export function mount(panel) {
+    panel.innerHTML = `
+        <h1 data-i18n="views.welcome.title">Welcome to Homara</h1>
+        <p data-i18n="views.welcome.intro">Everything in Homara is a click away in the menu on the left. Hover over it to peek, or click the menu icon to keep it open.</p>
+        <ul class="view-links">
+            <li><a data-route="apply" data-i18n="menu.apply">Apply</a></li>
+            <li><a data-route="build" data-i18n="menu.build">Build</a></li>
+            <li><a data-route="community-preview" data-i18n="menu.communityPreview">Community Preview</a></li>
+            <li><a data-route="edit-point" data-i18n="menu.editPoint">Edit Your Point</a></li>
+            <li><a data-route="point-management" data-i18n="menu.pointManagement">Point Management</a></li>
+            <li><a data-route="point-history" data-i18n="menu.pointHistory">Point History</a></li>
+            <li><a data-route="settings-help" data-i18n="menu.settingsHelp">Settings & Help</a></li>
+        </ul>
+    `;
+}
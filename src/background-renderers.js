@@ -0,0 +1,346 @@
+// Renderers for the particle network background (see initBackgroundCanvas in main.js).
+//
+// The network simulation lives in main.js and hands its buffers to one of
+// these renderers. Both share the same interface:
+//   type                                    'webgl' or 'canvas'
+//   setBuffers(positions, linePositions, pointShades, lineShades)
+//                                           new typed arrays after a rebuild
+//   setSize(width, height, pixelRatio, updateStyle)
+//   getPixelRatio()
+//   render(frame)                           frame = { pointCount, segmentCount, camera,
+//                                                     colors, pointSize, shaded }
+//   dispose()
+//
+// `camera` is { x, y, z, fov, aspect } looking straight down -Z, and `colors`
+// is { pointColor, pointOpacity, lineColor, lineOpacity, fadeColor } with
+// 0xRRGGBB colors. When `shaded` is set, every point (and every line vertex)
+// is blended from `fadeColor` at shade 0 to its palette color at shade 1.
+
+// Blend a 0xRRGGBB color towards `fadeColor` into out[offset..offset + 2] as 0-1 floats
+function writeShadedColor(out, offset, color, fadeColor, shade) {
+  for (let c = 0; c < 3; c++) {
+    const shift = 16 - c * 8;
+    const from = (fadeColor >> shift) & 255;
+    const to = (color >> shift) & 255;
+    out[offset + c] = (from + (to - from) * shade) / 255;
+  }
+}
+
+// Three.js renderer - the default whenever THREE is loaded and WebGL works
+function createWebGLBackgroundRenderer(canvas) {
+  // Throws when a WebGL context can't be created
+  const renderer = new THREE.WebGLRenderer({ canvas, alpha: true });
+  renderer.setClearColor(0x000000, 0);
+
+  const scene = new THREE.Scene();
+  const camera = new THREE.PerspectiveCamera(75, 1, 0.1, 1000);
+
+  const particleMaterial = new THREE.PointsMaterial({
+    transparent: true,
+    sizeAttenuation: false
+  });
+
+  // Create connections between particles
+  const lineMaterial = new THREE.LineBasicMaterial({
+    transparent: true,
+    linewidth: 10
+  });
+
+  const particleSystem = new THREE.Points(new THREE.BufferGeometry(), particleMaterial);
+  scene.add(particleSystem);
+
+  const connections = new THREE.LineSegments(new THREE.BufferGeometry(), lineMaterial);
+  connections.name = 'connections';
+  connections.frustumCulled = false; // Bounds change every frame; skip recomputing them
+  scene.add(connections);
+
+  let positionAttribute = null;
+  let linePositionAttribute = null;
+  let colorAttribute = null;
+  let lineColorAttribute = null;
+  let pointShades = null;
+  let lineShades = null;
+  let shaded = false;
+
+  // Vertex colors are only switched on while shading is in use
+  function setShaded(enabled) {
+    if (enabled === shaded) return;
+    shaded = enabled;
+    particleMaterial.vertexColors = enabled;
+    lineMaterial.vertexColors = enabled;
+    particleMaterial.needsUpdate = true;
+    lineMaterial.needsUpdate = true;
+  }
+
+  // Mark the first `count` items of an attribute as changed
+  function markUpdated(attribute, count) {
+    attribute.needsUpdate = true;
+    if (attribute.addUpdateRange) {
+      attribute.clearUpdateRanges();
+      attribute.addUpdateRange(0, count);
+    } else {
+      attribute.updateRange.offset = 0;
+      attribute.updateRange.count = count;
+    }
+  }
+
+  return {
+    type: 'webgl',
+
+    // One preallocated line buffer is reused every frame. Only the first
+    // `segmentCount` segments are drawn (via setDrawRange), so nothing is
+    // allocated or uploaded as a new GPU buffer while animating.
+    setBuffers(positions, linePositions, newPointShades, newLineShades) {
+      pointShades = newPointShades;
+      lineShades = newLineShades;
+
+      positionAttribute = new THREE.BufferAttribute(positions, 3);
+      colorAttribute = new THREE.BufferAttribute(new Float32Array(positions.length), 3);
+      colorAttribute.setUsage(THREE.DynamicDrawUsage);
+      particleSystem.geometry.dispose();
+      particleSystem.geometry = new THREE.BufferGeometry();
+      particleSystem.geometry.setAttribute('position', positionAttribute);
+      particleSystem.geometry.setAttribute('color', colorAttribute);
+
+      linePositionAttribute = new THREE.BufferAttribute(linePositions, 3);
+      linePositionAttribute.setUsage(THREE.DynamicDrawUsage);
+      lineColorAttribute = new THREE.BufferAttribute(new Float32Array(linePositions.length), 3);
+      lineColorAttribute.setUsage(THREE.DynamicDrawUsage);
+      connections.geometry.dispose();
+      connections.geometry = new THREE.BufferGeometry();
+      connections.geometry.setAttribute('position', linePositionAttribute);
+      connections.geometry.setAttribute('color', lineColorAttribute);
+      connections.geometry.setDrawRange(0, 0);
+    },
+
+    setSize(width, height, pixelRatio, updateStyle) {
+      renderer.setPixelRatio(pixelRatio);
+      renderer.setSize(width, height, updateStyle);
+    },
+
+    getPixelRatio() {
+      return renderer.getPixelRatio();
+    },
+
+    render(frame) {
+      positionAttribute.needsUpdate = true;
+      particleSystem.geometry.setDrawRange(0, frame.pointCount);
+
+      // Only upload the part of the line buffer that changed
+      markUpdated(linePositionAttribute, frame.segmentCount * 6);
+      connections.geometry.setDrawRange(0, frame.segmentCount * 2);
+
+      const view = frame.camera;
+      camera.position.set(view.x, view.y, view.z);
+      if (camera.fov !== view.fov || camera.aspect !== view.aspect) {
+        camera.fov = view.fov;
+        camera.aspect = view.aspect;
+        camera.updateProjectionMatrix();
+      }
+
+      const { colors } = frame;
+      setShaded(frame.shaded);
+      if (shaded) {
+        // Vertex colors carry the palette; the material color only tints
+        for (let i = 0; i < frame.pointCount; i++) {
+          writeShadedColor(colorAttribute.array, i * 3, colors.pointColor, colors.fadeColor, pointShades[i]);
+        }
+        for (let v = 0; v < frame.segmentCount * 2; v++) {
+          writeShadedColor(lineColorAttribute.array, v * 3, colors.lineColor, colors.fadeColor, lineShades[v]);
+        }
+        markUpdated(colorAttribute, frame.pointCount * 3);
+        markUpdated(lineColorAttribute, frame.segmentCount * 6);
+        particleMaterial.color.setHex(0xffffff);
+        lineMaterial.color.setHex(0xffffff);
+      } else {
+        particleMaterial.color.setHex(colors.pointColor);
+        lineMaterial.color.setHex(colors.lineColor);
+      }
+      particleMaterial.opacity = colors.pointOpacity;
+      particleMaterial.size = frame.pointSize;
+      lineMaterial.opacity = colors.lineOpacity;
+
+      renderer.render(scene, camera);
+    },
+
+    dispose() {
+      scene.remove(particleSystem);
+      scene.remove(connections);
+      particleSystem.geometry.dispose();
+      connections.geometry.dispose();
+      particleMaterial.dispose();
+      lineMaterial.dispose();
+      renderer.dispose();
+    }
+  };
+}
+
+// 2D canvas renderer - draws the same network with a hand-rolled perspective
+// projection when three.js didn't load or WebGL isn't available
+function createCanvasBackgroundRenderer(canvas) {
+  const context = canvas.getContext('2d');
+  if (!context) {
+    throw new Error('Canvas 2D context unavailable');
+  }
+
+  const near = 0.1; // Matches the WebGL camera's near plane
+  const shadeLevels = 8; // Shaded frames are drawn in this many color bands
+  const start = { x: 0, y: 0 };
+  const end = { x: 0, y: 0 };
+  const shadeColor = [0, 0, 0];
+  let positions = null;
+  let linePositions = null;
+  let pointShades = null;
+  let lineShades = null;
+  let width = 0;
+  let height = 0;
+  let pixelRatio = 1;
+
+  // Project a world position into CSS pixels; false when behind the camera
+  function project(x, y, z, view, tanHalfFov, out) {
+    const distance = view.z - z;
+    if (distance < near) return false;
+
+    const scale = 1 / (tanHalfFov * distance);
+    out.x = ((x - view.x) * scale / view.aspect + 1) * 0.5 * width;
+    out.y = (1 - (y - view.y) * scale) * 0.5 * height;
+    return true;
+  }
+
+  // 0xRRGGBB to a CSS color string
+  function toCssColor(color) {
+    return `#${color.toString(16).padStart(6, '0')}`;
+  }
+
+  // CSS color of a shade band
+  function toShadedCssColor(color, fadeColor, band) {
+    writeShadedColor(shadeColor, 0, color, fadeColor, band / (shadeLevels - 1));
+    return `rgb(${shadeColor.map(channel => Math.round(channel * 255)).join(', ')})`;
+  }
+
+  // Band a shade falls into; every band is drawn with a single fill or stroke
+  function toBand(shade) {
+    return Math.round(shade * (shadeLevels - 1));
+  }
+
+  // Add a segment to the current path if both ends are in front of the camera
+  function traceSegment(s, view, tanHalfFov) {
+    const offset = s * 6;
+    if (!project(linePositions[offset], linePositions[offset + 1], linePositions[offset + 2], view, tanHalfFov, start)) return;
+    if (!project(linePositions[offset + 3], linePositions[offset + 4], linePositions[offset + 5], view, tanHalfFov, end)) return;
+    context.moveTo(start.x, start.y);
+    context.lineTo(end.x, end.y);
+  }
+
+  // Draw a point if it is in front of the camera
+  function fillPoint(i, view, tanHalfFov, size) {
+    if (!project(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2], view, tanHalfFov, start)) return;
+    context.fillRect(start.x - size / 2, start.y - size / 2, size, size);
+  }
+
+  return {
+    type: 'canvas',
+
+    setBuffers(newPositions, newLinePositions, newPointShades, newLineShades) {
+      positions = newPositions;
+      linePositions = newLinePositions;
+      pointShades = newPointShades;
+      lineShades = newLineShades;
+    },
+
+    setSize(newWidth, newHeight, newPixelRatio, updateStyle) {
+      width = newWidth;
+      height = newHeight;
+      pixelRatio = newPixelRatio;
+      canvas.width = Math.floor(width * pixelRatio);
+      canvas.height = Math.floor(height * pixelRatio);
+      if (updateStyle) {
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+      }
+    },
+
+    getPixelRatio() {
+      return pixelRatio;
+    },
+
+    render(frame) {
+      const view = frame.camera;
+      const tanHalfFov = Math.tan((view.fov * Math.PI) / 360);
+
+      context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+      context.clearRect(0, 0, width, height);
+
+      const { colors } = frame;
+      // Points keep a fixed on-screen size, like sizeAttenuation: false
+      const size = frame.pointSize;
+      context.lineWidth = 1;
+
+      if (!frame.shaded) {
+        // All connections go into one path so they are stroked in a single call
+        context.beginPath();
+        for (let s = 0; s < frame.segmentCount; s++) {
+          traceSegment(s, view, tanHalfFov);
+        }
+        context.globalAlpha = colors.lineOpacity;
+        context.strokeStyle = toCssColor(colors.lineColor);
+        context.stroke();
+
+        context.globalAlpha = colors.pointOpacity;
+        context.fillStyle = toCssColor(colors.pointColor);
+        for (let i = 0; i < frame.pointCount; i++) {
+          fillPoint(i, view, tanHalfFov, size);
+        }
+        context.globalAlpha = 1;
+        return;
+      }
+
+      // Shaded frames use one path per band. Lines take the shade of their
+      // brighter end, as a 2D stroke can't blend along its length.
+      context.globalAlpha = colors.lineOpacity;
+      for (let band = 0; band < shadeLevels; band++) {
+        context.beginPath();
+        for (let s = 0; s < frame.segmentCount; s++) {
+          if (toBand(Math.max(lineShades[s * 2], lineShades[s * 2 + 1])) === band) {
+            traceSegment(s, view, tanHalfFov);
+          }
+        }
+        context.strokeStyle = toShadedCssColor(colors.lineColor, colors.fadeColor, band);
+        context.stroke();
+      }
+
+      context.globalAlpha = colors.pointOpacity;
+      for (let band = 0; band < shadeLevels; band++) {
+        context.fillStyle = toShadedCssColor(colors.pointColor, colors.fadeColor, band);
+        for (let i = 0; i < frame.pointCount; i++) {
+          if (toBand(pointShades[i]) === band) {
+            fillPoint(i, view, tanHalfFov, size);
+          }
+        }
+      }
+      context.globalAlpha = 1;
+    },
+
+    dispose() {
+      context.setTransform(1, 0, 0, 1, 0, 0);
+      context.clearRect(0, 0, canvas.width, canvas.height);
+    }
+  };
+}
+
+// Pick a renderer: three.js/WebGL when possible, otherwise the 2D canvas.
+// `preferred` is the `renderer` option - 'auto', 'webgl' or 'canvas'.
+function createBackgroundRenderer(canvas, preferred = 'auto') {
+  if (preferred !== 'canvas') {
+    if (typeof THREE === 'undefined') {
+      console.warn('THREE.js not loaded - using the 2D canvas background');
+    } else {
+      try {
+        return createWebGLBackgroundRenderer(canvas);
+      } catch (error) {
+        console.warn('WebGL unavailable - using the 2D canvas background:', error);
+      }
+    }
+  }
+  return createCanvasBackgroundRenderer(canvas);
+}
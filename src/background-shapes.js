@@ -0,0 +1,134 @@
+// Point-cloud shapes for the particle network background (see morphTo in main.js).
+//
+// A shape is { points, width, height }: `points` is a flat Float32Array of x/y
+// pairs centered on the origin with y pointing up, in the same units as
+// `width` and `height`. Points are shuffled so that any leading slice of them
+// still covers the whole shape evenly.
+
+const SHAPE_SAMPLE_SIZE = 256;   // Longest side images are scaled to before sampling
+const SHAPE_MAX_POINTS = 1500;   // Upper bound on points kept per shape
+const SHAPE_TEXT_SIZE = 96;      // Font size (px) text is rendered at before sampling
+
+// Offscreen 2D context to draw a shape into
+function createSamplingContext(width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.ceil(width));
+  canvas.height = Math.max(1, Math.ceil(height));
+  return canvas.getContext('2d', { willReadFrequently: true });
+}
+
+// Collect filled pixels on an even grid, spaced so that roughly `maxPoints`
+// of them survive. A pixel counts as filled when its alpha reaches `threshold`.
+function samplePixels(context, { threshold = 128, maxPoints = SHAPE_MAX_POINTS } = {}) {
+  const { width, height } = context.canvas;
+  const data = context.getImageData(0, 0, width, height).data;
+
+  let filled = 0;
+  for (let p = 3; p < data.length; p += 4) {
+    if (data[p] >= threshold) filled++;
+  }
+  if (filled === 0) {
+    throw new Error('Shape has no filled pixels');
+  }
+
+  const step = Math.max(1, Math.ceil(Math.sqrt(filled / maxPoints)));
+  const coords = [];
+  let minX = width;
+  let minY = height;
+  let maxX = 0;
+  let maxY = 0;
+
+  for (let y = 0; y < height; y += step) {
+    for (let x = 0; x < width; x += step) {
+      if (data[(y * width + x) * 4 + 3] < threshold) continue;
+      coords.push(x, y);
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+  }
+
+  // Fisher-Yates over the x/y pairs
+  const count = coords.length / 2;
+  for (let i = count - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    const x = coords[i * 2];
+    const y = coords[i * 2 + 1];
+    coords[i * 2] = coords[j * 2];
+    coords[i * 2 + 1] = coords[j * 2 + 1];
+    coords[j * 2] = x;
+    coords[j * 2 + 1] = y;
+  }
+
+  const centerX = (minX + maxX) / 2;
+  const centerY = (minY + maxY) / 2;
+  const points = new Float32Array(Math.min(count, maxPoints) * 2);
+  for (let i = 0; i < points.length; i += 2) {
+    points[i] = coords[i] - centerX;
+    points[i + 1] = centerY - coords[i + 1];
+  }
+
+  return { points, width: maxX - minX + step, height: maxY - minY + step };
+}
+
+// Sample the opaque pixels of an image. Resolves to a shape.
+// options: { threshold, maxPoints, size } - `size` is the sampling resolution.
+function sampleImageShape(src, options = {}) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      try {
+        const size = options.size || SHAPE_SAMPLE_SIZE;
+        const scale = size / Math.max(image.naturalWidth, image.naturalHeight);
+        const context = createSamplingContext(image.naturalWidth * scale, image.naturalHeight * scale);
+        context.drawImage(image, 0, 0, context.canvas.width, context.canvas.height);
+        resolve(samplePixels(context, options));
+      } catch (error) {
+        // getImageData throws for cross-origin images (and file:// pages)
+        reject(error);
+      }
+    };
+    image.onerror = () => reject(new Error(`Failed to load shape image ${src}`));
+    image.src = src;
+  });
+}
+
+// Sample text rendered in the page's fonts. Resolves to a shape.
+// options: { font, weight, threshold, maxPoints } - newlines start new lines.
+function sampleTextShape(text, options = {}) {
+  const family = options.font || 'BraunLinear, system-ui, sans-serif';
+  const font = `${options.weight || 'bold'} ${SHAPE_TEXT_SIZE}px ${family}`;
+  const lines = String(text).split('\n');
+
+  // Wait for web fonts so the glyphs aren't sampled from a fallback font
+  const fontsReady = document.fonts && document.fonts.load
+    ? document.fonts.load(font, text).catch(() => {})
+    : Promise.resolve();
+
+  return fontsReady.then(() => {
+    const lineHeight = SHAPE_TEXT_SIZE * 1.2;
+    const measure = createSamplingContext(1, 1);
+    measure.font = font;
+    const width = Math.max(...lines.map(line => measure.measureText(line).width)) + SHAPE_TEXT_SIZE;
+
+    const context = createSamplingContext(width, lines.length * lineHeight + SHAPE_TEXT_SIZE);
+    context.font = font;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    lines.forEach((line, index) => {
+      context.fillText(line, context.canvas.width / 2, SHAPE_TEXT_SIZE / 2 + (index + 0.5) * lineHeight);
+    });
+
+    return samplePixels(context, options);
+  });
+}
+
+// Resolve a shape spec - { image: src }, { text } or an already sampled shape
+function loadBackgroundShape(spec) {
+  if (!spec) return Promise.reject(new Error('Missing shape'));
+  if (spec.points) return Promise.resolve(spec);
+  if (spec.image) return sampleImageShape(spec.image, spec);
+  if (spec.text) return sampleTextShape(spec.text, spec);
+  return Promise.reject(new Error('Shapes need an `image` or `text`'));
+}
@@ -0,0 +1,370 @@
+// Visitor feedback: the floating "Feedback" button and its panel.
+//
+// The endpoint (the feedback-endpoint meta tag in index.html) takes JSON POSTs:
+//   {endpoint}   { id, category, message, email, source, page, createdAt }  -> { status: 'received' }
+// `id` is generated here, so the server can ignore a submission it already
+// has when a retry repeats it. Errors answer with a 4xx/5xx status and { message }.
+//
+// Every submission is written to IndexedDB first and removed once the
+// endpoint has it, so nothing is lost while offline. The queue is retried
+// when the browser comes back online. For support, this browser's unsent
+// submissions can be saved as JSON with homaraFeedback.downloadLocalQueue();
+// everyone's feedback is exported by moderators from Settings & Help in the
+// app (MenuLAUNCH/views/settings-help.js).
+// Submissions are rate limited per browser (see FEEDBACK_DEFAULTS.rateLimit).
+
+const FEEDBACK_DEFAULTS = {
+  endpoint: '/api/feedback',
+  panel: 'feedback-panel',      // Dialog element or its id
+  trigger: 'feedback-btn',      // Button that opens the panel, or its id
+  source: 'landing',            // Sent along so feedback can be traced to a page
+  retryDelay: 30000,            // ms between retries of queued feedback while online
+  rateLimit: {
+    max: 3,                     // Submissions allowed...
+    window: 10 * 60 * 1000      // ...per this many ms
+  }
+};
+
+const FEEDBACK_DB_NAME = 'homara-feedback';
+const FEEDBACK_STORE_NAME = 'queue';
+const FEEDBACK_SENT_KEY = 'homara_feedback_sent';
+const FEEDBACK_EMAIL_PATTERN = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/;
+
+// Translated text, or the English fallback when src/i18n.js isn't loaded
+function feedbackText(key, fallback, params = {}) {
+  if (window.homaraI18n) return window.homaraI18n.t(key, fallback, params);
+  return fallback.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+// Promise for the result of an IndexedDB request
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Queue of submissions kept in IndexedDB. Falls back to memory when
+// IndexedDB is unavailable (e.g. some private browsing modes).
+// Returns { put, getAll, remove }
+function openFeedbackQueue() {
+  const memory = new Map();
+  let database = null;
+
+  if (window.indexedDB) {
+    const request = indexedDB.open(FEEDBACK_DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(FEEDBACK_STORE_NAME, { keyPath: 'id' });
+    };
+    database = promisifyRequest(request).catch(error => {
+      console.warn('Feedback queue falls back to memory:', error);
+      return null;
+    });
+  } else {
+    database = Promise.resolve(null);
+  }
+
+  // Run `action` against the object store, or `fallback` against memory
+  function withStore(mode, action, fallback) {
+    return database.then(db => {
+      if (!db) return fallback();
+      const store = db.transaction(FEEDBACK_STORE_NAME, mode).objectStore(FEEDBACK_STORE_NAME);
+      return promisifyRequest(action(store));
+    });
+  }
+
+  return {
+    put(submission) {
+      return withStore('readwrite', store => store.put(submission), () => {
+        memory.set(submission.id, submission);
+      });
+    },
+
+    // Oldest first
+    getAll() {
+      return withStore('readonly', store => store.getAll(), () => Array.from(memory.values()))
+        .then(submissions => submissions.sort((a, b) => a.createdAt.localeCompare(b.createdAt)));
+    },
+
+    remove(id) {
+      return withStore('readwrite', store => store.delete(id), () => {
+        memory.delete(id);
+      });
+    }
+  };
+}
+
+// Id for a new submission. crypto.randomUUID() only exists in secure contexts
+// (https, localhost); getRandomValues() works everywhere.
+function createFeedbackId() {
+  if (typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+  return Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// POST JSON to the endpoint. Rejects with an error carrying the HTTP `status`
+// (none for network failures) and the server's message when there is one.
+function postFeedback(url, body) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  }).then(response => response.json().catch(() => ({})).then(data => {
+    if (!response.ok) {
+      const error = new Error(data.message || `Feedback request failed (${response.status})`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }));
+}
+
+// Wire up the feedback button and panel
+// Returns a controller: { open, close, flushQueue, downloadLocalQueue, getQueuedCount }
+function initFeedback(options = {}) {
+  const settings = {
+    ...FEEDBACK_DEFAULTS,
+    ...options,
+    rateLimit: { ...FEEDBACK_DEFAULTS.rateLimit, ...options.rateLimit }
+  };
+  const panel = typeof settings.panel === 'string'
+    ? document.getElementById(settings.panel)
+    : settings.panel;
+  const trigger = typeof settings.trigger === 'string'
+    ? document.getElementById(settings.trigger)
+    : settings.trigger;
+
+  if (!panel) {
+    console.error('Feedback panel not found:', settings.panel);
+    return null;
+  }
+
+  const form = panel.querySelector('[data-feedback-state="form"]');
+  const messageInput = form.querySelector('textarea[name="message"]');
+  const emailInput = form.querySelector('input[name="email"]');
+  const error = form.querySelector('.feedback-error');
+  const queue = openFeedbackQueue();
+  let flushing = null;
+  let flushAgain = false;       // Something was queued while a flush ran
+  let retryTimer = null;
+
+  // Show one panel state and label the panel with its heading
+  function showState(state) {
+    panel.querySelectorAll('[data-feedback-state]').forEach(section => {
+      const active = section.dataset.feedbackState === state;
+      section.hidden = !active;
+      const heading = section.querySelector('h2');
+      if (active && heading) panel.setAttribute('aria-labelledby', heading.id);
+    });
+    showError('');
+  }
+
+  // Inline error under the form; an empty message hides it
+  function showError(message) {
+    error.textContent = message;
+    error.hidden = !message;
+  }
+
+  function open() {
+    showState('form');
+    if (!panel.open) {
+      if (panel.show) {
+        panel.show(); // Non-modal, so the page stays usable next to it
+      } else {
+        panel.setAttribute('open', '');
+      }
+    }
+    if (trigger) trigger.setAttribute('aria-expanded', 'true');
+    messageInput.focus();
+  }
+
+  function close() {
+    if (panel.close) {
+      panel.close();
+    } else {
+      panel.removeAttribute('open');
+    }
+    if (trigger) {
+      trigger.setAttribute('aria-expanded', 'false');
+      if (panel.contains(document.activeElement) || document.activeElement === document.body) {
+        trigger.focus();
+      }
+    }
+  }
+
+  // Send times of recent submissions, for the rate limit
+  function readSentTimes() {
+    try {
+      const times = JSON.parse(localStorage.getItem(FEEDBACK_SENT_KEY));
+      const since = Date.now() - settings.rateLimit.window;
+      return Array.isArray(times) ? times.filter(time => time > since) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // ms until another submission is allowed; 0 when it is allowed now
+  function getRateLimitWait() {
+    const times = readSentTimes();
+    if (times.length < settings.rateLimit.max) return 0;
+    return times[times.length - settings.rateLimit.max] + settings.rateLimit.window - Date.now();
+  }
+
+  function recordSent() {
+    const times = readSentTimes();
+    times.push(Date.now());
+    try {
+      localStorage.setItem(FEEDBACK_SENT_KEY, JSON.stringify(times));
+    } catch (error) {
+      // Blocked or full storage: the feedback still goes out, unlimited
+    }
+  }
+
+  function scheduleRetry() {
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(flushQueue, settings.retryDelay);
+  }
+
+  // Send queued feedback one at a time. Stops at the first failure worth
+  // retrying; submissions the server rejects outright are dropped. Called
+  // during a flush, it runs once more after that one, for what came in since.
+  function flushQueue() {
+    if (flushing) {
+      flushAgain = true;
+      return flushing;
+    }
+    clearTimeout(retryTimer);
+    if (navigator.onLine === false) return Promise.resolve(); // Waits for the 'online' event
+
+    const sendAll = submissions => submissions.reduce((previous, submission) => previous
+      .then(() => postFeedback(settings.endpoint, submission))
+      .catch(error => {
+        if (!error.status || error.status >= 500) throw error;
+        console.warn('Dropping queued feedback:', error.message);
+      })
+      .then(() => queue.remove(submission.id)), Promise.resolve());
+
+    flushing = queue.getAll()
+      .then(sendAll)
+      .catch(() => scheduleRetry())
+      .then(() => {
+        flushing = null;
+        if (flushAgain) {
+          flushAgain = false;
+          return flushQueue();
+        }
+        return undefined;
+      });
+    return flushing;
+  }
+
+  // Save this browser's unsent submissions as a JSON file
+  function downloadLocalQueue() {
+    return queue.getAll().then(submissions => {
+      const blob = new Blob([JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        endpoint: settings.endpoint,
+        submissions
+      }, null, 2)], { type: 'application/json' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `homara-feedback-${new Date().toISOString().slice(0, 10)}.json`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(link.href), 0);
+      return submissions.length;
+    });
+  }
+
+  function handleSubmit(event) {
+    event.preventDefault();
+
+    const message = messageInput.value.trim();
+    const email = emailInput.value.trim();
+    if (!message) {
+      showError(feedbackText('feedback.errors.message', 'Please write a message.'));
+      messageInput.focus();
+      return;
+    }
+    if (email && !FEEDBACK_EMAIL_PATTERN.test(email)) {
+      showError(feedbackText('feedback.errors.email', 'Please enter a valid email address, or leave it empty.'));
+      emailInput.setAttribute('aria-invalid', 'true');
+      emailInput.focus();
+      return;
+    }
+    emailInput.removeAttribute('aria-invalid');
+
+    const wait = getRateLimitWait();
+    if (wait > 0) {
+      showError(feedbackText('feedback.errors.rateLimit', 'You\'ve sent a lot of feedback recently. Please try again in {minutes} min.', {
+        minutes: Math.ceil(wait / 60000)
+      }));
+      return;
+    }
+
+    const submission = {
+      id: createFeedbackId(),
+      category: form.querySelector('[name="category"]').value,
+      message,
+      email: email || null,
+      source: settings.source,
+      page: window.location.pathname,
+      createdAt: new Date().toISOString()
+    };
+
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+    Promise.resolve()
+      .then(() => {
+        recordSent();
+        return queue.put(submission);
+      })
+      .then(flushQueue)
+      .then(queue.getAll)
+      .then(queued => {
+        form.reset();
+        showState(queued.some(entry => entry.id === submission.id) ? 'queued' : 'sent');
+      })
+      .catch(storeError => {
+        console.error('Feedback could not be saved:', storeError);
+        showError(feedbackText('feedback.errors.generic', 'Something went wrong. Please try again.'));
+      })
+      .finally(() => {
+        submitButton.disabled = false;
+      });
+  }
+
+  if (trigger) {
+    trigger.setAttribute('aria-expanded', 'false');
+    trigger.addEventListener('click', () => (panel.open ? close() : open()));
+  }
+  form.addEventListener('submit', handleSubmit);
+  panel.querySelectorAll('[data-feedback-close]').forEach(button => {
+    button.addEventListener('click', close);
+  });
+  // A non-modal dialog doesn't close on Escape by itself
+  panel.addEventListener('keydown', event => {
+    if (event.key === 'Escape') close();
+  });
+  window.addEventListener('online', flushQueue);
+
+  flushQueue();
+
+  return {
+    open,
+    close,
+    flushQueue,
+    downloadLocalQueue,
+
+    // Submissions waiting to reach the endpoint
+    getQueuedCount() {
+      return queue.getAll().then(submissions => submissions.length);
+    }
+  };
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  const endpointMeta = document.querySelector('meta[name="feedback-endpoint"]');
+  window.homaraFeedback = initFeedback(endpointMeta ? { endpoint: endpointMeta.content } : {});
+});
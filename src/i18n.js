@@ -0,0 +1,244 @@
+// Translations shared by the landing page and MenuLAUNCH.
+//
+// Strings live in one JSON bundle per locale, assets/locales/<locale>.json,
+// nested by area ({ "hero": { "line1": "..." } }) and looked up by dot path
+// ('hero.line1'). Values can use {placeholders}; plurals are objects keyed by
+// Intl.PluralRules category ({ "one": "...", "other": "..." }), picked with
+// the `count` param.
+//
+// Lookups walk a fallback chain - 'es-MX' tries es-MX, es, then en - and end
+// at the caller's fallback, the English text the pages ship with. Markup opts
+// in with
+//   data-i18n="key"                               text content
+//   data-i18n-attr="placeholder:key; title:key"   attributes
+// and is translated again whenever the locale changes. Scripts use t(),
+// formatDate() and formatNumber() and listen on document for
+//   'localechange'   detail: { locale }
+// The choice is stored in localStorage and synced across open tabs.
+
+const I18N_DEFAULTS = {
+  locales: ['en', 'es'],   // Locales that have a bundle
+  defaultLocale: 'en',     // Last stop of every fallback chain
+  // Bundles sit next to the shared assets, wherever the including page is
+  bundlePath: document.currentScript
+    ? new URL('../assets/locales/', document.currentScript.src).href
+    : '/assets/locales/'
+};
+
+const I18N_STORAGE_KEY = 'homara_locale';
+
+// Locales to try for `locale`, most specific first: es-MX -> es-MX, es, en
+function getLocaleFallbacks(locale, defaultLocale) {
+  const parts = locale.split('-');
+  const chain = [];
+  for (let length = parts.length; length > 0; length--) {
+    chain.push(parts.slice(0, length).join('-'));
+  }
+  chain.push(defaultLocale);
+  return [...new Set(chain)];
+}
+
+// First supported locale matching one of `requested` (exactly, or by language)
+function matchLocale(requested, supported) {
+  const lower = supported.map(code => code.toLowerCase());
+  for (const code of requested) {
+    if (!code) continue;
+    const exact = lower.indexOf(code.toLowerCase());
+    if (exact !== -1) return supported[exact];
+    const language = lower.indexOf(code.split('-')[0].toLowerCase());
+    if (language !== -1) return supported[language];
+  }
+  return null;
+}
+
+function lookupMessage(bundle, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), bundle);
+}
+
+// Fill {name} placeholders; unknown ones are left as they are
+function interpolateMessage(text, params) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+}
+
+// Set up translations for this page
+// Returns a controller: { t, setLocale, getLocale, getLocales, translate,
+// formatDate, formatNumber, bindSwitcher, ready }
+function initI18n(options = {}) {
+  const settings = { ...I18N_DEFAULTS, ...options };
+  const bundleRequests = new Map(); // Locale -> Promise of its bundle
+  const defaults = new WeakMap();   // Element -> original text and attributes
+  let locale = settings.defaultLocale;
+  let chain = [locale];
+  let bundles = {};
+  let latestRequest = 0;
+
+  function readStoredLocale() {
+    try {
+      return localStorage.getItem(I18N_STORAGE_KEY);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function loadBundle(code) {
+    if (!settings.locales.includes(code)) return Promise.resolve({});
+    if (!bundleRequests.has(code)) {
+      bundleRequests.set(code, fetch(`${settings.bundlePath}${code}.json`)
+        .then(response => {
+          if (!response.ok) throw new Error(`Failed to load ${code} bundle (${response.status})`);
+          return response.json();
+        })
+        .catch(error => {
+          console.warn('Translations unavailable:', error.message);
+          bundleRequests.delete(code); // Try again on the next switch
+          return {};
+        }));
+    }
+    return bundleRequests.get(code);
+  }
+
+  function whenDocumentReady() {
+    if (document.readyState !== 'loading') return Promise.resolve();
+    return new Promise(resolve => document.addEventListener('DOMContentLoaded', resolve, { once: true }));
+  }
+
+  // Translate a key. `fallback` is used when no bundle in the chain has it.
+  function t(key, fallback, params = {}) {
+    let message;
+    for (const code of chain) {
+      message = lookupMessage(bundles[code], key);
+      if (message !== undefined) break;
+    }
+    if (message === undefined) message = fallback === undefined ? key : fallback;
+
+    if (message && typeof message === 'object') {
+      const category = new Intl.PluralRules(locale).select(Number(params.count) || 0);
+      message = message[category] !== undefined ? message[category] : message.other;
+    }
+    return interpolateMessage(String(message), params);
+  }
+
+  // Original text of an element, remembered the first time it's translated
+  function getDefaults(element) {
+    if (!defaults.has(element)) {
+      defaults.set(element, { text: element.textContent.trim(), attributes: {} });
+    }
+    return defaults.get(element);
+  }
+
+  // Apply translations to data-i18n and data-i18n-attr markup
+  function translate(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = t(element.dataset.i18n, getDefaults(element).text);
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+      const original = getDefaults(element).attributes;
+      element.dataset.i18nAttr.split(';').forEach(pair => {
+        const [attribute, key] = pair.split(':').map(part => part.trim());
+        if (!attribute || !key) return;
+        if (!(attribute in original)) original[attribute] = element.getAttribute(attribute);
+        element.setAttribute(attribute, t(key, original[attribute] === null ? undefined : original[attribute]));
+      });
+    });
+  }
+
+  // Switch languages. Resolves with the locale actually used once its
+  // bundles have loaded and the page has been translated.
+  function setLocale(requested, { persist = true } = {}) {
+    const next = matchLocale([requested], settings.locales) || settings.defaultLocale;
+    const nextChain = getLocaleFallbacks(next, settings.defaultLocale);
+    const request = ++latestRequest;
+
+    if (persist) {
+      try {
+        localStorage.setItem(I18N_STORAGE_KEY, next);
+      } catch (error) {
+        // Not remembered, but this page still switches
+      }
+    }
+
+    return Promise.all(nextChain.map(loadBundle))
+      .then(loaded => whenDocumentReady().then(() => loaded))
+      .then(loaded => {
+        if (request !== latestRequest) return locale; // A later switch won
+        locale = next;
+        chain = nextChain;
+        bundles = {};
+        nextChain.forEach((code, index) => {
+          bundles[code] = loaded[index];
+        });
+
+        document.documentElement.lang = locale;
+        translate();
+        document.dispatchEvent(new CustomEvent('localechange', { detail: { locale } }));
+        return locale;
+      });
+  }
+
+  // Supported locales with their names in their own language
+  function getLocales() {
+    return settings.locales.map(code => {
+      let name = code;
+      try {
+        name = new Intl.DisplayNames([code], { type: 'language' }).of(code) || code;
+      } catch (error) {
+        // Older browsers: show the code
+      }
+      return { code, name: name.charAt(0).toLocaleUpperCase(code) + name.slice(1) };
+    });
+  }
+
+  // Turn a <select> into a language switcher
+  function bindSwitcher(select) {
+    if (!select) return;
+    select.replaceChildren(...getLocales().map(({ code, name }) => {
+      const option = document.createElement('option');
+      option.value = code;
+      option.lang = code;
+      option.textContent = name;
+      return option;
+    }));
+    select.value = locale;
+    select.addEventListener('change', () => setLocale(select.value));
+    document.addEventListener('localechange', event => {
+      select.value = event.detail.locale;
+    });
+  }
+
+  // Another tab picked a language
+  window.addEventListener('storage', event => {
+    if (event.key !== I18N_STORAGE_KEY || !event.newValue || event.newValue === locale) return;
+    setLocale(event.newValue, { persist: false });
+  });
+
+  const browserLocales = navigator.languages || [navigator.language];
+  const initial = readStoredLocale()
+    || matchLocale(browserLocales, settings.locales)
+    || settings.defaultLocale;
+
+  return {
+    t,
+    setLocale,
+    translate,
+    getLocales,
+    bindSwitcher,
+
+    getLocale() {
+      return locale;
+    },
+
+    // Intl formatting in the current locale
+    formatDate(date, formatOptions) {
+      return new Intl.DateTimeFormat(locale, formatOptions).format(date);
+    },
+
+    formatNumber(number, formatOptions) {
+      return new Intl.NumberFormat(locale, formatOptions).format(number);
+    },
+
+    // Resolves once the first locale is loaded and applied
+    ready: setLocale(initial, { persist: false })
+  };
+}
+
+window.homaraI18n = initI18n();
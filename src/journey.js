@@ -0,0 +1,209 @@
+// "Our Journey" timeline behind the hero button of the same name.
+//
+// Milestones come from a JSON file ({ milestones: [...] }), each with
+//   id       slug used for deep links, e.g. #journey/desktop-app
+//   date     'YYYY', 'YYYY-MM' or 'YYYY-MM-DD'
+//   title, body
+//   image    optional image URL
+//   status   'done', 'in-progress' or 'planned'
+// The list is rendered once, the first time the view is opened, and again
+// when the language changes. Entries reveal on scroll like the rest of the
+// page (src/reveal.js).
+
+const JOURNEY_DEFAULTS = {
+  // Next to the shared assets, wherever the site is hosted
+  data: document.currentScript
+    ? new URL('../assets/data/journey.json', document.currentScript.src).href
+    : 'assets/data/journey.json',
+  section: 'journey',       // Section element or its id
+  trigger: 'journey-btn'    // Button that opens the view, or its id
+};
+
+const JOURNEY_HASH_PREFIX = '#journey';
+// English labels; translations come from the journey.status.* keys (src/i18n.js)
+const JOURNEY_STATUS_LABELS = {
+  done: 'Done',
+  'in-progress': 'In Progress',
+  planned: 'Planned'
+};
+
+// Translated text, or the English fallback when src/i18n.js isn't loaded
+function journeyText(key, fallback) {
+  return window.homaraI18n ? window.homaraI18n.t(key, fallback) : fallback;
+}
+
+// Parse a #journey or #journey/<milestone> hash; null for any other hash
+function parseJourneyHash(hash) {
+  if (hash === JOURNEY_HASH_PREFIX) return { milestone: null };
+  if (!hash.startsWith(`${JOURNEY_HASH_PREFIX}/`)) return null;
+  return { milestone: decodeURIComponent(hash.slice(JOURNEY_HASH_PREFIX.length + 1)) || null };
+}
+
+// Human readable date, in the page language, at the precision the milestone gives
+function formatJourneyDate(date) {
+  const [year, month, day] = String(date).split('-').map(Number);
+  if (!month) return String(year);
+
+  const options = day
+    ? { year: 'numeric', month: 'long', day: 'numeric' }
+    : { year: 'numeric', month: 'long' };
+  // Noon UTC keeps the day from shifting in any time zone
+  const locale = window.homaraI18n ? window.homaraI18n.getLocale() : undefined;
+  return new Intl.DateTimeFormat(locale, { ...options, timeZone: 'UTC' })
+    .format(new Date(Date.UTC(year, month - 1, day || 1, 12)));
+}
+
+// Wire up the journey view
+// Returns a controller: { open, getMilestones }
+function initJourney(options = {}) {
+  const settings = { ...JOURNEY_DEFAULTS, ...options };
+  const section = typeof settings.section === 'string'
+    ? document.getElementById(settings.section)
+    : settings.section;
+  const trigger = typeof settings.trigger === 'string'
+    ? document.getElementById(settings.trigger)
+    : settings.trigger;
+
+  if (!section) {
+    console.error('Journey section not found:', settings.section);
+    return null;
+  }
+
+  const list = section.querySelector('.journey-timeline');
+  const status = section.querySelector('.journey-status');
+  let milestones = [];
+  let loading = null;
+
+  // Fetch and render the milestones, once
+  function load() {
+    if (!loading) {
+      status.textContent = journeyText('journey.loading', 'Loading our journey...');
+      loading = fetch(settings.data)
+        .then(response => {
+          if (!response.ok) throw new Error(`Failed to load ${settings.data} (${response.status})`);
+          return response.json();
+        })
+        .then(data => {
+          milestones = Array.isArray(data.milestones) ? data.milestones : [];
+          render();
+          status.textContent = '';
+        })
+        .catch(error => {
+          console.error('Journey unavailable:', error);
+          status.textContent = journeyText('journey.error', 'We couldn\'t load our journey right now. Please try again later.');
+          loading = null; // Allow a retry the next time the view opens
+        });
+    }
+    return loading;
+  }
+
+  function createMilestone(milestone) {
+    const statusName = JOURNEY_STATUS_LABELS[milestone.status] ? milestone.status : 'planned';
+
+    const item = document.createElement('li');
+    item.className = `journey-item journey-item-${statusName}`;
+    item.dataset.reveal = '';
+    item.id = `journey-${milestone.id}`;
+    item.tabIndex = -1; // Focus target for deep links
+
+    const meta = document.createElement('div');
+    meta.className = 'journey-meta';
+
+    const time = document.createElement('time');
+    time.dateTime = milestone.date;
+    time.textContent = formatJourneyDate(milestone.date);
+
+    const badge = document.createElement('span');
+    badge.className = 'journey-status-badge';
+    badge.textContent = journeyText(`journey.status.${statusName}`, JOURNEY_STATUS_LABELS[statusName]);
+
+    meta.append(time, badge);
+
+    const title = document.createElement('h3');
+    title.className = 'text-2xl braun-bold';
+    title.textContent = milestone.title;
+
+    const body = document.createElement('p');
+    body.className = 'text-lg leading-relaxed braun-regular';
+    body.textContent = milestone.body;
+
+    item.append(meta, title, body);
+
+    if (milestone.image) {
+      const image = document.createElement('img');
+      image.className = 'journey-image';
+      image.src = milestone.image;
+      image.alt = milestone.imageAlt || '';
+      image.loading = 'lazy';
+      item.append(image);
+    }
+
+    return item;
+  }
+
+  function render() {
+    list.replaceChildren(...milestones.map(createMilestone));
+  }
+
+  // Reveal the view and bring it (or one milestone) into view
+  function open(milestoneId = null) {
+    const firstOpen = section.hidden;
+    section.hidden = false;
+
+    // The section moves the page layout, so the background re-reads its camera keyframes
+    if (firstOpen && window.homaraBackground) {
+      window.homaraBackground.refreshCameraKeyframes();
+    }
+
+    return load().then(() => {
+      const milestone = milestoneId && document.getElementById(`journey-${milestoneId}`);
+      const target = milestone || section;
+      const smooth = !window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+      section.querySelectorAll('.journey-item-targeted').forEach(item => {
+        item.classList.remove('journey-item-targeted');
+      });
+      if (milestone) {
+        milestone.classList.add('journey-item-targeted');
+        milestone.focus({ preventScroll: true });
+      }
+      target.scrollIntoView({ behavior: smooth ? 'smooth' : 'auto', block: milestone ? 'center' : 'start' });
+    });
+  }
+
+  function handleHash() {
+    const link = parseJourneyHash(window.location.hash);
+    if (link) open(link.milestone);
+  }
+
+  if (trigger) {
+    trigger.addEventListener('click', () => {
+      // Setting the same hash again fires no hashchange, so open directly then
+      if (window.location.hash === JOURNEY_HASH_PREFIX) {
+        open();
+      } else {
+        window.location.hash = JOURNEY_HASH_PREFIX;
+      }
+    });
+  }
+  window.addEventListener('hashchange', handleHash);
+  // Dates and status labels follow the page language
+  document.addEventListener('localechange', () => {
+    if (milestones.length > 0) render();
+  });
+  handleHash();
+
+  return {
+    open,
+
+    // Loaded milestones (empty until the view has been opened)
+    getMilestones() {
+      return milestones.slice();
+    }
+  };
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  window.homaraJourney = initJourney();
+});
@@ -1,146 +1,1483 @@
-// Initialize the particle network background
-function initBackgroundCanvas() {
-  const canvas = document.getElementById('background-canvas');
-  const scene = new THREE.Scene();
-  const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-  const renderer = new THREE.WebGLRenderer({ canvas, alpha: true });
-
-  renderer.setSize(window.innerWidth, window.innerHeight);
-  renderer.setClearColor(0x000000, 0);
-
-  // Create particles
-  const particleCount = 100;
-  const particles = new THREE.BufferGeometry();
-  const positions = new Float32Array(particleCount * 3);
-  const velocities = [];
-
-  // Create layered depth distribution
-  const layers = 5; // Number of depth layers
-  const particlesPerLayer = Math.floor(particleCount / layers);
-
-  for (let i = 0; i < particleCount; i++) {
-    const layerIndex = Math.floor(i / particlesPerLayer);
-    const layerZ = (layerIndex / (layers - 1)) * 16 - 8; // Spread from -8 to +8
-
-    // X and Y positions - more concentrated in center layers
-    const layerSpread = 18 - (Math.abs(layerIndex - 2) * 2); // Varies from 14 to 18
-    positions[i * 3] = (Math.random() - 0.5) * layerSpread;
-    positions[i * 3 + 1] = (Math.random() - 0.5) * layerSpread;
-
-    // Z position - fixed to layer with small random variation
-    positions[i * 3 + 2] = layerZ + (Math.random() - 0.5) * 2;
-
-    // Slower movement for background layers, faster for foreground
-    const depthFactor = 0.5 + (layerIndex / (layers - 1)) * 0.5; // 0.5 to 1.0
-    velocities.push({
-      x: (Math.random() - 0.5) * 0.015 * depthFactor,
-      y: (Math.random() - 0.5) * 0.015 * depthFactor,
-      z: (Math.random() - 0.5) * 0.005 // Minimal Z movement to maintain layers
-    });
+// Built-in color palettes, one per page theme. Custom palettes can be passed
+// through the `palettes` option or added later with controller.setPalette().
+// `fadeColor` is what de-emphasized layers fade towards - the page background.
+const BACKGROUND_PALETTES = {
+  dark: {
+    pointColor: 0x808080,
+    pointOpacity: 0.7,
+    lineColor: 0x606060,
+    lineOpacity: 0.5,
+    fadeColor: 0x000000
+  },
+  light: {
+    pointColor: 0x5c5c5c,
+    pointOpacity: 0.6,
+    lineColor: 0xa6a6a6,
+    lineOpacity: 0.5,
+    fadeColor: 0xffffff
   }
+};
+
+// Built-in shapes the particles can morph into (see controller.morphTo).
+// Each is sampled on first use, from an image or from text set in the page fonts.
+const BACKGROUND_SHAPES = {
+  // Relative to this script, so the site also works from a subfolder
+  logo: {
+    image: document.currentScript
+      ? new URL('../assets/images/HomaraLogo.png', document.currentScript.src).href
+      : 'assets/images/HomaraLogo.png'
+  },
+  tagline: { text: 'Find Your Community' }
+};
+
+// Default look and behaviour of the particle network background.
+// Any of these can be overridden per page through initBackgroundCanvas(options)
+// and changed later through controller.setOptions(options).
+const BACKGROUND_DEFAULTS = {
+  canvas: 'background-canvas', // Canvas element or its id
+  renderer: 'auto',            // 'webgl', 'canvas' (2D), or 'auto' for WebGL with a 2D fallback
+  fullscreen: true,            // Size to the window; false sizes to the canvas' parent element
+  particleCount: 100,
+  layers: 5,                   // Number of depth layers
+  depth: 16,                   // Distance between the front and back layer
+  spread: 18,                  // X/Y spread of the center layer
+  spreadFalloff: 4,            // How much narrower the outermost layers are
+  speed: 0.015,                // X/Y velocity range (scaled 0.5x - 1x from back to front)
+  depthSpeed: 0.005,           // Z velocity range - kept small to maintain layers
+  pointSize: 3,
+  theme: null,                 // Palette name to use; null follows the page theme
+  palettes: BACKGROUND_PALETTES,
+  themeTransition: 800,        // Palette tween duration in ms (0 switches instantly)
+  sameLayerThreshold: 6,       // Connection distance between particles at similar depth
+  crossLayerThreshold: 4,      // Connection distance across layers
+  crossLayerDepth: 4,          // Depth difference beyond which crossLayerThreshold applies
+  maxLinksPerParticle: 12,
+  cameraZ: 10,                 // Camera position when no keyframe says otherwise
+  scrollCamera: true,          // Fly the camera through the layers as the page scrolls
+  cameraKeyframes: '[data-camera]', // Elements declaring keyframes, e.g. data-camera="z: 4; fov: 60; layer: 2"
+  cameraEase: 0.08,            // How quickly the camera catches up with the scroll position
+  layerEmphasis: 0.6,          // How far layers away from a keyframe's `layer` fade out (0-1)
+  interactive: true,           // Pointer/touch interaction; false ignores the user entirely
+  pointerMode: 'repel',        // 'repel' or 'attract' particles near the pointer
+  pointerRadius: 3,            // World-space reach of the pointer at each particle's depth
+  pointerStrength: 0.004,      // Push per frame at the pointer, fading out to the radius edge
+  pointerLinks: true,          // Draw connection lines from the pointer to nearby particles
+  pointerLinkDistance: 4,
+  pointerLinkMax: 12,          // Lines per pointer
+  ripples: true,               // Clicks/taps send a ripple through the network
+  rippleRadius: 14,            // How far a ripple travels before it fades out
+  rippleDuration: 1600,        // ms
+  rippleWidth: 1.5,            // Thickness of the ripple front
+  rippleStrength: 0.03,
+  easeBack: 0.04,              // How quickly disturbed particles return to their layer velocity
+  shapes: BACKGROUND_SHAPES,   // Named morph targets: { image: src } or { text } specs
+  shapeScale: 0.6,             // Share of the view a shape fills
+  shapeDistance: 8,            // Distance in front of the camera shapes form at
+  shapeDuration: 1400,         // ms to tween into or out of a shape
+  shapePull: 0.08,             // Per-frame pull towards the shape once fully formed
+  shapeLinkDistance: 1.2,      // Connection distance while a shape is formed
+  maxPixelRatio: 2,            // Cap on devicePixelRatio for the WebGL drawing buffer
+  adaptiveQuality: true,       // Step quality down (and finally freeze) when frames run slow
+  minFps: 45,                  // Below this the next quality level kicks in
+  pauseWhenHidden: true,       // Stop animating in hidden tabs and when scrolled off screen
+  respectReducedMotion: true   // Render a still frame for prefers-reduced-motion users
+};
+
+// Quality levels stepped through by the frame-time monitor. Each level keeps a
+// share of the particles, scales the connection distance and caps the pixel
+// ratio. Running out of levels freezes the network on a static frame.
+const BACKGROUND_QUALITY_LEVELS = [
+  { particles: 1, distance: 1, pixelRatio: 2 },
+  { particles: 0.75, distance: 0.9, pixelRatio: 1.5 },
+  { particles: 0.5, distance: 0.8, pixelRatio: 1 },
+  { particles: 0.3, distance: 0.7, pixelRatio: 1 }
+];
+
+// Frame-time monitor tuning: FPS is averaged over a sample window, and quality
+// is only raised again after several windows comfortably above minFps
+const BACKGROUND_FPS_SAMPLE_MS = 2000;
+const BACKGROUND_FPS_HEADROOM = 12;
+const BACKGROUND_UPGRADE_SAMPLES = 3;
 
-  particles.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+// A frozen network tries the lowest quality level again after this long (or
+// when the tab is shown again): slow moments like a busy tab or a page load pass
+const BACKGROUND_FROZEN_RETRY_MS = 30000;
 
-  const particleMaterial = new THREE.PointsMaterial({
-    color: 0x808080,
-    size: 3,
-    transparent: true,
-    opacity: 0.7,
-    sizeAttenuation: false
+// Most pointers tracked at once (multi-touch) and most ripples alive at once
+const BACKGROUND_MAX_POINTERS = 5;
+const BACKGROUND_MAX_RIPPLES = 6;
+
+// Options that need the particle buffers rebuilt when they change
+const BACKGROUND_REBUILD_OPTIONS = [
+  'particleCount', 'layers', 'depth', 'spread', 'spreadFalloff', 'speed', 'depthSpeed',
+  'sameLayerThreshold', 'crossLayerThreshold', 'maxLinksPerParticle', 'pointerLinkMax'
+];
+
+// Theme the page is currently showing, as resolved by src/theme.js
+function getPageTheme() {
+  return document.documentElement.dataset.theme === 'light' ? 'light' : 'dark';
+}
+
+// Merge custom palettes over the built-in ones. Partial palettes are filled in
+// from the built-in palette of the same name, or from the dark palette.
+function mergePalettes(base, custom = {}) {
+  const merged = { ...base };
+  Object.keys(custom).forEach(name => {
+    merged[name] = { ...(base[name] || BACKGROUND_PALETTES.dark), ...custom[name] };
   });
+  return merged;
+}
 
-  const particleSystem = new THREE.Points(particles, particleMaterial);
-  scene.add(particleSystem);
+// Smooth in-out curve for palette tweens
+function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+// Split a palette color (0xRRGGBB or a '#rgb'/'#rrggbb' string) into 0-255 channels
+function colorToRGB(color) {
+  let hex = color;
+  if (typeof color === 'string') {
+    let digits = color.replace('#', '');
+    if (digits.length === 3) {
+      digits = digits.split('').map(digit => digit + digit).join('');
+    }
+    hex = parseInt(digits, 16);
+  }
+  return [(hex >> 16) & 255, (hex >> 8) & 255, hex & 255];
+}
 
-  // Create connections between particles
-  const lineMaterial = new THREE.LineBasicMaterial({
-    color: 0x606060,
-    transparent: true,
-    opacity: 0.5,
-    linewidth: 10
+// Blend two RGB channel triples into a 0xRRGGBB color
+function mixColors(from, to, t) {
+  const channel = index => Math.round(from[index] + (to[index] - from[index]) * t);
+  return (channel(0) << 16) | (channel(1) << 8) | channel(2);
+}
+
+// Camera properties a keyframe can declare
+const CAMERA_KEYFRAME_PROPERTIES = ['x', 'y', 'z', 'fov', 'layer', 'emphasis'];
+
+// Parse a data-camera declaration such as "z: 4; fov: 60; layer: 2".
+// Unknown properties and values that aren't numbers are ignored.
+function parseCameraKeyframe(declaration) {
+  const keyframe = {};
+  String(declaration || '').split(';').forEach(part => {
+    const [name, value] = part.split(':').map(piece => piece && piece.trim());
+    const number = parseFloat(value);
+    if (CAMERA_KEYFRAME_PROPERTIES.includes(name) && Number.isFinite(number)) {
+      keyframe[name] = number;
+    }
   });
+  return keyframe;
+}
 
-  camera.position.z = 10;
+// Initialize the particle network background
+// Returns a controller: { pause, resume, destroy, setOptions, getOptions, isRunning,
+//                         setTheme, setPalette, getQuality, setQuality, getRendererType,
+//                         morphTo, release, defineShape, getShape, refreshCameraKeyframes }
+function initBackgroundCanvas(options = {}) {
+  const settings = { ...BACKGROUND_DEFAULTS, ...options };
+  settings.palettes = mergePalettes(BACKGROUND_PALETTES, options.palettes);
+  settings.shapes = { ...BACKGROUND_SHAPES, ...options.shapes };
+  const canvas = typeof settings.canvas === 'string'
+    ? document.getElementById(settings.canvas)
+    : settings.canvas;
 
-  // Animation loop
-  function animate() {
-    requestAnimationFrame(animate);
+  if (!canvas) {
+    console.error('Background canvas not found:', settings.canvas);
+    return null;
+  }
+
+  let renderer;
+  try {
+    renderer = createBackgroundRenderer(canvas, settings.renderer);
+  } catch (error) {
+    console.error('No renderer available for the background:', error);
+    return null;
+  }
+
+  // Camera state shared with the renderer; it always looks straight down -Z
+  const camera = { x: 0, y: 0, z: settings.cameraZ, fov: 75, aspect: 1 };
+
+  // Scroll-driven camera flight. Keyframes are sorted by the scroll offset at
+  // which their element sits centered in the viewport; the camera eases
+  // towards the blend of the two keyframes around the current scroll offset.
+  // `focusZ` and `emphasis` pick a depth to highlight by fading the others.
+  let cameraKeyframes = [];
+  const cameraTarget = { x: 0, y: 0, z: settings.cameraZ, fov: 75, focusZ: 0, emphasis: 0 };
+  const focus = { z: 0, emphasis: 0 };
+
+  // Colors currently drawn, tweened between palettes
+  const colors = { pointColor: 0, pointOpacity: 0, lineColor: 0, lineOpacity: 0, fadeColor: 0 };
+
+  // Palette tween state. The start colors are captured when a tween starts so
+  // a theme change halfway through a tween continues from the current colors.
+  let activePalette = null;
+  let paletteTween = null;
+  let tweenFrameId = null;
+
+  // Reused for every render call
+  const frame = { pointCount: 0, segmentCount: 0, camera, colors, pointSize: settings.pointSize, shaded: false };
+
+  // Particle and connection state, (re)allocated by buildNetwork()
+  let particleCount = 0;
+  let activeCount = 0;    // Particles simulated and drawn at the current quality level
+  let positions = null;
+  let velocities = null;  // Flat x/y/z triples, like positions
+  let baseVelocities = null; // Layer velocities that disturbed particles ease back to
+  let layerOf = null;     // Layer index per particle, computed once
+  let linePositions = null;
+  let pointShades = null;  // Per-particle layer emphasis, 0 (faded) to 1
+  let lineShades = null;   // ...and per line vertex
+  let segmentCount = 0;    // Segments written to linePositions this frame
+  let linkCounts = null;
+  let maxPairSegments = 0; // Segments reserved for particle-particle connections
+  let maxSegments = 0;     // ...plus segments reserved for pointer links
+
+  // Pointer/touch interaction state. Pointers are keyed by pointerId so every
+  // finger of a multi-touch gesture is tracked, in normalized screen space.
+  const pointers = new Map();
+  const ripples = [];
+  const pointerWorld = { x: 0, y: 0 };
+  let pointerEventsBound = false;
+
+  // Shape morph state. Every particle gets an x/y/z target on the shape and
+  // is pulled towards it in proportion to `shapeWeight`, which eases from 0
+  // to 1 while a shape forms and back to 0 when it is released.
+  const shapeCache = new Map(); // Sampling promises keyed by spec
+  let shape = null;             // Sampled shape being formed or held
+  let shapeName = null;
+  let shapeTargets = null;
+  let shapeHome = null;         // Positions before the morph, restored on still releases
+  let shapeWeight = 0;
+  let shapeTween = null;
+  let shapeHoldTimer = null;
+  let shapeRequest = 0;         // Bumped so stale shape loads are ignored
+  let settling = false;         // Released particles still drifting back to their layers
+
+  // Spatial grid for neighbor search. Cells are as wide as the largest
+  // connection threshold, so every candidate pair lives in the same or an
+  // adjacent cell. Particles are bucketed with a counting sort into flat
+  // typed arrays each frame instead of comparing every pair.
+  let cellSize = 0;
+  let gridBound = 0;
+  let gridDim = 0;
+  let cellCount = 0;
+  let cellStarts = null;
+  let cellFill = null;
+  let particleCells = null;
+  let sortedParticles = null;
+
+  let animationFrameId = null;
+  let running = false;
+  let destroyed = false;
+  let resizeObserver = null;
+  let visibilityObserver = null;
+
+  // The loop only runs while nothing asks it to stop: 'user' (controller.pause),
+  // 'hidden' (tab hidden), 'offscreen' (canvas scrolled away),
+  // 'reduced-motion', 'quality' (frozen by the frame-time monitor) and
+  // 'setup' (cleared once initialization has finished)
+  const pauseReasons = new Set(['setup']);
+
+  // Frame-time monitor state
+  let qualityLevel = 0;
+  let lastFrameTime = 0;
+  let sampleTime = 0;
+  let sampleFrames = 0;
+  let upgradeSamples = 0;
+  let measuredFps = 0;
+  let frozenRetryTimer = null;
+
+  const reducedMotionQuery = window.matchMedia
+    ? window.matchMedia('(prefers-reduced-motion: reduce)')
+    : null;
+
+  // Z center of a depth layer - spread evenly from -depth/2 to +depth/2
+  function getLayerZ(layerIndex) {
+    if (settings.layers < 2) return 0;
+    return (layerIndex / (settings.layers - 1)) * settings.depth - settings.depth / 2;
+  }
+
+  // X/Y spread of a depth layer - more concentrated in center layers
+  function getLayerSpread(layerIndex) {
+    const center = (settings.layers - 1) / 2;
+    if (center === 0) return settings.spread;
+    return settings.spread - (Math.abs(layerIndex - center) / center) * settings.spreadFalloff;
+  }
 
-    // Update particle positions
-    const positions = particleSystem.geometry.attributes.position.array;
+  // Allocate particles, the connection line buffer and the neighbor grid
+  function buildNetwork() {
+    particleCount = Math.max(0, Math.floor(settings.particleCount));
+    positions = new Float32Array(particleCount * 3);
+    velocities = new Float32Array(particleCount * 3);
+    layerOf = new Uint8Array(particleCount);
+
+    const layers = Math.max(1, Math.min(255, Math.floor(settings.layers)));
+    settings.layers = layers;
+
+    // Layers are interleaved so that any leading slice of the particles (see
+    // the quality levels) still covers every layer evenly
     for (let i = 0; i < particleCount; i++) {
-      positions[i * 3] += velocities[i].x;
-      positions[i * 3 + 1] += velocities[i].y;
-      positions[i * 3 + 2] += velocities[i].z;
+      const layerIndex = i % layers;
+      const layerSpread = getLayerSpread(layerIndex);
+      layerOf[i] = layerIndex;
+
+      positions[i * 3] = (Math.random() - 0.5) * layerSpread;
+      positions[i * 3 + 1] = (Math.random() - 0.5) * layerSpread;
+
+      // Z position - fixed to layer with small random variation
+      positions[i * 3 + 2] = getLayerZ(layerIndex) + (Math.random() - 0.5) * 2;
+
+      // Slower movement for background layers, faster for foreground
+      const depthFactor = layers < 2 ? 1 : 0.5 + (layerIndex / (layers - 1)) * 0.5; // 0.5 to 1.0
+      velocities[i * 3] = (Math.random() - 0.5) * settings.speed * depthFactor;
+      velocities[i * 3 + 1] = (Math.random() - 0.5) * settings.speed * depthFactor;
+      velocities[i * 3 + 2] = (Math.random() - 0.5) * settings.depthSpeed;
+    }
+
+    baseVelocities = velocities.slice();
+
+    // One preallocated line buffer, reused every frame; the renderer only
+    // draws the first `segmentCount` segments
+    maxPairSegments = Math.ceil(particleCount * settings.maxLinksPerParticle / 2);
+    maxSegments = maxPairSegments + BACKGROUND_MAX_POINTERS * settings.pointerLinkMax;
+    linePositions = new Float32Array(maxSegments * 6);
+    pointShades = new Float32Array(particleCount).fill(1);
+    lineShades = new Float32Array(maxSegments * 2).fill(1);
+    // 16 bits, so a maxLinksPerParticle above 255 still caps
+    linkCounts = new Uint16Array(particleCount);
+    segmentCount = 0;
+
+    renderer.setBuffers(positions, linePositions, pointShades, lineShades);
+
+    shapeHome = null;
+    assignShapeTargets();
+    applyQualityLevel();
+
+    cellSize = Math.max(settings.sameLayerThreshold, settings.crossLayerThreshold, 0.1);
+    gridBound = Math.max(settings.spread / 2, settings.depth / 2 + 1) + 1;
+    gridDim = Math.max(1, Math.ceil((gridBound * 2) / cellSize));
+    cellCount = gridDim * gridDim * gridDim;
+    cellStarts = new Int32Array(cellCount + 1);
+    cellFill = new Int32Array(cellCount);
+    particleCells = new Int32Array(particleCount);
+    sortedParticles = new Int32Array(particleCount);
+  }
+
+  // Map a coordinate to its grid column, clamped to the grid edges
+  function toCell(value) {
+    const cell = Math.floor((value + gridBound) / cellSize);
+    return cell < 0 ? 0 : (cell >= gridDim ? gridDim - 1 : cell);
+  }
+
+  // Rebuild the grid buckets from the current particle positions
+  function buildGrid() {
+    cellStarts.fill(0);
+
+    for (let i = 0; i < activeCount; i++) {
+      const cx = toCell(positions[i * 3]);
+      const cy = toCell(positions[i * 3 + 1]);
+      const cz = toCell(positions[i * 3 + 2]);
+      const cell = (cz * gridDim + cy) * gridDim + cx;
+      particleCells[i] = cell;
+      cellStarts[cell + 1]++;
+    }
+
+    // Prefix sum turns per-cell counts into start offsets
+    for (let c = 0; c < cellCount; c++) {
+      cellStarts[c + 1] += cellStarts[c];
+    }
+
+    cellFill.set(cellStarts.subarray(0, cellCount));
+    for (let i = 0; i < activeCount; i++) {
+      sortedParticles[cellFill[particleCells[i]]++] = i;
+    }
+  }
+
+  // True when the current frame fades some layers
+  function isShaded() {
+    return focus.emphasis > 0.01;
+  }
+
+  // Fade particles by their distance from the focused depth, reaching full
+  // emphasis one layer spacing away
+  function updateShades() {
+    if (!isShaded()) return;
+
+    const range = settings.layers < 2 ? settings.depth : settings.depth / (settings.layers - 1);
+    for (let i = 0; i < activeCount; i++) {
+      const distance = Math.abs(positions[i * 3 + 2] - focus.z);
+      pointShades[i] = 1 - focus.emphasis * Math.min(distance / range, 1);
+    }
+  }
+
+  // Write connection segments for every close pair into the line buffer
+  function updateConnections() {
+    updateShades();
+    buildGrid();
+    linkCounts.fill(0);
+
+    const { crossLayerDepth, maxLinksPerParticle } = settings;
+    const distanceScale = getQuality().distance;
+    let sameLayerThreshold = settings.sameLayerThreshold * distanceScale;
+    let crossLayerThreshold = settings.crossLayerThreshold * distanceScale;
+
+    // Shorter links while a shape is formed, so its outline stays readable
+    if (shape) {
+      sameLayerThreshold += (settings.shapeLinkDistance - sameLayerThreshold) * shapeWeight;
+      crossLayerThreshold += (settings.shapeLinkDistance - crossLayerThreshold) * shapeWeight;
+    }
+    segmentCount = 0;
+
+    for (let i = 0; i < activeCount && segmentCount < maxPairSegments; i++) {
+      if (linkCounts[i] >= maxLinksPerParticle) continue;
+
+      const cell = particleCells[i];
+      const cx = cell % gridDim;
+      const cy = Math.floor(cell / gridDim) % gridDim;
+      const cz = Math.floor(cell / (gridDim * gridDim));
+
+      neighborSearch:
+      for (let oz = -1; oz <= 1; oz++) {
+        const nz = cz + oz;
+        if (nz < 0 || nz >= gridDim) continue;
+
+        for (let oy = -1; oy <= 1; oy++) {
+          const ny = cy + oy;
+          if (ny < 0 || ny >= gridDim) continue;
+
+          for (let ox = -1; ox <= 1; ox++) {
+            const nx = cx + ox;
+            if (nx < 0 || nx >= gridDim) continue;
+
+            const neighborCell = (nz * gridDim + ny) * gridDim + nx;
+            for (let k = cellStarts[neighborCell]; k < cellStarts[neighborCell + 1]; k++) {
+              const j = sortedParticles[k];
+
+              // Each pair is visited from both ends; only keep it once
+              if (j <= i || linkCounts[j] >= maxLinksPerParticle) continue;
+
+              const dx = positions[i * 3] - positions[j * 3];
+              const dy = positions[i * 3 + 1] - positions[j * 3 + 1];
+              const dz = positions[i * 3 + 2] - positions[j * 3 + 2];
+              const distanceSq = dx * dx + dy * dy + dz * dz;
+
+              // Adjust connection distance based on depth difference
+              const threshold = Math.abs(dz) < crossLayerDepth ? sameLayerThreshold : crossLayerThreshold;
+              if (distanceSq >= threshold * threshold) continue;
+
+              const offset = segmentCount * 6;
+              linePositions[offset] = positions[i * 3];
+              linePositions[offset + 1] = positions[i * 3 + 1];
+              linePositions[offset + 2] = positions[i * 3 + 2];
+              linePositions[offset + 3] = positions[j * 3];
+              linePositions[offset + 4] = positions[j * 3 + 1];
+              linePositions[offset + 5] = positions[j * 3 + 2];
+              lineShades[segmentCount * 2] = pointShades[i];
+              lineShades[segmentCount * 2 + 1] = pointShades[j];
+
+              segmentCount++;
+              linkCounts[j]++;
+              if (++linkCounts[i] >= maxLinksPerParticle || segmentCount >= maxPairSegments) {
+                break neighborSearch;
+              }
+            }
+          }
+        }
+      }
+    }
+
+    if (settings.interactive && settings.pointerLinks) {
+      addPointerLinks();
+    }
+  }
+
+  // Where a normalized screen point lands at a given depth. The camera always
+  // looks straight down -Z, so this only scales by the frustum size there.
+  // Returns false for depths at or behind the camera.
+  function screenToWorld(screenX, screenY, z, tanHalfFov, out) {
+    const distance = camera.z - z;
+    if (distance <= 0) return false;
+    const halfHeight = tanHalfFov * distance;
+    out.x = camera.x + screenX * halfHeight * camera.aspect;
+    out.y = camera.y + screenY * halfHeight;
+    return true;
+  }
+
+  // Tangent of half the vertical field of view
+  function getTanHalfFov() {
+    return Math.tan((camera.fov * Math.PI) / 360);
+  }
+
+  // Append lines from each pointer to the particles near it
+  function addPointerLinks() {
+    if (pointers.size === 0) return;
+
+    const tanHalfFov = getTanHalfFov();
+    const linkDistanceSq = settings.pointerLinkDistance * settings.pointerLinkDistance;
+
+    pointers.forEach(pointer => {
+      let links = 0;
+      for (let i = 0; i < activeCount && links < settings.pointerLinkMax; i++) {
+        const z = positions[i * 3 + 2];
+        if (!screenToWorld(pointer.x, pointer.y, z, tanHalfFov, pointerWorld)) continue;
+
+        const dx = positions[i * 3] - pointerWorld.x;
+        const dy = positions[i * 3 + 1] - pointerWorld.y;
+        if (dx * dx + dy * dy >= linkDistanceSq || segmentCount >= maxSegments) continue;
+
+        const offset = segmentCount * 6;
+        linePositions[offset] = pointerWorld.x;
+        linePositions[offset + 1] = pointerWorld.y;
+        linePositions[offset + 2] = z;
+        linePositions[offset + 3] = positions[i * 3];
+        linePositions[offset + 4] = positions[i * 3 + 1];
+        linePositions[offset + 5] = z;
+        lineShades[segmentCount * 2] = pointShades[i];
+        lineShades[segmentCount * 2 + 1] = pointShades[i];
+
+        segmentCount++;
+        links++;
+      }
+    });
+  }
+
+  // Push particles away from (or towards) pointers, run ripples, and ease
+  // disturbed particles back to their layer velocity
+  function applyInteraction(now) {
+    // Drop ripples that have run their course
+    for (let r = ripples.length - 1; r >= 0; r--) {
+      if (now - ripples[r].start >= settings.rippleDuration) {
+        ripples.splice(r, 1);
+      }
+    }
+
+    const disturbed = settings.interactive && (pointers.size > 0 || ripples.length > 0);
+    const tanHalfFov = getTanHalfFov();
+    const radius = settings.pointerRadius;
+    const direction = settings.pointerMode === 'attract' ? -1 : 1;
+
+    for (let i = 0; i < activeCount; i++) {
+      const px = positions[i * 3];
+      const py = positions[i * 3 + 1];
+      const z = positions[i * 3 + 2];
+
+      if (disturbed) {
+        pointers.forEach(pointer => {
+          if (!screenToWorld(pointer.x, pointer.y, z, tanHalfFov, pointerWorld)) return;
+
+          const dx = px - pointerWorld.x;
+          const dy = py - pointerWorld.y;
+          const distanceSq = dx * dx + dy * dy;
+          if (distanceSq >= radius * radius || distanceSq < 1e-6) return;
+
+          const distance = Math.sqrt(distanceSq);
+          const force = settings.pointerStrength * (1 - distance / radius) * direction;
+          velocities[i * 3] += (dx / distance) * force;
+          velocities[i * 3 + 1] += (dy / distance) * force;
+        });
+
+        ripples.forEach(ripple => {
+          if (!screenToWorld(ripple.x, ripple.y, z, tanHalfFov, pointerWorld)) return;
+
+          const age = (now - ripple.start) / settings.rippleDuration;
+          const front = age * settings.rippleRadius;
+          const dx = px - pointerWorld.x;
+          const dy = py - pointerWorld.y;
+          const distance = Math.sqrt(dx * dx + dy * dy);
+          const band = Math.abs(distance - front);
+          if (band >= settings.rippleWidth || distance < 1e-3) return;
+
+          // Strongest at the front's center, fading as the ripple ages
+          const force = settings.rippleStrength * (1 - band / settings.rippleWidth) * (1 - age);
+          velocities[i * 3] += (dx / distance) * force;
+          velocities[i * 3 + 1] += (dy / distance) * force;
+        });
+      }
+
+      velocities[i * 3] += (baseVelocities[i * 3] - velocities[i * 3]) * settings.easeBack;
+      velocities[i * 3 + 1] += (baseVelocities[i * 3 + 1] - velocities[i * 3 + 1]) * settings.easeBack;
+    }
+  }
+
+  // Normalized (-1..1) screen position of a pointer event over the canvas,
+  // or null when it is outside the canvas
+  function getPointerPosition(event) {
+    const rect = canvas.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return null;
+
+    const x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    const y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    if (x < -1 || x > 1 || y < -1 || y > 1) return null;
+    return { x, y };
+  }
+
+  // Track a pointer while it moves over the canvas
+  function handlePointerMove(event) {
+    const position = getPointerPosition(event);
+    if (!position) {
+      pointers.delete(event.pointerId);
+      return null;
+    }
+    if (!pointers.has(event.pointerId) && pointers.size >= BACKGROUND_MAX_POINTERS) {
+      return null;
+    }
+    pointers.set(event.pointerId, position);
+    return position;
+  }
+
+  // Clicks and taps start a ripple from where they land
+  function handlePointerDown(event) {
+    const position = handlePointerMove(event);
+    if (!position || !settings.ripples) return;
+
+    if (ripples.length >= BACKGROUND_MAX_RIPPLES) {
+      ripples.shift();
+    }
+    ripples.push({ x: position.x, y: position.y, start: performance.now() });
+  }
+
+  // Touch and pen pointers are gone once lifted; a mouse keeps hovering
+  function handlePointerUp(event) {
+    if (event.pointerType !== 'mouse') {
+      pointers.delete(event.pointerId);
+    }
+  }
+
+  // Pointer left the window (no related target) or the gesture was cancelled
+  function handlePointerOut(event) {
+    if (event.type === 'pointercancel' || !event.relatedTarget) {
+      pointers.delete(event.pointerId);
+    }
+  }
+
+  // Pointer events are listened for on the window: the canvas sits behind
+  // the page content and never receives them itself. Listeners are passive,
+  // so scrolling and clicks on the content are unaffected.
+  function bindPointerEvents(enabled) {
+    if (enabled === pointerEventsBound) return;
+    pointerEventsBound = enabled;
+
+    const method = enabled ? 'addEventListener' : 'removeEventListener';
+    const listenerOptions = { passive: true };
+    window[method]('pointermove', handlePointerMove, listenerOptions);
+    window[method]('pointerdown', handlePointerDown, listenerOptions);
+    window[method]('pointerup', handlePointerUp, listenerOptions);
+    window[method]('pointercancel', handlePointerOut, listenerOptions);
+    window[method]('pointerout', handlePointerOut, listenerOptions);
+
+    if (!enabled) {
+      pointers.clear();
+      ripples.length = 0;
+    }
+  }
+
+  // Move particles one step along their velocity, keeping them in their layer
+  // (or pulling them towards the current shape)
+  function updateParticles(now) {
+    applyInteraction(now);
+    stepShapeTween(now);
+
+    const pull = shape ? settings.shapePull * shapeWeight : 0;
+    let unsettled = 0;
+
+    for (let i = 0; i < activeCount; i++) {
+      positions[i * 3] += velocities[i * 3];
+      positions[i * 3 + 1] += velocities[i * 3 + 1];
+      positions[i * 3 + 2] += velocities[i * 3 + 2];
+
+      // Shaped particles keep drifting a little around their target and
+      // ignore the layer bounds until released
+      if (pull > 0) {
+        positions[i * 3] += (shapeTargets[i * 3] - positions[i * 3]) * pull;
+        positions[i * 3 + 1] += (shapeTargets[i * 3 + 1] - positions[i * 3 + 1]) * pull;
+        positions[i * 3 + 2] += (shapeTargets[i * 3 + 2] - positions[i * 3 + 2]) * pull;
+        continue;
+      }
 
       // Wrap around screen edges with layer-aware boundaries
-      const layerIndex = Math.floor(i / Math.floor(particleCount / 5));
-      const layerSpread = 18 - (Math.abs(layerIndex - 2) * 2);
-      const boundary = layerSpread / 2;
+      const layerIndex = layerOf[i];
+      const boundary = getLayerSpread(layerIndex) / 2;
 
       if (positions[i * 3] > boundary) positions[i * 3] = -boundary;
       if (positions[i * 3] < -boundary) positions[i * 3] = boundary;
       if (positions[i * 3 + 1] > boundary) positions[i * 3 + 1] = -boundary;
       if (positions[i * 3 + 1] < -boundary) positions[i * 3 + 1] = boundary;
 
-      // Keep Z within layer bounds
-      const targetLayerZ = (layerIndex / 4) * 16 - 8;
+      // Keep Z within layer bounds. Particles released from a shape glide
+      // back to their layer instead of jumping there.
+      const targetLayerZ = getLayerZ(layerIndex);
       if (Math.abs(positions[i * 3 + 2] - targetLayerZ) > 2) {
-        positions[i * 3 + 2] = targetLayerZ + (Math.random() - 0.5) * 2;
+        if (settling) {
+          positions[i * 3 + 2] += (targetLayerZ - positions[i * 3 + 2]) * 0.05;
+          unsettled++;
+        } else {
+          positions[i * 3 + 2] = targetLayerZ + (Math.random() - 0.5) * 2;
+        }
       }
     }
-    particleSystem.geometry.attributes.position.needsUpdate = true;
 
-    // Create dynamic connections with depth-aware logic
-    const linePositions = [];
+    if (settling && pull === 0 && unsettled === 0) {
+      settling = false;
+    }
+  }
+
+  // Sample a shape by name or spec, once per spec
+  function loadShape(target) {
+    const spec = typeof target === 'string' ? settings.shapes[target] : target;
+    if (!spec) {
+      return Promise.reject(new Error(`Unknown background shape: ${target}`));
+    }
+    if (spec.points) return Promise.resolve(spec);
+
+    const key = JSON.stringify(spec);
+    if (!shapeCache.has(key)) {
+      const loading = loadBackgroundShape(spec);
+      loading.catch(() => shapeCache.delete(key)); // Allow a retry
+      shapeCache.set(key, loading);
+    }
+    return shapeCache.get(key);
+  }
+
+  // Lay the shape out on its plane, scaled to fit the current view. Particles
+  // beyond the shape's point count double up on points with a little jitter.
+  function assignShapeTargets() {
+    if (!shape) return;
+
+    if (!shapeTargets || shapeTargets.length !== particleCount * 3) {
+      shapeTargets = new Float32Array(particleCount * 3);
+    }
+
+    const distance = Math.max(settings.shapeDistance, 0.1);
+    const halfHeight = getTanHalfFov() * distance;
+    const halfWidth = halfHeight * camera.aspect;
+    const scale = Math.min(
+      (halfWidth * 2 * settings.shapeScale) / shape.width,
+      (halfHeight * 2 * settings.shapeScale) / shape.height
+    );
+    const pointCount = shape.points.length / 2;
+
     for (let i = 0; i < particleCount; i++) {
-      for (let j = i + 1; j < particleCount; j++) {
-        const dx = positions[i * 3] - positions[j * 3];
-        const dy = positions[i * 3 + 1] - positions[j * 3 + 1];
-        const dz = positions[i * 3 + 2] - positions[j * 3 + 2];
-        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
-
-        // Adjust connection distance based on depth difference
-        const depthDiff = Math.abs(dz);
-        const connectionThreshold = depthDiff < 4 ? 6 : 4; // Closer connections within layers
-
-        if (distance < connectionThreshold) {
-          linePositions.push(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
-          linePositions.push(positions[j * 3], positions[j * 3 + 1], positions[j * 3 + 2]);
-        }
+      const p = i % pointCount;
+      const jitter = i >= pointCount ? scale : 0;
+      shapeTargets[i * 3] = camera.x + shape.points[p * 2] * scale + (Math.random() - 0.5) * jitter;
+      shapeTargets[i * 3 + 1] = camera.y + shape.points[p * 2 + 1] * scale + (Math.random() - 0.5) * jitter;
+      shapeTargets[i * 3 + 2] = camera.z - distance + (Math.random() - 0.5) * 0.5;
+    }
+  }
+
+  // Start easing the shape weight towards 0 or 1. Resolves true once it gets
+  // there, or false if another tween took over first.
+  function tweenShapeWeight(to, duration) {
+    if (shapeTween) shapeTween.resolve(false);
+
+    return new Promise(resolve => {
+      shapeTween = { start: performance.now(), duration, from: shapeWeight, to, resolve };
+      if (!running) {
+        // Nothing animates while paused (or for reduced-motion users): jump
+        // straight to the end and show it
+        stepShapeTween(Infinity);
+        renderStill();
+      }
+    });
+  }
+
+  // Advance the shape tween
+  function stepShapeTween(now) {
+    if (!shapeTween) return;
+
+    const tween = shapeTween;
+    const progress = tween.duration > 0 ? Math.min((now - tween.start) / tween.duration, 1) : 1;
+    shapeWeight = tween.from + (tween.to - tween.from) * easeInOutCubic(progress);
+    if (progress < 1) return;
+
+    shapeTween = null;
+    if (shapeWeight === 0) clearShape();
+    tween.resolve(true);
+  }
+
+  // Snap particles onto the shape (formed) or back home (released) - used when
+  // the loop isn't running to animate the change
+  function snapToShape(formed) {
+    if (formed) {
+      shapeHome = shapeHome || positions.slice();
+      positions.set(shapeTargets);
+    } else if (shapeHome) {
+      positions.set(shapeHome);
+    }
+  }
+
+  // Forget the current shape once fully released
+  function clearShape() {
+    if (!running) snapToShape(false);
+    shape = null;
+    shapeName = null;
+    shapeHome = null;
+    settling = running;
+  }
+
+  // Tween into a loaded shape
+  function formShape(sampled, name, { duration = settings.shapeDuration, hold = 0 } = {}) {
+    const request = shapeRequest;
+    shape = sampled;
+    shapeName = name;
+    settling = false;
+    assignShapeTargets();
+    if (!running) snapToShape(true);
+
+    return tweenShapeWeight(1, prefersReducedMotion() ? 0 : duration).then(formed => {
+      if (formed && hold > 0 && request === shapeRequest) {
+        shapeHoldTimer = setTimeout(() => controller.release(), hold);
+      }
+      return formed;
+    });
+  }
+
+  // Resolve the palette for the active theme
+  function getActivePaletteName() {
+    const name = settings.theme || getPageTheme();
+    return settings.palettes[name] ? name : 'dark';
+  }
+
+  // Start tweening the materials towards a palette (or jump there instantly)
+  function transitionToPalette(name, instant = false) {
+    const palette = settings.palettes[name];
+    activePalette = name;
+    if (prefersReducedMotion()) instant = true;
+
+    paletteTween = {
+      start: performance.now(),
+      duration: instant ? 0 : settings.themeTransition,
+      fromPoint: colorToRGB(colors.pointColor),
+      fromLine: colorToRGB(colors.lineColor),
+      fromFade: colorToRGB(colors.fadeColor),
+      fromPointOpacity: colors.pointOpacity,
+      fromLineOpacity: colors.lineOpacity,
+      toPoint: colorToRGB(palette.pointColor),
+      toLine: colorToRGB(palette.lineColor),
+      toFade: colorToRGB(palette.fadeColor),
+      pointOpacity: palette.pointOpacity,
+      lineOpacity: palette.lineOpacity
+    };
+
+    stepPaletteTween(paletteTween.start);
+
+    // While paused nothing else renders, so drive the tween on its own
+    if (!running && !destroyed) {
+      draw();
+      if (paletteTween && tweenFrameId === null) {
+        tweenFrameId = requestAnimationFrame(runPausedTween);
       }
     }
+  }
+
+  // Advance the palette tween; returns false once it has finished
+  function stepPaletteTween(now) {
+    if (!paletteTween) return false;
+
+    const progress = paletteTween.duration > 0
+      ? Math.min((now - paletteTween.start) / paletteTween.duration, 1)
+      : 1;
+    const t = easeInOutCubic(progress);
 
-    // Update line geometry
-    scene.remove(scene.getObjectByName('connections'));
-    if (linePositions.length > 0) {
-      const newLineGeometry = new THREE.BufferGeometry();
-      newLineGeometry.setAttribute('position', new THREE.Float32BufferAttribute(linePositions, 3));
-      const connections = new THREE.LineSegments(newLineGeometry, lineMaterial);
-      connections.name = 'connections';
-      scene.add(connections);
+    const tween = paletteTween;
+    colors.pointColor = mixColors(tween.fromPoint, tween.toPoint, t);
+    colors.lineColor = mixColors(tween.fromLine, tween.toLine, t);
+    colors.fadeColor = mixColors(tween.fromFade, tween.toFade, t);
+    colors.pointOpacity = tween.fromPointOpacity + (tween.pointOpacity - tween.fromPointOpacity) * t;
+    colors.lineOpacity = tween.fromLineOpacity + (tween.lineOpacity - tween.fromLineOpacity) * t;
+
+    if (progress >= 1) {
+      paletteTween = null;
+      return false;
+    }
+    return true;
+  }
+
+  // Tween loop used only while the main animation loop is paused
+  function runPausedTween(now) {
+    tweenFrameId = null;
+    if (running || destroyed) return;
+
+    const active = stepPaletteTween(now);
+    draw();
+    if (active) {
+      tweenFrameId = requestAnimationFrame(runPausedTween);
     }
+  }
+
+  // Follow theme changes announced by the page
+  function handleThemeChange() {
+    if (settings.theme) return;
+    const name = getActivePaletteName();
+    if (name !== activePalette) {
+      transitionToPalette(name);
+    }
+  }
+
+  // Hand the current frame to the renderer
+  function draw() {
+    frame.pointCount = activeCount;
+    frame.segmentCount = segmentCount;
+    frame.pointSize = settings.pointSize;
+    frame.shaded = isShaded();
+    renderer.render(frame);
+  }
 
-    renderer.render(scene, camera);
+  // Current quality level settings
+  function getQuality() {
+    return BACKGROUND_QUALITY_LEVELS[Math.min(qualityLevel, BACKGROUND_QUALITY_LEVELS.length - 1)];
   }
 
-  // Handle window resize
+  // Device pixel ratio, capped by the options and the quality level
+  function getTargetPixelRatio() {
+    return Math.min(window.devicePixelRatio || 1, settings.maxPixelRatio, getQuality().pixelRatio);
+  }
+
+  // Apply the current quality level: particle share, pixel ratio, or freezing
+  function applyQualityLevel() {
+    const quality = getQuality();
+    activeCount = Math.round(particleCount * quality.particles);
+
+    if (renderer.getPixelRatio() !== getTargetPixelRatio()) {
+      handleResize();
+    }
+
+    const frozen = qualityLevel >= BACKGROUND_QUALITY_LEVELS.length;
+    setPaused('quality', frozen);
+
+    clearTimeout(frozenRetryTimer);
+    frozenRetryTimer = frozen && settings.adaptiveQuality
+      ? setTimeout(retryFrozenQuality, BACKGROUND_FROZEN_RETRY_MS)
+      : null;
+  }
+
+  // Leave the frozen state for the lowest level; the monitor freezes again
+  // if frames are still too slow
+  function retryFrozenQuality() {
+    if (!destroyed && qualityLevel >= BACKGROUND_QUALITY_LEVELS.length) {
+      setQualityLevel(BACKGROUND_QUALITY_LEVELS.length - 1);
+    }
+  }
+
+  // Move to another quality level and restart FPS sampling
+  function setQualityLevel(level) {
+    qualityLevel = Math.max(0, Math.min(level, BACKGROUND_QUALITY_LEVELS.length));
+    sampleTime = 0;
+    sampleFrames = 0;
+    upgradeSamples = 0;
+    applyQualityLevel();
+  }
+
+  // Average frame times over a sample window and step quality down when the
+  // network can't keep up, or back up after it has had headroom for a while
+  function monitorFrameTime(now) {
+    const delta = now - lastFrameTime;
+    lastFrameTime = now;
+
+    // Ignore gaps from pauses, tab switches and the first frame
+    if (!settings.adaptiveQuality || delta <= 0 || delta > 250) return;
+
+    sampleTime += delta;
+    sampleFrames++;
+    if (sampleTime < BACKGROUND_FPS_SAMPLE_MS) return;
+
+    measuredFps = (sampleFrames * 1000) / sampleTime;
+    sampleTime = 0;
+    sampleFrames = 0;
+
+    if (measuredFps < settings.minFps) {
+      setQualityLevel(qualityLevel + 1);
+    } else if (qualityLevel > 0 && measuredFps >= settings.minFps + BACKGROUND_FPS_HEADROOM) {
+      if (++upgradeSamples >= BACKGROUND_UPGRADE_SAMPLES) {
+        setQualityLevel(qualityLevel - 1);
+      }
+    } else {
+      upgradeSamples = 0;
+    }
+  }
+
+  // Add or clear a reason for the loop to stop, then start/stop it to match
+  function setPaused(reason, paused) {
+    if (paused) {
+      pauseReasons.add(reason);
+    } else {
+      pauseReasons.delete(reason);
+    }
+    updateRunState();
+  }
+
+  // Start or stop the animation loop depending on the pause reasons
+  function updateRunState() {
+    if (destroyed) return;
+    const shouldRun = pauseReasons.size === 0;
+
+    if (shouldRun && !running) {
+      running = true;
+      if (tweenFrameId !== null) {
+        cancelAnimationFrame(tweenFrameId);
+        tweenFrameId = null;
+      }
+      lastFrameTime = 0;
+      animationFrameId = requestAnimationFrame(animate);
+    } else if (!shouldRun && running) {
+      running = false;
+      cancelAnimationFrame(animationFrameId);
+      animationFrameId = null;
+    }
+  }
+
+  // Draw one frame without advancing the simulation - used for still renders
+  function renderStill() {
+    if (destroyed) return;
+    updateConnections();
+    draw();
+  }
+
+  // True when the user asked the OS for reduced motion
+  function prefersReducedMotion() {
+    return Boolean(settings.respectReducedMotion && reducedMotionQuery && reducedMotionQuery.matches);
+  }
+
+  // Reduced-motion users get a still render instead of the animation
+  function handleReducedMotionChange() {
+    setPaused('reduced-motion', prefersReducedMotion());
+    updateCameraTarget();
+    if (!running) {
+      stepCamera(1);
+      renderStill();
+    }
+  }
+
+  // Pause while the tab is hidden
+  function handleVisibilityChange() {
+    setPaused('hidden', settings.pauseWhenHidden && document.hidden);
+    if (!document.hidden) {
+      retryFrozenQuality();
+    }
+  }
+
+  // Pause while the canvas is scrolled out of view (embedded instances)
+  function observeVisibility() {
+    if (typeof IntersectionObserver === 'undefined') return;
+    visibilityObserver = new IntersectionObserver(entries => {
+      const entry = entries[entries.length - 1];
+      setPaused('offscreen', settings.pauseWhenHidden && !entry.isIntersecting);
+    });
+    visibilityObserver.observe(canvas);
+  }
+
+  // Animation loop
+  function animate(now = performance.now()) {
+    animationFrameId = requestAnimationFrame(animate);
+
+    monitorFrameTime(now);
+    if (!running) return; // The monitor may have frozen the network
+
+    stepPaletteTween(now);
+    stepCamera(settings.cameraEase);
+    updateParticles(now);
+
+    // Create dynamic connections with depth-aware logic
+    updateConnections();
+
+    draw();
+  }
+
+  // Size the renderer to the window, or to the canvas' parent when embedded
   function handleResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
+    const container = canvas.parentElement;
+    const width = settings.fullscreen || !container ? window.innerWidth : container.clientWidth;
+    const height = settings.fullscreen || !container ? window.innerHeight : container.clientHeight;
+
+    if (width === 0 || height === 0) return;
+
+    camera.aspect = width / height;
+    renderer.setSize(width, height, getTargetPixelRatio(), settings.fullscreen);
+    assignShapeTargets();
+    refreshCameraKeyframes(); // Layout changes move the keyframe offsets
+
+    // Keep the last frame visible while paused
+    if (!running && !destroyed) {
+      draw();
+    }
+  }
+
+  // Watch the right element for size changes
+  function observeSize() {
+    if (resizeObserver) {
+      resizeObserver.disconnect();
+      resizeObserver = null;
+    }
+    window.removeEventListener('resize', handleResize);
+
+    if (!settings.fullscreen && canvas.parentElement && typeof ResizeObserver !== 'undefined') {
+      resizeObserver = new ResizeObserver(handleResize);
+      resizeObserver.observe(canvas.parentElement);
+    } else {
+      window.addEventListener('resize', handleResize);
+    }
+    handleResize();
+  }
+
+  // Keyframe the camera rests at when nothing else is declared
+  function getBaseKeyframe() {
+    return {
+      offset: 0,
+      x: 0,
+      y: 0,
+      z: settings.cameraZ,
+      fov: 75,
+      focusZ: getLayerZ((settings.layers - 1) / 2),
+      emphasis: 0
+    };
+  }
+
+  // Read keyframes from the elements that declare them. A keyframe is fully
+  // resolved here: undeclared properties come from the base keyframe, and
+  // declaring a `layer` focuses it with the default emphasis.
+  function readCameraKeyframes() {
+    const base = getBaseKeyframe();
+    if (!settings.scrollCamera || !settings.cameraKeyframes || !document.querySelectorAll) {
+      return [base];
+    }
+
+    const scrollY = window.scrollY || 0;
+    const keyframes = Array.from(document.querySelectorAll(settings.cameraKeyframes)).map(element => {
+      const rect = element.getBoundingClientRect();
+      const declared = parseCameraKeyframe(element.dataset.camera);
+      const hasLayer = 'layer' in declared;
+      return {
+        offset: Math.max(0, rect.top + scrollY + rect.height / 2 - window.innerHeight / 2),
+        x: 'x' in declared ? declared.x : base.x,
+        y: 'y' in declared ? declared.y : base.y,
+        z: 'z' in declared ? declared.z : base.z,
+        fov: 'fov' in declared ? declared.fov : base.fov,
+        focusZ: hasLayer ? getLayerZ(declared.layer) : base.focusZ,
+        emphasis: 'emphasis' in declared ? declared.emphasis : (hasLayer ? settings.layerEmphasis : 0)
+      };
+    });
+
+    keyframes.sort((a, b) => a.offset - b.offset);
+    // The top of the page rests at the base keyframe unless one is declared there
+    if (keyframes.length === 0 || keyframes[0].offset > 0) {
+      keyframes.unshift(base);
+    }
+    return keyframes;
+  }
+
+  // Blend the keyframes around the current scroll offset into cameraTarget.
+  // Reduced-motion users keep the camera at rest.
+  function updateCameraTarget() {
+    const scrollY = prefersReducedMotion() ? 0 : window.scrollY || 0;
+    const keyframes = prefersReducedMotion() ? [getBaseKeyframe()] : cameraKeyframes;
+
+    let from = keyframes[0];
+    let to = from;
+    for (let k = 1; k < keyframes.length; k++) {
+      to = keyframes[k];
+      if (scrollY < to.offset) break;
+      from = to;
+    }
+
+    const span = to.offset - from.offset;
+    const t = span > 0 ? easeInOutCubic(Math.min(Math.max((scrollY - from.offset) / span, 0), 1)) : 1;
+    Object.keys(cameraTarget).forEach(key => {
+      cameraTarget[key] = from[key] + (to[key] - from[key]) * t;
+    });
   }
 
-  window.addEventListener('resize', handleResize);
-  animate();
+  // Move the camera a step towards its target (1 jumps straight there)
+  function stepCamera(ease) {
+    camera.x += (cameraTarget.x - camera.x) * ease;
+    camera.y += (cameraTarget.y - camera.y) * ease;
+    camera.z += (cameraTarget.z - camera.z) * ease;
+    camera.fov += (cameraTarget.fov - camera.fov) * ease;
+    focus.z += (cameraTarget.focusZ - focus.z) * ease;
+    focus.emphasis += (cameraTarget.emphasis - focus.emphasis) * ease;
+  }
+
+  // Re-read keyframes, e.g. after the layout or the page content changed
+  function refreshCameraKeyframes() {
+    cameraKeyframes = readCameraKeyframes();
+    updateCameraTarget();
+  }
+
+  // Follow the scroll position. The loop eases the camera along; while it is
+  // paused the camera jumps and a still frame is drawn.
+  function handleScroll() {
+    if (prefersReducedMotion()) return;
+    updateCameraTarget();
+    if (!running && !destroyed) {
+      stepCamera(1);
+      renderStill();
+    }
+  }
+
+  // Push camera options to the scene
+  function applyCameraOptions() {
+    refreshCameraKeyframes();
+    stepCamera(1);
+  }
+
+  const controller = {
+    // Stop the animation loop, keeping the current frame on screen
+    pause() {
+      setPaused('user', true);
+    },
+
+    // Restart the animation loop. It stays stopped while the tab is hidden,
+    // the canvas is off screen, reduced motion is on or quality is frozen.
+    resume() {
+      setPaused('user', false);
+    },
+
+    // Stop everything and release listeners and GPU resources
+    destroy() {
+      if (destroyed) return;
+      controller.pause();
+      destroyed = true;
+      clearTimeout(frozenRetryTimer);
+
+      window.removeEventListener('resize', handleResize);
+      window.removeEventListener('scroll', handleScroll);
+      window.removeEventListener('load', refreshCameraKeyframes);
+      document.removeEventListener('themechange', handleThemeChange);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      if (reducedMotionQuery && reducedMotionQuery.removeEventListener) {
+        reducedMotionQuery.removeEventListener('change', handleReducedMotionChange);
+      }
+      if (visibilityObserver) {
+        visibilityObserver.disconnect();
+        visibilityObserver = null;
+      }
+      bindPointerEvents(false);
+      clearTimeout(shapeHoldTimer);
+      if (shapeTween) {
+        shapeTween.resolve(false);
+        shapeTween = null;
+      }
+      if (tweenFrameId !== null) {
+        cancelAnimationFrame(tweenFrameId);
+        tweenFrameId = null;
+      }
+      if (resizeObserver) {
+        resizeObserver.disconnect();
+        resizeObserver = null;
+      }
+
+      renderer.dispose();
+    },
+
+    // Change options at runtime; structural options rebuild the network
+    setOptions(newOptions = {}) {
+      if (destroyed) return;
+
+      const needsRebuild = BACKGROUND_REBUILD_OPTIONS.some(
+        key => key in newOptions && newOptions[key] !== settings[key]
+      );
+      const needsResize = 'fullscreen' in newOptions && newOptions.fullscreen !== settings.fullscreen;
+
+      Object.assign(settings, newOptions);
+      settings.canvas = canvas; // The canvas and renderer can't be swapped on a live instance
+      settings.renderer = renderer.type;
+      if ('palettes' in newOptions) {
+        settings.palettes = mergePalettes(BACKGROUND_PALETTES, newOptions.palettes);
+      }
+      if ('shapes' in newOptions) {
+        settings.shapes = { ...BACKGROUND_SHAPES, ...newOptions.shapes };
+      }
+
+      if (needsRebuild) buildNetwork();
+      if (needsResize) observeSize();
+      if (['cameraZ', 'scrollCamera', 'cameraKeyframes', 'layerEmphasis', 'layers', 'depth'].some(key => key in newOptions)) {
+        applyCameraOptions();
+      }
+      if (['shapeScale', 'shapeDistance', 'cameraZ'].some(key => key in newOptions)) {
+        assignShapeTargets();
+      }
+      bindPointerEvents(Boolean(settings.interactive));
+
+      if ('adaptiveQuality' in newOptions && !settings.adaptiveQuality) {
+        setQualityLevel(0);
+      } else if ('maxPixelRatio' in newOptions) {
+        applyQualityLevel();
+      }
+      if ('pauseWhenHidden' in newOptions) {
+        handleVisibilityChange();
+        if (!settings.pauseWhenHidden) setPaused('offscreen', false);
+      }
+      if ('respectReducedMotion' in newOptions) {
+        handleReducedMotionChange();
+      }
+
+      if ('palettes' in newOptions || 'theme' in newOptions) {
+        transitionToPalette(getActivePaletteName());
+      }
+
+      if (!running) {
+        renderStill();
+      }
+    },
+
+    // Current settings (a copy - use setOptions to change them)
+    getOptions() {
+      return { ...settings };
+    },
+
+    isRunning() {
+      return running;
+    },
+
+    // Lock the network to a palette; null goes back to following the page theme
+    setTheme(name, { instant = false } = {}) {
+      if (destroyed) return;
+      settings.theme = name;
+      transitionToPalette(getActivePaletteName(), instant);
+    },
+
+    // Add or replace a palette; the network tweens to it if it is active
+    setPalette(name, palette) {
+      if (destroyed) return;
+      settings.palettes = mergePalettes(settings.palettes, { [name]: palette });
+      if (name === getActivePaletteName()) {
+        transitionToPalette(name);
+      }
+    },
+
+    // Current quality level (levels past the last one mean frozen) and the
+    // most recently measured frame rate
+    getQuality() {
+      return {
+        level: qualityLevel,
+        frozen: qualityLevel >= BACKGROUND_QUALITY_LEVELS.length,
+        fps: measuredFps,
+        activeParticles: activeCount
+      };
+    },
+
+    // Force a quality level, e.g. 0 to unfreeze after the monitor gave up
+    setQuality(level) {
+      if (destroyed) return;
+      setQualityLevel(level);
+      if (!running) renderStill();
+    },
+
+    // 'webgl' or 'canvas' (the 2D fallback)
+    getRendererType() {
+      return renderer.type;
+    },
+
+    // Gather the particles into a shape: a name from `shapes`, an { image }
+    // or { text } spec, or a shape from sampleImageShape()/sampleTextShape().
+    // options: { duration, hold } - after `hold` ms the shape releases itself.
+    // Resolves true once formed, false if it failed or was replaced first.
+    morphTo(target, morphOptions = {}) {
+      if (destroyed) return Promise.resolve(false);
+      const request = ++shapeRequest;
+      clearTimeout(shapeHoldTimer);
+
+      return loadShape(target)
+        .then(sampled => {
+          if (destroyed || request !== shapeRequest) return false;
+          return formShape(sampled, typeof target === 'string' ? target : 'custom', morphOptions);
+        })
+        .catch(error => {
+          console.warn('Background shape unavailable:', error);
+          return false;
+        });
+    },
+
+    // Let the particles go back to drifting freely. Resolves true once released.
+    release({ duration = settings.shapeDuration } = {}) {
+      if (destroyed) return Promise.resolve(false);
+      shapeRequest++;
+      clearTimeout(shapeHoldTimer);
+      if (!shape) return Promise.resolve(true);
+
+      return tweenShapeWeight(0, prefersReducedMotion() ? 0 : duration);
+    },
+
+    // Add or replace a named shape
+    defineShape(name, spec) {
+      settings.shapes = { ...settings.shapes, [name]: spec };
+    },
+
+    // Name of the shape being formed or held ('custom' for unnamed ones), or null
+    getShape() {
+      return shapeName;
+    },
+
+    // Re-read camera keyframes after sections were added, removed or changed
+    refreshCameraKeyframes() {
+      if (destroyed) return;
+      refreshCameraKeyframes();
+      if (!running) {
+        stepCamera(1);
+        renderStill();
+      }
+    }
+  };
+
+  buildNetwork();
+  observeSize();
+  applyCameraOptions();
+  transitionToPalette(getActivePaletteName(), true);
+  window.addEventListener('scroll', handleScroll, { passive: true });
+  // Images and fonts arriving after this point shift the keyframe offsets
+  window.addEventListener('load', refreshCameraKeyframes, { once: true });
+  document.addEventListener('themechange', handleThemeChange);
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+  if (reducedMotionQuery && reducedMotionQuery.addEventListener) {
+    reducedMotionQuery.addEventListener('change', handleReducedMotionChange);
+  }
+  observeVisibility();
+  bindPointerEvents(Boolean(settings.interactive));
+  handleVisibilityChange();
+  handleReducedMotionChange();
+  setPaused('setup', false);
+
+  return controller;
+}
+
+// three.js r128: the copy package.json pins (npm install) first so the site
+// works offline, then the CDN's build of the same release, e.g. for pages
+// opened from file://, where browsers refuse module imports. Keep the two
+// versions in step.
+const THREE_MODULE_PATH = '../node_modules/three/build/three.module.js';
+const THREE_CDN_URL = 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js';
+
+// Inject a classic script tag and resolve once it has loaded
+function loadScript(src) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = src;
+    script.onload = resolve;
+    script.onerror = () => reject(new Error(`Failed to load ${src}`));
+    document.head.appendChild(script);
+  });
+}
+
+// Make sure THREE is available as a global, trying each source in turn
+function loadThree() {
+  if (typeof THREE !== 'undefined') return Promise.resolve();
+
+  return import(THREE_MODULE_PATH)
+    .then(module => {
+      window.THREE = module;
+    })
+    .catch(() => loadScript(THREE_CDN_URL));
 }
 
 // Initialize when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
-  // Check if THREE is loaded
-  if (typeof THREE === 'undefined') {
-    console.error('THREE.js not loaded!');
-    return;
-  }
-  initBackgroundCanvas();
+  loadThree()
+    .catch(error => {
+      console.warn('THREE.js not loaded - falling back to the 2D canvas:', error);
+    })
+    .then(() => {
+      window.homaraBackground = initBackgroundCanvas();
+      document.dispatchEvent(new CustomEvent('backgroundready', {
+        detail: { controller: window.homaraBackground }
+      }));
+    });
 });
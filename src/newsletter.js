@@ -0,0 +1,348 @@
+// Newsletter signup behind the "Newsletter" hero button.
+//
+// The endpoint (the newsletter-endpoint meta tag in index.html) takes JSON POSTs:
+//   {endpoint}/subscribe    { email, interests, source }  -> { status: 'pending' | 'subscribed' }
+//   {endpoint}/confirm      { token }                     -> { status: 'subscribed' }
+//   {endpoint}/unsubscribe  { email, token }              -> { status: 'unsubscribed' }
+// 'pending' means a confirmation email went out (double opt-in). Errors answer
+// with a 4xx/5xx status and { message }, which is logged; the dialog shows
+// its own translated text. Links in the emails (built by the mail service)
+// come back to the landing page:
+//   /#newsletter/confirm?token=<token>
+//   /#newsletter/unsubscribe?email=<email>&token=<token>
+// Signups that can't reach the endpoint are queued in localStorage and sent
+// once the browser is back online.
+
+const NEWSLETTER_DEFAULTS = {
+  endpoint: '/api/newsletter',
+  dialog: 'newsletter-dialog',  // Dialog element or its id
+  trigger: 'newsletter-btn',    // Button that opens the dialog, or its id
+  source: 'landing',            // Sent along so signups can be traced to a page
+  retryDelay: 30000             // ms between retries of queued signups while online
+};
+
+const NEWSLETTER_QUEUE_KEY = 'homara_newsletter_queue';
+const NEWSLETTER_HASH_PREFIX = '#newsletter';
+const NEWSLETTER_EMAIL_PATTERN = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/;
+
+// Translated text, or the English fallback when src/i18n.js isn't loaded
+function newsletterText(key, fallback) {
+  return window.homaraI18n ? window.homaraI18n.t(key, fallback) : fallback;
+}
+
+// Parse a #newsletter/<action>?<params> hash; null for any other hash
+function parseNewsletterHash(hash) {
+  if (hash !== NEWSLETTER_HASH_PREFIX && !hash.startsWith(`${NEWSLETTER_HASH_PREFIX}/`)) {
+    return null;
+  }
+  const [path, query = ''] = hash.slice(NEWSLETTER_HASH_PREFIX.length + 1).split('?');
+  return { action: path || 'subscribe', params: new URLSearchParams(query) };
+}
+
+// POST JSON to the endpoint. Rejects with an error carrying the HTTP `status`
+// (none for network failures) and the server's message when there is one.
+function postNewsletter(url, body) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  }).then(response => response.json().catch(() => ({})).then(data => {
+    if (!response.ok) {
+      const error = new Error(data.message || `Newsletter request failed (${response.status})`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }));
+}
+
+// Network failures and server errors are worth retrying; 4xx answers aren't
+function isRetryable(error) {
+  return !error.status || error.status >= 500;
+}
+
+// Wire up the newsletter dialog
+// Returns a controller: { open, close, flushQueue, getQueuedCount }
+function initNewsletter(options = {}) {
+  const settings = { ...NEWSLETTER_DEFAULTS, ...options };
+  const dialog = typeof settings.dialog === 'string'
+    ? document.getElementById(settings.dialog)
+    : settings.dialog;
+  const trigger = typeof settings.trigger === 'string'
+    ? document.getElementById(settings.trigger)
+    : settings.trigger;
+
+  if (!dialog) {
+    console.error('Newsletter dialog not found:', settings.dialog);
+    return null;
+  }
+
+  const signupForm = dialog.querySelector('[data-newsletter-state="form"]');
+  const unsubscribeForm = dialog.querySelector('[data-newsletter-state="unsubscribe"]');
+  const emailInput = signupForm.querySelector('input[name="email"]');
+  let unsubscribeRequest = null; // { email, token } from the unsubscribe link
+  let flushing = null;
+  let retryTimer = null;
+
+  // Show one panel of the dialog and label the dialog with its heading
+  function showState(state, { email = '', message = '' } = {}) {
+    dialog.querySelectorAll('[data-newsletter-state]').forEach(panel => {
+      const active = panel.dataset.newsletterState === state;
+      panel.hidden = !active;
+      if (!active) return;
+
+      const heading = panel.querySelector('h2');
+      if (heading) dialog.setAttribute('aria-labelledby', heading.id);
+      panel.querySelectorAll('[data-newsletter-email]').forEach(element => {
+        element.textContent = email;
+      });
+      panel.querySelectorAll('[data-newsletter-message]').forEach(element => {
+        element.textContent = message;
+      });
+    });
+    showError(state === 'form' ? signupForm : unsubscribeForm, '');
+  }
+
+  // Inline error under a form; an empty message hides it
+  function showError(form, message) {
+    const error = form.querySelector('.newsletter-error');
+    error.textContent = message;
+    error.hidden = !message;
+  }
+
+  function setBusy(form, busy) {
+    form.querySelector('button[type="submit"]').disabled = busy;
+    form.setAttribute('aria-busy', String(busy));
+  }
+
+  function open(state = 'form', details) {
+    showState(state, details);
+    if (!dialog.open) {
+      if (dialog.showModal) {
+        dialog.showModal();
+      } else {
+        dialog.setAttribute('open', '');
+      }
+    }
+    if (state === 'form') emailInput.focus();
+  }
+
+  function close() {
+    if (dialog.close) {
+      dialog.close();
+    } else {
+      dialog.removeAttribute('open');
+    }
+  }
+
+  // Drop a handled #newsletter/... link from the address bar
+  function clearHash() {
+    if (parseNewsletterHash(window.location.hash)) {
+      history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+  }
+
+  // Queued signups, oldest first
+  function readQueue() {
+    try {
+      const queue = JSON.parse(localStorage.getItem(NEWSLETTER_QUEUE_KEY));
+      return Array.isArray(queue) ? queue : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // False when storage is blocked or full
+  function writeQueue(queue) {
+    try {
+      if (queue.length > 0) {
+        localStorage.setItem(NEWSLETTER_QUEUE_KEY, JSON.stringify(queue));
+      } else {
+        localStorage.removeItem(NEWSLETTER_QUEUE_KEY);
+      }
+      return true;
+    } catch (error) {
+      console.warn('Newsletter queue could not be saved:', error);
+      return false;
+    }
+  }
+
+  // Queue a signup, replacing an earlier one for the same address. False
+  // when it couldn't be stored, so the visitor has to try again later.
+  function enqueue(signup) {
+    const queue = readQueue().filter(entry => entry.email !== signup.email);
+    queue.push(signup);
+    if (!writeQueue(queue)) return false;
+    scheduleRetry();
+    return true;
+  }
+
+  // Queue a signup that couldn't be sent, or say the server is unreachable
+  function queueOrFail(signup) {
+    if (enqueue(signup)) {
+      showState('queued', { email: signup.email });
+    } else {
+      showError(signupForm, newsletterText('newsletter.errors.unreachable', 'We couldn\'t reach the server. Please try again in a moment.'));
+    }
+  }
+
+  function scheduleRetry() {
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(flushQueue, settings.retryDelay);
+  }
+
+  // Send queued signups one at a time. Stops at the first failure worth
+  // retrying; signups the server rejects outright are dropped.
+  function flushQueue() {
+    if (flushing) return flushing;
+    clearTimeout(retryTimer);
+    if (readQueue().length === 0) return Promise.resolve();
+    if (navigator.onLine === false) return Promise.resolve(); // Waits for the 'online' event
+
+    const sendNext = () => {
+      const [signup] = readQueue();
+      if (!signup) return Promise.resolve();
+
+      return postNewsletter(`${settings.endpoint}/subscribe`, signup)
+        .then(() => true, error => {
+          if (isRetryable(error)) throw error;
+          console.warn('Dropping queued newsletter signup:', error.message);
+          return true;
+        })
+        .then(() => {
+          writeQueue(readQueue().filter(entry => entry.email !== signup.email));
+          return sendNext();
+        });
+    };
+
+    flushing = sendNext()
+      .catch(() => scheduleRetry())
+      .then(() => {
+        flushing = null;
+      });
+    return flushing;
+  }
+
+  function handleSubmit(event) {
+    event.preventDefault();
+
+    const email = emailInput.value.trim();
+    if (!NEWSLETTER_EMAIL_PATTERN.test(email)) {
+      showError(signupForm, newsletterText('newsletter.errors.email', 'Please enter a valid email address.'));
+      emailInput.setAttribute('aria-invalid', 'true');
+      emailInput.focus();
+      return;
+    }
+    emailInput.removeAttribute('aria-invalid');
+    showError(signupForm, '');
+
+    const signup = {
+      email,
+      interests: Array.from(signupForm.querySelectorAll('input[name="interests"]:checked'))
+        .map(input => input.value),
+      source: settings.source,
+      requestedAt: new Date().toISOString()
+    };
+
+    if (navigator.onLine === false) {
+      queueOrFail(signup);
+      return;
+    }
+
+    setBusy(signupForm, true);
+    postNewsletter(`${settings.endpoint}/subscribe`, signup)
+      .then(result => {
+        signupForm.reset();
+        showState(result.status === 'subscribed' ? 'subscribed' : 'pending', { email });
+      })
+      .catch(error => {
+        if (isRetryable(error)) {
+          queueOrFail(signup);
+        } else {
+          console.warn('Newsletter signup refused:', error.message);
+          showError(signupForm, newsletterText('newsletter.errors.refused', 'We couldn\'t sign up that address. Please check it and try again.'));
+        }
+      })
+      .finally(() => setBusy(signupForm, false));
+  }
+
+  function handleUnsubscribe(event) {
+    event.preventDefault();
+    if (!unsubscribeRequest) return;
+
+    setBusy(unsubscribeForm, true);
+    postNewsletter(`${settings.endpoint}/unsubscribe`, unsubscribeRequest)
+      .then(() => showState('unsubscribed', { email: unsubscribeRequest.email }))
+      .catch(error => {
+        if (!isRetryable(error)) console.warn('Unsubscribe refused:', error.message);
+        showError(unsubscribeForm, isRetryable(error)
+          ? newsletterText('newsletter.errors.unreachable', 'We couldn\'t reach the server. Please try again in a moment.')
+          : newsletterText('newsletter.errors.unsubscribeLink', 'This unsubscribe link doesn\'t work anymore.'));
+      })
+      .finally(() => setBusy(unsubscribeForm, false));
+  }
+
+  // Confirmation and unsubscribe links from the emails land here
+  function handleHash() {
+    const link = parseNewsletterHash(window.location.hash);
+    if (!link) return;
+
+    if (link.action === 'confirm') {
+      open('confirming');
+      postNewsletter(`${settings.endpoint}/confirm`, { token: link.params.get('token') || '' })
+        .then(() => showState('subscribed'))
+        .catch(error => {
+          if (!isRetryable(error)) console.warn('Newsletter confirmation refused:', error.message);
+          showState('error', {
+            message: isRetryable(error)
+              ? newsletterText('newsletter.errors.confirmUnreachable', 'We couldn\'t reach the server. Please open the link from your email again later.')
+              : newsletterText('newsletter.errors.confirmLink', 'This confirmation link doesn\'t work anymore. Please sign up again.')
+          });
+        });
+    } else if (link.action === 'unsubscribe') {
+      unsubscribeRequest = {
+        email: link.params.get('email') || '',
+        token: link.params.get('token') || ''
+      };
+      open('unsubscribe', { email: unsubscribeRequest.email });
+    } else {
+      open('form');
+    }
+  }
+
+  if (trigger) {
+    trigger.addEventListener('click', () => open('form'));
+  }
+  signupForm.addEventListener('submit', handleSubmit);
+  unsubscribeForm.addEventListener('submit', handleUnsubscribe);
+  dialog.querySelectorAll('[data-newsletter-close]').forEach(button => {
+    button.addEventListener('click', close);
+  });
+  // Clicks on the backdrop land on the dialog element itself
+  dialog.addEventListener('click', event => {
+    if (event.target === dialog) close();
+  });
+  dialog.addEventListener('close', clearHash);
+  window.addEventListener('hashchange', handleHash);
+  window.addEventListener('online', flushQueue);
+
+  handleHash();
+  flushQueue();
+
+  return {
+    open,
+    close,
+    flushQueue,
+
+    // Signups waiting for the connection to come back
+    getQueuedCount() {
+      return readQueue().length;
+    }
+  };
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  const endpointMeta = document.querySelector('meta[name="newsletter-endpoint"]');
+  window.homaraNewsletter = initNewsletter(endpointMeta ? { endpoint: endpointMeta.content } : {});
+});
@@ -0,0 +1,140 @@
+// Reveal-on-scroll for content sections, driven by data attributes:
+//   data-reveal          marks an element to reveal when it scrolls into view
+//   data-reveal-effect   space-separated: 'fade', 'slide', 'blur', plus
+//                        'stagger' to reveal the element's children one after
+//                        another instead of the element itself (default 'slide')
+//   data-reveal-delay    ms before the reveal starts
+//   data-reveal-stagger  ms between children for 'stagger' (default 200)
+//   data-reveal-once     stay revealed instead of hiding again when scrolled
+//                        back above the element
+// Visibility comes from an IntersectionObserver, so scrolling does no layout
+// work, and a MutationObserver picks up [data-reveal] content added later.
+// The effects themselves are the .reveal-* classes in index.css.
+
+const REVEAL_DEFAULTS = {
+  root: document,                       // Where to look for [data-reveal] elements
+  effect: 'slide',
+  stagger: 200,                         // ms between staggered children
+  rootMargin: '0px 0px -20% 0px'        // Reveal once an element is a fifth of the viewport in
+};
+
+const REVEAL_EFFECTS = ['fade', 'slide', 'blur'];
+const REVEAL_SELECTOR = '[data-reveal]';
+
+// Effect names from a data-reveal-effect value, e.g. 'blur stagger'
+function parseRevealEffect(value, fallback) {
+  const names = String(value || '').split(/\s+/).filter(Boolean);
+  const effects = names.filter(name => REVEAL_EFFECTS.includes(name));
+  return {
+    effects: effects.length > 0 ? effects : [fallback],
+    stagger: names.includes('stagger')
+  };
+}
+
+// Set up reveal animations
+// Returns a controller: { scan, reveal, disconnect }
+function initReveal(options = {}) {
+  const settings = { ...REVEAL_DEFAULTS, ...options };
+  const prepared = new WeakMap(); // Element -> elements it animates
+  let intersectionObserver = null;
+  let mutationObserver = null;
+
+  // Give an element (or its children) the effect classes and delays
+  function prepare(element) {
+    if (prepared.has(element)) return;
+
+    const { effects, stagger } = parseRevealEffect(element.dataset.revealEffect, settings.effect);
+    const delay = Number(element.dataset.revealDelay) || 0;
+    const step = element.dataset.revealStagger === undefined
+      ? settings.stagger
+      : Number(element.dataset.revealStagger) || 0;
+    const targets = stagger ? Array.from(element.children) : [element];
+
+    targets.forEach((target, index) => {
+      target.classList.add(...effects.map(effect => `reveal-${effect}`));
+      target.style.setProperty('--reveal-delay', `${delay + index * step}ms`);
+    });
+    prepared.set(element, targets);
+
+    if (intersectionObserver) {
+      intersectionObserver.observe(element);
+    } else {
+      setVisible(element, true); // No IntersectionObserver: just show everything
+    }
+  }
+
+  function setVisible(element, visible) {
+    (prepared.get(element) || []).forEach(target => {
+      target.classList.toggle('reveal-visible', visible);
+    });
+  }
+
+  function handleIntersections(entries) {
+    entries.forEach(entry => {
+      const element = entry.target;
+      if (entry.isIntersecting) {
+        setVisible(element, true);
+        if (element.dataset.revealOnce !== undefined) {
+          intersectionObserver.unobserve(element);
+        }
+      } else if (entry.boundingClientRect.top > 0) {
+        // Below the viewport again (scrolled back up), so it can reveal anew
+        setVisible(element, false);
+      }
+    });
+  }
+
+  // Prepare every [data-reveal] element in a subtree, the root included
+  function scan(root = settings.root) {
+    if (root.matches && root.matches(REVEAL_SELECTOR)) prepare(root);
+    if (root.querySelectorAll) root.querySelectorAll(REVEAL_SELECTOR).forEach(prepare);
+  }
+
+  function handleMutations(mutations) {
+    mutations.forEach(mutation => {
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE) scan(node);
+      });
+      mutation.removedNodes.forEach(node => {
+        if (node.nodeType !== Node.ELEMENT_NODE || !intersectionObserver) return;
+        if (node.matches(REVEAL_SELECTOR)) intersectionObserver.unobserve(node);
+        node.querySelectorAll(REVEAL_SELECTOR).forEach(element => intersectionObserver.unobserve(element));
+      });
+    });
+  }
+
+  if ('IntersectionObserver' in window) {
+    intersectionObserver = new IntersectionObserver(handleIntersections, {
+      rootMargin: settings.rootMargin
+    });
+  }
+  if ('MutationObserver' in window) {
+    mutationObserver = new MutationObserver(handleMutations);
+    mutationObserver.observe(settings.root === document ? document.body : settings.root, {
+      childList: true,
+      subtree: true
+    });
+  }
+  scan();
+
+  return {
+    scan,
+
+    // Show an element right away, e.g. before scrolling it into view
+    reveal(element) {
+      prepare(element);
+      setVisible(element, true);
+    },
+
+    // Stop watching; revealed content stays as it is
+    disconnect() {
+      if (intersectionObserver) intersectionObserver.disconnect();
+      if (mutationObserver) mutationObserver.disconnect();
+    }
+  };
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  window.homaraReveal = initReveal();
+});
@@ -0,0 +1,372 @@
+// History API router shared by the landing page and MenuLAUNCH.
+//
+// ROUTES names every URL the site answers. Each route belongs to a page:
+// 'landing' (index.html) or 'app' (MenuLAUNCH/index.html). Moving between
+// routes of the same page uses pushState and renders without a reload; a
+// route on the other page is a normal page load. Unknown paths show the
+// page's start route (ROUTER_PAGES).
+//
+// Route paths are relative to the site root, which is worked out from this
+// script's URL, so the site also works under a subpath (e.g. a GitHub Pages
+// project site) and from file://. Static hosts only serve the pages as
+// files, so the app keeps its route in the hash:
+//   MenuLAUNCH/index.html#/app/apply
+// A host that answers the app paths with MenuLAUNCH/index.html (as
+// tools/mock-api.js does) gets real paths like /app/apply instead. Links
+// marked with data-route="<name>" get their href filled in for either case.
+//
+// Route fields:
+//   name, path   path segments starting with ':' are params, e.g. '/u/:username'
+//   page         'landing' or 'app'
+//   view         ES module, relative to the page, imported the first time the
+//                route renders (see MenuLAUNCH/views/), or a function returning
+//                the module (or a Promise of it)
+//   guard        name of a guard the page passes to initRouter(), e.g. 'signedIn'
+//   permission   permission the 'permission' guard checks (see MenuLAUNCH/roles.js)
+//   aliases      older paths that lead to the same route
+//
+// The page renders matches through options.render(match), where a match is
+//   { route, params, path, view, error }
+// (`view` is the imported module, `error` is set when it failed to load), and
+// 'routechange' is dispatched on document with the match as detail. While a
+// view module is fetched for the first time, options.loading(match) is called.
+// More routes can be added at runtime with addRoute().
+
+// Site root: src/router.js sits one folder down
+const ROUTER_SITE_ROOT = new URL('..', document.currentScript.src);
+
+// File of each page, relative to the site root, and the route it shows for
+// unknown paths. Pages with hashRoutes keep their route in the hash when they
+// are served as that file.
+const ROUTER_PAGES = {
+  landing: { file: 'index.html', start: 'home' },
+  app: { file: 'MenuLAUNCH/index.html', start: 'app', hashRoutes: true }
+};
+
+const ROUTES = [
+  { name: 'home', path: '/', page: 'landing', aliases: ['/index.html'] },
+  { name: 'app', path: '/app', page: 'app', view: 'views/welcome.js', aliases: ['/MenuLAUNCH', '/MenuLAUNCH/index.html'] },
+  { name: 'apply', path: '/app/apply', page: 'app', view: 'views/apply.js', guard: 'signedIn' },
+  { name: 'build', path: '/app/build', page: 'app', view: 'views/build.js', guard: 'signedIn' },
+  { name: 'community-preview', path: '/app/preview', page: 'app', view: 'views/community-preview.js' },
+  { name: 'edit-point', path: '/app/point', page: 'app', view: 'views/edit-point.js', guard: 'permission', permission: 'point.edit' },
+  { name: 'point-management', path: '/app/points', page: 'app', view: 'views/point-management.js', guard: 'permission', permission: 'point.manage' },
+  { name: 'settings-help', path: '/app/settings', page: 'app', view: 'views/settings-help.js' },
+  { name: 'point-history', path: '/app/history', page: 'app', view: 'views/point-history.js' },
+  { name: 'user', path: '/u/:username', page: 'app', view: 'views/user.js' },
+  { name: 'community', path: '/c/:community', page: 'app', view: 'views/community.js' },
+  { name: 'point', path: '/c/:community/p/:point', page: 'app', view: 'views/point.js' }
+];
+
+// '/app/' -> '/app'; the root stays '/'
+function normalizeRoutePath(path) {
+  return path.length > 1 ? path.replace(/\/+$/, '') : path;
+}
+
+// Site path ('/app/apply') of a URL path under the site root, or null
+function toSitePath(pathname) {
+  const rootPath = ROUTER_SITE_ROOT.pathname;
+  return pathname.startsWith(rootPath) ? `/${pathname.slice(rootPath.length)}` : null;
+}
+
+// Params of `path` if it fits the route pattern, otherwise null
+function matchRoutePath(pattern, path) {
+  const patternParts = pattern.split('/');
+  const pathParts = path.split('/');
+  if (patternParts.length !== pathParts.length) return null;
+
+  const params = {};
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i].startsWith(':')) {
+      if (!pathParts[i]) return null;
+      params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+// Set up routing for this page
+// Returns a controller: { navigate, href, url, match, addRoute, getCurrent, updateLinks }
+function initRouter(options = {}) {
+  const settings = {
+    page: 'landing',
+    routes: ROUTES,
+    guards: {},                // name -> match => true/false/redirect path (or a Promise of one)
+    render: () => {},
+    loading: () => {},
+    scrollElement: document.scrollingElement || document.documentElement,
+    ...options
+  };
+  const routes = [...settings.routes];
+  const viewModules = new Map(); // Route name -> Promise of its view module
+  let current = null;
+  let latestRequest = 0;
+
+  // Served as its own file (or its folder) rather than at one of its routes:
+  // routes go in the hash
+  const ownPage = ROUTER_PAGES[settings.page];
+  const servedPath = toSitePath(window.location.pathname);
+  const usesHash = Boolean(ownPage && ownPage.hashRoutes) && (servedPath === null ||
+    [`/${ownPage.file}`, `/${ownPage.file.replace(/\/index\.html$/, '')}`].includes(normalizeRoutePath(servedPath)));
+
+  // Route and params for a path, or null
+  function match(path) {
+    const normalized = normalizeRoutePath(path);
+    for (const route of routes) {
+      const params = [route.path, ...(route.aliases || [])]
+        .map(pattern => matchRoutePath(pattern, normalized))
+        .find(Boolean);
+      if (params) return { route, params, path: href(route.name, params) };
+    }
+    return null;
+  }
+
+  // Path of a named route, e.g. href('user', { username: 'ada' }) -> '/u/ada'
+  function href(name, params = {}) {
+    const route = routes.find(candidate => candidate.name === name);
+    if (!route) throw new Error(`Unknown route: ${name}`);
+    return route.path.replace(/:(\w+)/g, (placeholder, key) => encodeURIComponent(params[key] || ''));
+  }
+
+  // Address of a page's file
+  function pageFileUrl(page) {
+    return new URL(ROUTER_PAGES[page].file, ROUTER_SITE_ROOT);
+  }
+
+  // URL for a route name or a path, for links and the address bar, e.g.
+  // url('apply') -> 'https://example.org/HomaraSite/MenuLAUNCH/index.html#/app/apply'
+  function url(target, params = {}) {
+    const path = target.startsWith('/') ? target : href(target, params);
+    const found = match(path.split(/[?#]/)[0]);
+    const page = found ? found.route.page : settings.page;
+    const pageInfo = ROUTER_PAGES[page];
+
+    // The other page is opened as a file, since its host may not know the paths
+    if (pageInfo && pageInfo.hashRoutes && (page !== settings.page || usesHash)) {
+      return `${pageFileUrl(page).href}#${path}`;
+    }
+    // file:// has no index files
+    if (path === '/' && ROUTER_SITE_ROOT.protocol === 'file:' && pageInfo) {
+      return pageFileUrl(page).href;
+    }
+    return new URL(path.slice(1), ROUTER_SITE_ROOT).href;
+  }
+
+  // Path being shown: from the hash, or from the address when the host serves routes
+  function currentPath() {
+    const hash = window.location.hash;
+    if (usesHash && hash.startsWith('#/')) {
+      return hash.slice(1).split('?')[0];
+    }
+    const path = toSitePath(window.location.pathname);
+    return path === null ? '' : path;
+  }
+
+  // Give links marked data-route="<name>" the route's URL
+  function updateLinks(root = document) {
+    root.querySelectorAll('a[data-route]').forEach(link => {
+      const target = link.dataset.route;
+      if (routes.some(route => route.name === target)) {
+        link.href = url(target);
+      }
+    });
+  }
+
+  function loadView(route) {
+    if (!route.view) return Promise.resolve(null);
+    if (!viewModules.has(route.name)) {
+      const request = typeof route.view === 'function'
+        ? Promise.resolve().then(route.view)
+        : import(new URL(route.view, pageFileUrl(route.page)).href);
+      request.catch(() => viewModules.delete(route.name)); // Try again next time
+      viewModules.set(route.name, request);
+    }
+    return viewModules.get(route.name);
+  }
+
+  // Add a route (its page defaults to this one). Paths already taken are refused.
+  function addRoute(route) {
+    const entry = { page: settings.page, ...route };
+    if (routes.some(existing => existing.name === entry.name)) {
+      throw new Error(`Route already exists: ${entry.name}`);
+    }
+    const taken = match(entry.path);
+    if (taken) throw new Error(`${entry.path} is already the ${taken.route.name} route`);
+    routes.push(entry);
+    return entry;
+  }
+
+  function runGuard(found) {
+    if (!found.route.guard) return Promise.resolve(true);
+    const guard = settings.guards[found.route.guard];
+    if (!guard) {
+      console.warn('Unknown route guard:', found.route.guard);
+      return Promise.resolve(true);
+    }
+    return Promise.resolve(guard(found));
+  }
+
+  // Remember where the current history entry was scrolled to
+  function saveScroll() {
+    const scroll = { x: settings.scrollElement.scrollLeft, y: settings.scrollElement.scrollTop };
+    history.replaceState({ ...history.state, scroll }, '');
+  }
+
+  function applyScroll(scroll) {
+    if (scroll) {
+      settings.scrollElement.scrollTo(scroll.x, scroll.y);
+      return;
+    }
+    if (window.location.hash && !(usesHash && window.location.hash.startsWith('#/'))) {
+      // Hashes without a matching id belong to the page's own scripts (e.g. #journey/...)
+      const target = document.getElementById(decodeURIComponent(window.location.hash.slice(1)));
+      if (target) target.scrollIntoView();
+      return;
+    }
+    settings.scrollElement.scrollTo(0, 0);
+  }
+
+  // Guard, load and render the route at the address bar's path
+  function show(scroll) {
+    const request = ++latestRequest;
+    const found = match(currentPath());
+
+    if (found && found.route.page !== settings.page) {
+      window.location.assign(url(found.path));
+      return Promise.resolve(null);
+    }
+    if (!found) {
+      // Unknown path: the page's start route instead of an empty view
+      const start = ROUTER_PAGES[settings.page].start;
+      console.warn(`No route for ${currentPath() || window.location.href}, showing ${start}`);
+      history.replaceState(null, '', url(start));
+      return match(currentPath()) ? show(null) : Promise.resolve(null);
+    }
+
+    return runGuard(found).then(result => {
+      if (request !== latestRequest) return null;
+      if (result !== true) {
+        // Blocked: go to the guard's redirect, or stay where we were
+        const redirect = typeof result === 'string' ? result : (current ? current.path : href('app'));
+        history.replaceState(null, '', url(redirect));
+        return show(null);
+      }
+
+      if (found.route.view && !viewModules.has(found.route.name)) {
+        settings.loading(found);
+      }
+      return loadView(found.route)
+        .then(view => ({ ...found, view, error: null }))
+        .catch(error => {
+          console.error(`Failed to load the ${found.route.name} view:`, error);
+          return { ...found, view: null, error };
+        })
+        .then(result => {
+          if (request !== latestRequest) return null;
+          current = result;
+          return Promise.resolve(settings.render(result)).then(() => {
+            updateLinks();
+            applyScroll(scroll);
+            document.dispatchEvent(new CustomEvent('routechange', { detail: result }));
+            return result;
+          });
+        });
+    });
+  }
+
+  // Go to a route name or a path
+  // options: { params, replace }
+  function navigate(target, { params = {}, replace = false } = {}) {
+    const path = target.startsWith('/') ? target : href(target, params);
+    const found = match(path.split(/[?#]/)[0]);
+
+    if (!found || found.route.page !== settings.page) {
+      window.location.assign(url(path));
+      return Promise.resolve(null);
+    }
+
+    saveScroll();
+    if (replace) {
+      history.replaceState(null, '', url(path));
+    } else {
+      history.pushState(null, '', url(path));
+    }
+    return show(null);
+  }
+
+  // Route path a same-origin link leads to, or null for plain hash links and other URLs
+  function linkPath(link) {
+    const target = new URL(link.href);
+    if (target.origin !== window.location.origin) return null;
+    const samePage = target.pathname === window.location.pathname;
+
+    if (usesHash && samePage && target.hash.startsWith('#/')) {
+      return target.hash.slice(1);
+    }
+    if (samePage) return null; // Hash links
+    const path = toSitePath(target.pathname);
+    return path === null ? null : path + target.search + target.hash;
+  }
+
+  // Same-page links render without a reload
+  function handleClick(event) {
+    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+      return;
+    }
+    const link = event.target.closest('a[href]');
+    if (!link || link.target || link.hasAttribute('download')) return;
+
+    const path = linkPath(link);
+    if (path === null) return;
+    const found = match(path.split(/[?#]/)[0]);
+    if (!found || found.route.page !== settings.page) return;
+
+    event.preventDefault();
+    navigate(path);
+  }
+
+  function handlePopState(event) {
+    // Hash-only history entries (e.g. #journey) aren't route changes
+    if (current && normalizeRoutePath(currentPath()) === current.path) return;
+    show(event.state && event.state.scroll);
+  }
+
+  history.scrollRestoration = 'manual';
+  document.addEventListener('click', handleClick);
+  window.addEventListener('popstate', handlePopState);
+  // Keep the position for coming back from another page
+  window.addEventListener('pagehide', saveScroll);
+
+  // File URLs (e.g. MenuLAUNCH/index.html) get the route in the address bar:
+  // MenuLAUNCH/index.html#/app, or /app where the host serves routes
+  const initial = match(currentPath());
+  if (initial && initial.route.page === settings.page) {
+    const canonical = new URL(url(initial.path));
+    canonical.search = window.location.search;
+    if (!usesHash) canonical.hash = window.location.hash;
+    if (canonical.href !== window.location.href) {
+      history.replaceState(history.state, '', canonical.href);
+    }
+  }
+  updateLinks();
+  // Unknown paths go through show() too, which swaps in the start route
+  if (!initial || initial.route.page === settings.page) {
+    show(history.state && history.state.scroll);
+  }
+
+  return {
+    navigate,
+    href,
+    url,
+    match,
+    addRoute,
+    updateLinks,
+
+    // The match being shown, or null before the first render
+    getCurrent() {
+      return current;
+    }
+  };
+}
@@ -0,0 +1,124 @@
+// Theme mode shared by the landing page and MenuLAUNCH.
+//
+// The mode is 'dark', 'light' or 'auto' (follow the OS through
+// prefers-color-scheme). It is stored in localStorage['theme'], so it carries
+// over between the pages and stays in sync across open tabs through storage
+// events. The resolved theme is set as data-theme="dark|light" on <html> -
+// both pages key their CSS variables off it - and announced on document:
+//   'themechange'   detail: { theme: 'dark' | 'light', mode: 'dark' | 'light' | 'auto' }
+//
+// Load this in <head>, before the stylesheets, so the page never paints in
+// the wrong theme.
+
+const THEME_STORAGE_KEY = 'theme';
+const THEME_MODES = ['dark', 'light', 'auto']; // Also the order cycleMode() steps through
+const THEME_DEFAULT_MODE = 'auto';
+const THEME_LABELS = {
+  dark: 'Dark',
+  light: 'Light',
+  auto: 'Auto'
+};
+
+// Set up the theme for this page
+// Returns a controller: { getMode, getTheme, setMode, cycleMode, getNextMode, getLabel }
+function initTheme() {
+  const colorSchemeQuery = window.matchMedia
+    ? window.matchMedia('(prefers-color-scheme: light)')
+    : null;
+  let mode = readMode();
+  let theme = null;
+
+  // Stored mode, falling back to the default for missing or unknown values
+  function readMode() {
+    let stored = null;
+    try {
+      stored = localStorage.getItem(THEME_STORAGE_KEY);
+    } catch (error) {
+      // Storage can be blocked (e.g. privacy settings); the default still works
+    }
+    return THEME_MODES.includes(stored) ? stored : THEME_DEFAULT_MODE;
+  }
+
+  function resolveTheme() {
+    if (mode !== 'auto') return mode;
+    return colorSchemeQuery && colorSchemeQuery.matches ? 'light' : 'dark';
+  }
+
+  // Put the resolved theme on <html> and tell the page about it
+  function apply() {
+    theme = resolveTheme();
+    const root = document.documentElement;
+    root.dataset.theme = theme;
+    root.dataset.themeMode = mode;
+    root.style.colorScheme = theme; // Native controls and scrollbars follow along
+
+    document.dispatchEvent(new CustomEvent('themechange', { detail: { theme, mode } }));
+  }
+
+  function setMode(nextMode) {
+    if (!THEME_MODES.includes(nextMode)) {
+      console.warn('Unknown theme mode:', nextMode);
+      return;
+    }
+    mode = nextMode;
+    try {
+      localStorage.setItem(THEME_STORAGE_KEY, mode);
+    } catch (error) {
+      // Not persisted, but this page still switches
+    }
+    apply();
+  }
+
+  function getNextMode() {
+    return THEME_MODES[(THEME_MODES.indexOf(mode) + 1) % THEME_MODES.length];
+  }
+
+  // Another tab changed (or cleared) the stored mode
+  function handleStorage(event) {
+    if (event.key !== THEME_STORAGE_KEY && event.key !== null) return;
+    const storedMode = readMode();
+    if (storedMode !== mode) {
+      mode = storedMode;
+      apply();
+    }
+  }
+
+  // The OS switched between light and dark
+  function handleColorSchemeChange() {
+    if (mode === 'auto') apply();
+  }
+
+  window.addEventListener('storage', handleStorage);
+  if (colorSchemeQuery && colorSchemeQuery.addEventListener) {
+    colorSchemeQuery.addEventListener('change', handleColorSchemeChange);
+  }
+  apply();
+
+  return {
+    getMode() {
+      return mode;
+    },
+
+    // 'dark' or 'light' - what 'auto' currently resolves to
+    getTheme() {
+      return theme;
+    },
+
+    setMode,
+
+    // Step to the next mode (dark, light, auto, dark, ...) and return it
+    cycleMode() {
+      setMode(getNextMode());
+      return mode;
+    },
+
+    getNextMode,
+
+    // Display name of a mode, e.g. 'Auto'
+    getLabel(name = mode) {
+      return THEME_LABELS[name] || name;
+    }
+  };
+}
+
+window.homaraTheme = initTheme();
@@ -0,0 +1,133 @@
+// Small declarative timeline, used for the landing page intro sequence.
+//
+// Steps are plain data:
+//   target     selector, element or list of elements
+//   property   style property to animate, e.g. 'opacity' (optional)
+//   from, to   values for the property; `from` defaults to the current value
+//   delay      ms from the start of the timeline
+//   duration   ms the property takes to reach `to`
+//   easing     any CSS easing, e.g. 'linear' or 'cubic-bezier(...)' (default 'ease-in-out')
+//   call       optional function run when the step starts, given { skipped }
+//
+// createTimeline(steps, options) returns { play, skip, isPlaying, finished }.
+// options: { timeScale } - delays and durations are multiplied by it, so
+// 0.25 plays the same sequence four times as fast - and { skipOn }, the
+// document events that skip to the end (default pointerdown and keydown).
+
+const TIMELINE_DEFAULT_EASING = 'ease-in-out';
+const TIMELINE_SKIP_EVENTS = ['pointerdown', 'keydown'];
+
+// Elements a step's target refers to
+function resolveTimelineTargets(target) {
+  if (!target) return [];
+  if (typeof target === 'string') return Array.from(document.querySelectorAll(target));
+  if (target.length !== undefined) return Array.from(target);
+  return [target];
+}
+
+function createTimeline(steps, options = {}) {
+  const timeScale = options.timeScale === undefined ? 1 : options.timeScale;
+  const skipOn = options.skipOn || TIMELINE_SKIP_EVENTS;
+
+  // One entry per step: 'pending' until its delay has passed, 'running'
+  // while its animations play, then 'done'
+  const entries = steps.map(step => ({ step, state: 'pending', timer: null, animations: [] }));
+  let playing = false;
+  let resolveFinished;
+  const finished = new Promise(resolve => {
+    resolveFinished = resolve;
+  });
+
+  // Leave the property at its final value as a plain inline style
+  function commit(entry) {
+    const { step } = entry;
+    entry.animations.forEach(animation => animation.cancel());
+    entry.animations = [];
+    if (step.property) {
+      resolveTimelineTargets(step.target).forEach(element => {
+        element.style[step.property] = step.to;
+      });
+    }
+    entry.state = 'done';
+    checkFinished();
+  }
+
+  // Start a step, or run it straight to its end when skipping
+  function start(entry, skipped) {
+    const { step } = entry;
+    clearTimeout(entry.timer);
+    entry.state = 'running';
+
+    if (step.call) step.call({ skipped });
+
+    const duration = (step.duration || 0) * timeScale;
+    const elements = step.property ? resolveTimelineTargets(step.target) : [];
+    if (skipped || duration <= 0 || elements.length === 0 || elements.some(element => !element.animate)) {
+      commit(entry);
+      return;
+    }
+
+    const to = { [step.property]: step.to };
+    const keyframes = step.from === undefined ? [to] : [{ [step.property]: step.from }, to];
+    entry.animations = elements.map(element => element.animate(keyframes, {
+      duration,
+      easing: step.easing || TIMELINE_DEFAULT_EASING,
+      fill: 'forwards'
+    }));
+
+    // Every element runs the same animation, so the first one tells when all are done
+    entry.animations[0].onfinish = () => {
+      if (entry.state === 'running') commit(entry);
+    };
+  }
+
+  function checkFinished() {
+    if (!playing || entries.some(entry => entry.state !== 'done')) return;
+    playing = false;
+    skipOn.forEach(type => document.removeEventListener(type, skipToEnd));
+    resolveFinished();
+  }
+
+  // Jump every step to its end
+  function skipToEnd() {
+    if (!playing) return;
+    entries.forEach(entry => {
+      if (entry.state === 'pending') {
+        start(entry, true);
+      } else if (entry.state === 'running') {
+        commit(entry);
+      }
+    });
+  }
+
+  function play() {
+    if (playing) return;
+    if (entries.every(entry => entry.state === 'done')) {
+      resolveFinished(); // Nothing (left) to play
+      return;
+    }
+    playing = true;
+    skipOn.forEach(type => document.addEventListener(type, skipToEnd));
+
+    entries.forEach(entry => {
+      entry.timer = setTimeout(() => start(entry, false), (entry.step.delay || 0) * timeScale);
+    });
+  }
+
+  return {
+    play,
+
+    // Skip to the end. Works before play() too, e.g. for reduced motion.
+    skip() {
+      if (!playing) play();
+      skipToEnd();
+    },
+
+    isPlaying() {
+      return playing;
+    },
+
+    // Resolves once every step has finished or been skipped
+    finished
+  };
+}
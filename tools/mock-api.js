@@ -0,0 +1,321 @@
+// Local stand-in for the Homara site API, for testing without a backend.
+//
+//   node tools/mock-api.js        (PORT=8000 by default)
+//
+// Serves the site from the repository root and answers the newsletter
+// (src/newsletter.js) and feedback (src/feedback.js) endpoints from memory.
+// Confirmation and unsubscribe links that would be emailed are printed to the
+// console instead. Received feedback can be downloaded as JSON from
+// GET /api/feedback/export by moderators (see feedback.export in
+// MenuLAUNCH/roles.js), since it holds submitters' emails. GET /api/search?q=...&limit=... searches
+// assets/data/search-index.json, like the backend behind MenuLAUNCH/search.js.
+// GET and PATCH /api/profile/<uid> keep profile records ({ role, title,
+// communities }) for MenuLAUNCH/auth.js; new users get the role in MOCK_ROLE (member by default),
+// e.g. MOCK_ROLE=founder to see Point Management. Point the app's
+// profile-endpoint meta tag at /api/profile to use it.
+// App routes (/app, /u/<name>, /c/<name>; see src/router.js) are answered with
+// MenuLAUNCH/index.html, so the app uses real paths instead of hash URLs.
+// Set MOCK_API_FAIL=1 to answer every API call with a 503, to exercise the
+// offline queue.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 8000;
+const ROOT = path.resolve(__dirname, '..');
+const FAIL = process.env.MOCK_API_FAIL === '1';
+const DEFAULT_ROLE = process.env.MOCK_ROLE || 'member';
+const APP_ROUTE_PATTERN = /^\/(app|u|c)(\/|$)/;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.otf': 'font/otf',
+  '.woff2': 'font/woff2'
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/;
+
+// Subscribers by email: { status: 'pending' | 'subscribed', interests, token }
+const subscribers = new Map();
+
+function sendJson(response, status, data) {
+  response.writeHead(status, { 'Content-Type': MIME_TYPES['.json'] });
+  response.end(JSON.stringify(data));
+}
+
+// Decoded URL part, or null for a malformed escape like '%E0%A4%A'
+function decodePathPart(part) {
+  try {
+    return decodeURIComponent(part);
+  } catch (error) {
+    return null;
+  }
+}
+
+function readJson(request) {
+  return new Promise(resolve => {
+    let body = '';
+    request.on('data', chunk => {
+      body += chunk;
+    });
+    request.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        resolve({});
+      }
+    });
+  });
+}
+
+// Feedback submissions, in the order they arrived
+const feedback = [];
+const FEEDBACK_CATEGORIES = ['idea', 'bug', 'question', 'other'];
+
+function findByToken(token) {
+  for (const [email, subscriber] of subscribers) {
+    if (subscriber.token === token) return { email, subscriber };
+  }
+  return null;
+}
+
+// Newsletter API: /api/newsletter/<action>
+const newsletterRoutes = {
+  subscribe(body, response) {
+    const email = String(body.email || '').trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(email)) {
+      return sendJson(response, 422, { message: 'Please enter a valid email address.' });
+    }
+
+    const existing = subscribers.get(email);
+    if (existing && existing.status === 'subscribed') {
+      return sendJson(response, 200, { status: 'subscribed' });
+    }
+
+    const token = crypto.randomUUID();
+    subscribers.set(email, { status: 'pending', interests: body.interests || [], token });
+    console.log(`[newsletter] ${email} signed up (${(body.interests || []).join(', ') || 'no interests'})`);
+    console.log(`  confirm:     http://localhost:${PORT}/#newsletter/confirm?token=${token}`);
+    console.log(`  unsubscribe: http://localhost:${PORT}/#newsletter/unsubscribe?${new URLSearchParams({ email, token })}`);
+    return sendJson(response, 202, { status: 'pending' });
+  },
+
+  confirm(body, response) {
+    const match = findByToken(body.token);
+    if (!match) {
+      return sendJson(response, 404, { message: 'This confirmation link is invalid or has expired.' });
+    }
+    match.subscriber.status = 'subscribed';
+    console.log(`[newsletter] ${match.email} confirmed`);
+    return sendJson(response, 200, { status: 'subscribed' });
+  },
+
+  unsubscribe(body, response) {
+    const email = String(body.email || '').toLowerCase();
+    const subscriber = subscribers.get(email);
+    if (!subscriber || subscriber.token !== body.token) {
+      return sendJson(response, 404, { message: 'This unsubscribe link is invalid or has already been used.' });
+    }
+    subscribers.delete(email);
+    console.log(`[newsletter] ${email} unsubscribed`);
+    return sendJson(response, 200, { status: 'unsubscribed' });
+  }
+};
+
+// Roles allowed to export feedback, as feedback.export in MenuLAUNCH/roles.js
+const FEEDBACK_EXPORT_ROLES = ['moderator'];
+
+// uid in the Bearer Firebase ID token, or null. The signature isn't checked
+// here; the real backend has to.
+function readTokenUid(request) {
+  const match = (request.headers.authorization || '').match(/^Bearer [^.]+\.([^.]+)\./);
+  if (!match) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(match[1], 'base64url').toString());
+    return payload.user_id || payload.sub || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Feedback API: POST /api/feedback, GET /api/feedback/export (moderators only)
+function handleFeedback(request, response, pathname) {
+  if (request.method === 'GET' && pathname === '/api/feedback/export') {
+    const uid = readTokenUid(request);
+    if (!uid) {
+      return sendJson(response, 401, { message: 'Sign in first.' });
+    }
+    const profile = profiles.get(uid);
+    if (!profile || !FEEDBACK_EXPORT_ROLES.includes(profile.role)) {
+      return sendJson(response, 403, { message: 'Only moderators can export feedback.' });
+    }
+    return sendJson(response, 200, { exportedAt: new Date().toISOString(), submissions: feedback });
+  }
+  if (request.method !== 'POST' || pathname !== '/api/feedback') {
+    return sendJson(response, 404, { message: 'Unknown endpoint' });
+  }
+  if (FAIL) {
+    return sendJson(response, 503, { message: 'Mock API is failing on purpose (MOCK_API_FAIL=1)' });
+  }
+
+  return readJson(request).then(body => {
+    const message = String(body.message || '').trim();
+    if (!body.id || !message || !FEEDBACK_CATEGORIES.includes(body.category)) {
+      return sendJson(response, 422, { message: 'Feedback needs an id, a category and a message.' });
+    }
+    // Retries repeat the same id
+    if (!feedback.some(entry => entry.id === body.id)) {
+      feedback.push({ ...body, message, receivedAt: new Date().toISOString() });
+      console.log(`[feedback] ${body.category}${body.email ? ` from ${body.email}` : ''}: ${message}`);
+    }
+    return sendJson(response, 201, { status: 'received' });
+  });
+}
+
+// Search API: GET /api/search?q=...&limit=...
+// Every term has to appear in the label or description; label matches come first.
+function handleSearch(request, response, searchParams) {
+  if (request.method !== 'GET') {
+    return sendJson(response, 404, { message: 'Unknown endpoint' });
+  }
+  if (FAIL) {
+    return sendJson(response, 503, { message: 'Mock API is failing on purpose (MOCK_API_FAIL=1)' });
+  }
+
+  const terms = String(searchParams.get('q') || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const limit = Math.min(Number(searchParams.get('limit')) || 10, 50);
+  fs.readFile(path.join(ROOT, 'assets/data/search-index.json'), 'utf8', (error, data) => {
+    if (error) {
+      return sendJson(response, 500, { message: 'Search index is missing' });
+    }
+    const results = terms.length === 0 ? [] : JSON.parse(data).results
+      .filter(result => terms.every(term => `${result.label} ${result.description || ''}`.toLowerCase().includes(term)))
+      .sort((a, b) => terms.filter(term => b.label.toLowerCase().includes(term)).length -
+        terms.filter(term => a.label.toLowerCase().includes(term)).length)
+      .slice(0, limit);
+    return sendJson(response, 200, { results });
+  });
+}
+
+// Profile records by Firebase uid: { role, title, communities }
+const profiles = new Map();
+
+// Communities new builders, founders and moderators look after (from the sample search index)
+const MANAGED_COMMUNITIES = [
+  { id: 'night-owls', name: 'Night Owls Collective' },
+  { id: 'open-studio', name: 'Open Studio' }
+];
+
+// Titles each role may use, as in MenuLAUNCH/roles.js
+const ROLE_TITLES = {
+  visitor: [],
+  member: ['member'],
+  builder: ['builder', 'member'],
+  founder: ['founder', 'builder', 'member'],
+  moderator: ['moderator', 'member']
+};
+
+// Profile API: GET /api/profile/<uid>, PATCH /api/profile/<uid> with { title }
+// The ID token isn't verified here; the real backend has to.
+function handleProfile(request, response, uid) {
+  if (FAIL) {
+    return sendJson(response, 503, { message: 'Mock API is failing on purpose (MOCK_API_FAIL=1)' });
+  }
+  if (!/^Bearer .+/.test(request.headers.authorization || '')) {
+    return sendJson(response, 401, { message: 'Sign in first.' });
+  }
+  if (!profiles.has(uid)) {
+    profiles.set(uid, {
+      role: DEFAULT_ROLE,
+      title: (ROLE_TITLES[DEFAULT_ROLE] || [])[0] || null,
+      communities: ['builder', 'founder', 'moderator'].includes(DEFAULT_ROLE) ? MANAGED_COMMUNITIES : []
+    });
+  }
+  const profile = profiles.get(uid);
+
+  if (request.method === 'GET') {
+    return sendJson(response, 200, profile);
+  }
+  if (request.method !== 'PATCH') {
+    return sendJson(response, 404, { message: 'Unknown endpoint' });
+  }
+  return readJson(request).then(body => {
+    if (body.title !== null && !(ROLE_TITLES[profile.role] || []).includes(body.title)) {
+      return sendJson(response, 403, { message: `A ${profile.role} can't use that title.` });
+    }
+    profile.title = body.title;
+    console.log(`[profile] ${uid} is now titled ${body.title}`);
+    return sendJson(response, 200, profile);
+  });
+}
+
+function serveStatic(pathname, response) {
+  const decoded = decodePathPart(pathname);
+  if (decoded === null) {
+    response.writeHead(400);
+    return response.end('Bad request');
+  }
+  const filePath = path.join(ROOT, decoded);
+  // Inside the repo only; a sibling folder like ../HomaraSite-old shares ROOT's prefix
+  if (filePath !== ROOT && !filePath.startsWith(ROOT + path.sep)) {
+    response.writeHead(403);
+    return response.end();
+  }
+
+  const target = pathname.endsWith('/') ? path.join(filePath, 'index.html') : filePath;
+  fs.readFile(target, (error, data) => {
+    if (error) {
+      response.writeHead(404);
+      return response.end('Not found');
+    }
+    response.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(target)] || 'application/octet-stream' });
+    response.end(data);
+  });
+}
+
+const server = http.createServer((request, response) => {
+  const { pathname, searchParams } = new URL(request.url, `http://localhost:${PORT}`);
+  const match = pathname.match(/^\/api\/newsletter\/([a-z]+)$/);
+
+  if (pathname.startsWith('/api/feedback')) {
+    return handleFeedback(request, response, pathname);
+  }
+  if (pathname === '/api/search') {
+    return handleSearch(request, response, searchParams);
+  }
+  const profileMatch = pathname.match(/^\/api\/profile\/([^/]+)$/);
+  if (profileMatch) {
+    const uid = decodePathPart(profileMatch[1]);
+    if (uid === null) {
+      return sendJson(response, 400, { message: 'Malformed user id' });
+    }
+    return handleProfile(request, response, uid);
+  }
+  if (APP_ROUTE_PATTERN.test(pathname)) {
+    return serveStatic('/MenuLAUNCH/index.html', response);
+  }
+  if (!match) {
+    return serveStatic(pathname, response);
+  }
+  // Own actions only, so /api/newsletter/constructor isn't found on the prototype
+  if (request.method !== 'POST' || !Object.prototype.hasOwnProperty.call(newsletterRoutes, match[1])) {
+    return sendJson(response, 404, { message: 'Unknown endpoint' });
+  }
+  if (FAIL) {
+    return sendJson(response, 503, { message: 'Mock API is failing on purpose (MOCK_API_FAIL=1)' });
+  }
+  return readJson(request).then(body => newsletterRoutes[match[1]](body, response));
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock API and site on http://localhost:${PORT}`);
+});